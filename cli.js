@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+/**
+ * hooked-api command-line runner
+ *
+ * Loads a module exporting an Api instance, then lists or calls its methods:
+ *
+ *   hooked-api ./api.js                                    List methods and scopes
+ *   hooked-api ./api.js ping                               Call api.ping()
+ *   hooked-api ./api.js users.create --name Ada --age 36   Call api.scopes.users.create()
+ *   hooked-api ./api.js users.create --json '{"name":"Ada"}'
+ *   cat user.json | hooked-api ./api.js users.create --stdin
+ *
+ * Results are printed to stdout as JSON (default) or as a table. Errors are
+ * printed to stderr, and the exit code tells them apart (see ExitCode).
+ */
+
+import { Console } from 'node:console';
+import { realpathSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Api, HookedApiError, MethodError } from './index.js';
+import { findMethod, parseMethodPath, createScopeFilter } from './method-lookup.js';
+
+const USAGE = `Usage: hooked-api <module> [method] [options] [--param value ...]
+
+Loads <module>, which exports an Api instance (as default, as 'api', or as
+the name given with --export), then calls one of its methods. Without a
+method, lists the API methods and scope methods.
+
+Methods:
+  ping                    API method
+  users.create            Scope method
+  projects.tasks.list     Method of the child scope 'projects.tasks'
+
+Params, merged in this order:
+  --stdin                 Read a JSON object from stdin
+  --json <json>           JSON object
+  --<name> <value>        One param; values are parsed as JSON when possible
+                          (--age 36 is a number), otherwise kept as strings.
+                          --flag alone is true, --no-flag is false, and
+                          --address.city Paris sets a nested param
+  --                      Everything after is a param, even --json or --format
+
+Options:
+  --format json|table     Output format (default: json)
+  --export <name>         Export holding the Api
+  -h, --help              Show this help`;
+
+/**
+ * Exit codes, following the BSD sysexits conventions
+ */
+export const ExitCode = Object.freeze({
+  OK: 0,
+  FAILURE: 1,      // Errors that are not HookedApiErrors
+  USAGE: 64,       // Bad arguments, unknown method or scope
+  DATA: 65,        // ValidationError
+  NO_INPUT: 66,    // Module can't be loaded or has no Api
+  SOFTWARE: 70,    // Any other HookedApiError
+  TIMEOUT: 75,     // TimeoutError
+  CONFIG: 78       // Configuration and plugin errors
+});
+
+/**
+ * Exit code for each HookedApiError code
+ * Codes missing here map to SOFTWARE
+ */
+const EXIT_CODES_BY_ERROR_CODE = {
+  VALIDATION_ERROR: ExitCode.DATA,
+  SCOPE_ERROR: ExitCode.USAGE,
+  METHOD_ERROR: ExitCode.USAGE,
+  TIMEOUT_ERROR: ExitCode.TIMEOUT,
+  CONFIGURATION_ERROR: ExitCode.CONFIG,
+  PLUGIN_ERROR: ExitCode.CONFIG,
+  PLUGIN_DEPENDENCY_ERROR: ExitCode.CONFIG
+};
+
+/**
+ * Errors in the command line itself
+ *
+ * @private
+ */
+class UsageError extends Error {
+  constructor(message, exitCode = ExitCode.USAGE) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Exit code for an error
+ *
+ * @param {Error} error - The error
+ * @returns {number} One of ExitCode
+ */
+export function exitCodeFor(error) {
+  if (error instanceof UsageError) return error.exitCode;
+  if (!(error instanceof HookedApiError)) return ExitCode.FAILURE;
+  // A result that doesn't match its schema is a bug in the method, not a usage error
+  if (error instanceof MethodError && error.errors.length > 0) return ExitCode.SOFTWARE;
+  return EXIT_CODES_BY_ERROR_CODE[error.code] ?? ExitCode.SOFTWARE;
+}
+
+/**
+ * Runs the command line
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {Object} [options]
+ * @param {Readable} [options.stdin=process.stdin]
+ * @param {Writable} [options.stdout=process.stdout]
+ * @param {Writable} [options.stderr=process.stderr]
+ * @param {string} [options.cwd=process.cwd()] - Directory the module path is relative to
+ * @param {boolean|RegExp|string[]|Function} [options.resolveScopes=true] - Unknown
+ *   scope names the scope resolver may be asked for (see createScopeFilter in
+ *   method-lookup.js), e.g. when the arguments come from another program
+ * @param {Object} [options.logger] - Logger ({ log, warn, error }) for the API's
+ *   logs while the command runs, instead of the console (see redirectLogs())
+ * @returns {Promise<number>} The exit code
+ */
+export async function runCli(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, cwd = process.cwd(), resolveScopes = true, logger = null } = {}) {
+  let format = 'json';
+  const restoreLogs = [];
+  try {
+    const args = parseArgs(argv);
+    format = args.format;
+    if (args.help) {
+      stdout.write(`${USAGE}\n`);
+      return ExitCode.OK;
+    }
+
+    const modulePath = path.resolve(cwd, args.modulePath);
+    if (logger) restoreLogs.push(...await setDefaultLoggers(modulePath, logger));
+    const api = await loadApi(modulePath, args.exportName);
+    if (logger) restoreLogs.push(redirectLogs(api, logger));
+
+    if (args.methodPath === undefined) {
+      const methods = listMethods(api);
+      const rows = [
+        ...methods.apiMethods.map(method => ({ scope: null, method })),
+        ...Object.entries(methods.scopes).flatMap(([scope, names]) => names.map(method => ({ scope, method })))
+      ];
+      stdout.write(`${format === 'table' ? formatTable(rows) : JSON.stringify(methods, null, 2)}\n`);
+      return ExitCode.OK;
+    }
+
+    const params = {
+      ...(args.stdin ? parseJsonObject(await readStream(stdin), 'stdin') : {}),
+      ...(args.json !== undefined ? parseJsonObject(args.json, '--json') : {}),
+      ...args.params
+    };
+    const method = await findMethod(api, ...parseMethodPath(args.methodPath), createScopeFilter(resolveScopes));
+    const result = await method(params, { cli: { argv } });
+
+    if (result !== undefined) {
+      stdout.write(`${format === 'table' ? formatTable(result) : JSON.stringify(result, null, 2)}\n`);
+    }
+    return ExitCode.OK;
+  } catch (error) {
+    stderr.write(`${formatError(error, format)}\n`);
+    return exitCodeFor(error);
+  } finally {
+    for (const restore of restoreLogs.reverse()) restore();
+  }
+}
+
+/**
+ * Parses the command line
+ *
+ * @private
+ * @returns {Object} { modulePath, methodPath, params, json, stdin, format, exportName, help }
+ * @throws {UsageError} If arguments are missing or malformed
+ */
+function parseArgs(argv) {
+  const args = { positionals: [], params: {}, format: 'json', stdin: false, help: false };
+  let onlyParams = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-') || arg === '-') {
+      if (onlyParams) throw new UsageError(`Unexpected argument '${arg}' after --`);
+      args.positionals.push(arg);
+      continue;
+    }
+    if (arg === '--' && !onlyParams) {
+      onlyParams = true;
+      continue;
+    }
+    if (!onlyParams && (arg === '-h' || arg === '--help')) {
+      args.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--') || arg.length === 2) {
+      throw new UsageError(`Unknown option '${arg}'`);
+    }
+
+    let [name, value] = splitOption(arg.slice(2));
+    const takesValue = value !== undefined || (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--'));
+    if (!onlyParams && name === 'stdin') {
+      args.stdin = true;
+    } else if (!onlyParams && ['json', 'format', 'export'].includes(name)) {
+      if (!takesValue) throw new UsageError(`--${name} needs a value`);
+      value ??= argv[++i];
+      if (name === 'format' && !['json', 'table'].includes(value)) {
+        throw new UsageError(`--format must be 'json' or 'table'. Received: ${value}`);
+      }
+      args[name === 'export' ? 'exportName' : name] = value;
+    } else if (name.startsWith('no-') && value === undefined) {
+      setParam(args.params, name.slice(3), false);
+    } else {
+      setParam(args.params, name, takesValue ? parseValue(value ?? argv[++i]) : true);
+    }
+  }
+
+  if (args.help) return args;
+  const [modulePath, methodPath, ...extra] = args.positionals;
+  if (!modulePath) throw new UsageError(`Missing module path\n\n${USAGE}`);
+  if (extra.length > 0) throw new UsageError(`Unexpected argument '${extra[0]}'`);
+  return { ...args, modulePath, methodPath };
+}
+
+/**
+ * Splits 'name=value' into ['name', 'value'], and 'name' into ['name', undefined]
+ *
+ * @private
+ */
+function splitOption(option) {
+  const equals = option.indexOf('=');
+  return equals === -1 ? [option, undefined] : [option.slice(0, equals), option.slice(equals + 1)];
+}
+
+/**
+ * Parses a flag value as JSON, keeping it as a string if it isn't JSON
+ *
+ * @private
+ */
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Sets a param, creating the objects of dotted names: 'address.city'
+ *
+ * @private
+ * @throws {UsageError} For empty or unsafe name parts
+ */
+function setParam(params, name, value) {
+  const keys = name.split('.');
+  if (keys.some(key => key === '' || key === '__proto__' || key === 'constructor' || key === 'prototype')) {
+    throw new UsageError(`Invalid param name '${name}'`);
+  }
+  const last = keys.pop();
+  let target = params;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+/**
+ * Parses a JSON object given as --json or on stdin
+ *
+ * @private
+ * @throws {UsageError} If it isn't a JSON object
+ */
+function parseJsonObject(text, source) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Params from ${source} are not valid JSON: ${error.message}`, ExitCode.DATA);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new UsageError(`Params from ${source} must be a JSON object`, ExitCode.DATA);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+/**
+ * Imports the module and finds the Api among its exports
+ * The export may also be a promise of an Api
+ *
+ * @private
+ * @throws {UsageError} If the module can't be loaded or exports no Api
+ */
+async function loadApi(modulePath, exportName) {
+  let exports;
+  try {
+    exports = await import(pathToFileURL(modulePath).href);
+  } catch (error) {
+    throw new UsageError(`Cannot load module '${modulePath}': ${error.message}`, ExitCode.NO_INPUT);
+  }
+
+  const names = exportName !== undefined ? [exportName] : ['default', 'api'];
+  for (const name of names) {
+    const candidate = await exports[name];
+    if (isApi(candidate)) return candidate;
+  }
+  throw new UsageError(
+    exportName !== undefined
+      ? `Export '${exportName}' of '${modulePath}' is not an Api instance`
+      : `'${modulePath}' has no default or 'api' export holding an Api instance; use --export <name>`,
+    ExitCode.NO_INPUT
+  );
+}
+
+/**
+ * Makes the APIs the module creates log to the CLI's logger, by setting
+ * Api.defaultLogger of this copy of the library and of the copy the module
+ * imports (e.g. a project-local one when the CLI is installed globally)
+ * Done before the import, as APIs log while the module sets them up
+ *
+ * @private
+ * @returns {Array<Function>} Put the previous default loggers back
+ */
+async function setDefaultLoggers(modulePath, logger) {
+  const restore = [];
+  const setDefaultLogger = (ApiClass) => {
+    if (!ApiClass || !('defaultLogger' in ApiClass)) return;
+    const previous = ApiClass.defaultLogger;
+    ApiClass.defaultLogger = logger;
+    restore.push(() => { ApiClass.defaultLogger = previous; });
+  };
+
+  setDefaultLogger(Api);
+  let moduleIndex = null;
+  try {
+    moduleIndex = realpathSync(createRequire(modulePath).resolve('hooked-api'));
+  } catch {
+    // The module doesn't import the library by name
+  }
+  if (moduleIndex !== null && moduleIndex !== realpathSync(fileURLToPath(new URL('./index.js', import.meta.url)))) {
+    try {
+      setDefaultLogger((await import(pathToFileURL(moduleIndex).href)).Api);
+    } catch {
+      // Loading the module reports the problem
+    }
+  }
+  return restore;
+}
+
+/**
+ * Sends the logs of an API that still logs to the console to the CLI's
+ * logger: one created with logging.logger: console, or by a copy of the
+ * library without Api.defaultLogger
+ *
+ * @private
+ * @returns {Function} Puts the console back
+ */
+function redirectLogs(api, logger) {
+  const logging = api.options?.logging;
+  if (logging?.logger !== console) return () => {};
+
+  // The API's logger keeps the one it was created with
+  const recreateLogger = () => {
+    if (typeof api._createLogger === 'function') api._logger = api._createLogger();
+  };
+  logging.logger = logger;
+  recreateLogger();
+  return () => {
+    logging.logger = console;
+    recreateLogger();
+  };
+}
+
+/**
+ * Duck-typed, so that an Api from another copy of the library is accepted
+ *
+ * @private
+ */
+function isApi(value) {
+  return value != null && typeof value.describe === 'function' && typeof value.resolveScope === 'function';
+}
+
+/**
+ * Callable methods of an API: its API methods, and for each scope the methods
+ * it can run (global scope methods, its own, and those it inherits)
+ *
+ * @private
+ * @returns {Object} { name, apiMethods: [...], scopes: { scopeName: [...] } }
+ */
+function listMethods(api) {
+  const manifest = api.describe();
+  const candidates = new Set(manifest.scopeMethods.map(({ name }) => name));
+  for (const scope of manifest.scopes) {
+    for (const { name } of scope.methods) candidates.add(name);
+  }
+  return {
+    name: manifest.name,
+    apiMethods: manifest.apiMethods.map(({ name }) => name),
+    scopes: Object.fromEntries(manifest.scopes.map(({ name: scopeName }) => [
+      scopeName,
+      [...candidates].filter(name => api._findScopeMethod(scopeName, name)).sort()
+    ]))
+  };
+}
+
+/**
+ * Renders a value as a text table
+ * - Arrays of objects: one row per item, one column per key
+ * - Arrays of other values: one column
+ * - Objects: key and value columns
+ * - Anything else: as is
+ *
+ * Nested objects are shown as JSON in their cell.
+ *
+ * @param {*} value - Value to render
+ * @returns {string}
+ */
+export function formatTable(value) {
+  const isRecord = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+  let columns;
+  let rows;
+
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(isRecord)) {
+      columns = [...new Set(value.flatMap(item => Object.keys(item)))];
+      rows = value.map(item => columns.map(column => item[column]));
+    } else {
+      columns = ['value'];
+      rows = value.map(item => [item]);
+    }
+  } else if (isRecord(value)) {
+    columns = ['key', 'value'];
+    rows = Object.entries(value);
+  } else {
+    return formatCell(value);
+  }
+
+  const cells = [columns, ...rows.map(row => row.map(formatCell))];
+  const widths = columns.map((column, index) => Math.max(...cells.map(row => row[index].length)));
+  const formatRow = (row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  return [formatRow(columns), formatRow(widths.map(width => '-'.repeat(width))), ...cells.slice(1).map(formatRow)].join('\n');
+}
+
+/**
+ * @private
+ */
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Describes an error for stderr
+ * JSON: { error: { name, code, message, ... } }. Table: a readable message,
+ * with one line per schema problem
+ *
+ * @private
+ */
+function formatError(error, format) {
+  if (error instanceof UsageError) return error.message;
+  if (format === 'json') {
+    const details = error instanceof HookedApiError ? error.toJSON() : { name: error.name, message: error.message };
+    return JSON.stringify({ error: details }, null, 2);
+  }
+  const lines = [`${error.name}${error.code ? ` [${error.code}]` : ''}: ${error.message}`];
+  for (const problem of error.errors ?? []) {
+    lines.push(`  ${problem.path ? `${problem.path}: ` : ''}${problem.message}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Executable entry point
+ * The API's logs go to stderr, so that stdout only carries results and can be
+ * piped. Exits once stdout is flushed, even if the module left timers or
+ * sockets open
+ */
+const isMain = process.argv[1] !== undefined && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  const code = await runCli(process.argv.slice(2), {
+    logger: new Console({ stdout: process.stderr, stderr: process.stderr })
+  });
+  process.stdout.write('', () => process.exit(code));
+}
@@ -0,0 +1,338 @@
+/**
+ * HTTP transport for Hooked API
+ *
+ * Serves the methods of an Api instance over node:http, so that they don't
+ * need hand-written routes:
+ * - POST /:method                  -> api.method(body)
+ * - POST /scopes/:scope/:method    -> api.scopes[scope].method(body)
+ * - REST verbs on /scopes/:scope and /scopes/:scope/:id, when `rest` is enabled
+ *
+ * Child scopes use their full name: POST /scopes/projects.tasks/list
+ *
+ * Responses are JSON. Errors are sent as { error: error.toJSON() } with a
+ * status code that depends on the error class (see errorStatus)
+ *
+ * Example:
+ * import http from 'node:http'
+ * import { createHttpHandler } from 'hooked-api/http-transport.js'
+ *
+ * http.createServer(createHttpHandler(api, { basePath: '/api' })).listen(3000)
+ */
+
+import http from 'node:http';
+import {
+  HookedApiError,
+  ValidationError,
+  ScopeError,
+  MethodError,
+  TimeoutError
+} from './index.js';
+import { findMethod, createScopeFilter, toPublicErrorJSON } from './method-lookup.js';
+
+/**
+ * Scope methods called by the REST routes, when `rest: true`
+ * Pass an object as `rest` to map some of them to other method names
+ */
+export const REST_METHODS = Object.freeze({
+  list: 'list',       // GET    /scopes/:scope
+  create: 'create',   // POST   /scopes/:scope
+  get: 'get',         // GET    /scopes/:scope/:id
+  replace: 'replace', // PUT    /scopes/:scope/:id
+  update: 'update',   // PATCH  /scopes/:scope/:id
+  remove: 'remove'    // DELETE /scopes/:scope/:id
+});
+
+const COLLECTION_ACTIONS = { GET: 'list', POST: 'create' };
+const ITEM_ACTIONS = { GET: 'get', PUT: 'replace', PATCH: 'update', DELETE: 'remove' };
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * HTTP status code for an error thrown while serving a call
+ *
+ * - ValidationError: 400
+ * - ScopeError: 404
+ * - MethodError: 404, or 500 when it reports an invalid method result
+ * - TimeoutError: 504
+ * - Any other error: 500
+ *
+ * @param {Error} error - The error
+ * @returns {number} Status code
+ */
+export function errorStatus(error) {
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof ScopeError) return 404;
+  if (error instanceof MethodError) return error.errors.length > 0 ? 500 : 404;
+  if (error instanceof TimeoutError) return 504;
+  return 500;
+}
+
+/**
+ * JSON body for an error response
+ * Errors that are not HookedApiErrors are not described, to avoid leaking
+ * internals; they are logged by the method proxy already. HookedApiErrors
+ * only carry their public properties (see toPublicErrorJSON in method-lookup.js)
+ *
+ * @param {Error} error - The error
+ * @param {boolean} [errorDetails=false] - Send every property of HookedApiErrors
+ * @returns {Object} { error: { name, code, message, ... } }
+ */
+export function errorBody(error, errorDetails = false) {
+  if (error instanceof HookedApiError) {
+    return { error: toPublicErrorJSON(error, errorDetails) };
+  }
+  return { error: { name: 'Error', code: 'INTERNAL_ERROR', message: 'Internal server error' } };
+}
+
+/**
+ * Creates a request listener that serves the API's methods
+ *
+ * @param {Object} api - The Api instance
+ * @param {Object} [options]
+ * @param {string} [options.basePath=''] - Path prefix of all routes, e.g. '/api'
+ * @param {boolean|Object} [options.rest=false] - Enables the REST routes; an object
+ *   maps REST actions to scope method names (see REST_METHODS)
+ * @param {number} [options.maxBodySize=1048576] - Largest accepted body, in bytes
+ * @param {Function} [options.context] - (req) => object, merged into the
+ *   initialContext of every call (e.g. to add the authenticated user)
+ * @param {boolean|RegExp|string[]|Function} [options.resolveScopes=true] - Unknown
+ *   scope names the scope resolver may be asked for (see createScopeFilter in
+ *   method-lookup.js); without a limit, any client can make it run for any name
+ * @param {boolean} [options.errorDetails=false] - Send every property of errors
+ *   (error.toJSON()), such as the invalid value, instead of the public ones
+ * @returns {Function} (req, res) => Promise, for http.createServer() or Express
+ * @throws {ValidationError} If the options are invalid
+ *
+ * Every call receives the request metadata in its initialContext:
+ * context.http = { method, path, query, headers, remoteAddress }
+ *
+ * The call's signal is aborted when the client goes away before the response is sent.
+ */
+export function createHttpHandler(api, { basePath = '', rest = false, maxBodySize = DEFAULT_MAX_BODY_SIZE, context = null, resolveScopes = true, errorDetails = false } = {}) {
+  if (typeof basePath !== 'string' || (basePath !== '' && (!basePath.startsWith('/') || basePath.endsWith('/')))) {
+    throw new ValidationError(
+      `basePath must be empty or start, but not end, with '/'. Received: ${String(basePath)}`,
+      { field: 'basePath', value: basePath, validValues: "'' or a path like '/api'" }
+    );
+  }
+  if (rest !== null && typeof rest !== 'boolean' && typeof rest !== 'object') {
+    throw new ValidationError(
+      `rest must be a boolean or an object mapping REST actions to method names. Received: ${typeof rest}`,
+      { field: 'rest', value: rest, validValues: Object.keys(REST_METHODS) }
+    );
+  }
+  if (!Number.isInteger(maxBodySize) || maxBodySize < 0) {
+    throw new ValidationError(
+      `maxBodySize must be a non-negative integer. Received: ${String(maxBodySize)}`,
+      { field: 'maxBodySize', value: maxBodySize }
+    );
+  }
+  if (context !== null && typeof context !== 'function') {
+    throw new ValidationError(
+      `context must be a function returning an object. Received: ${typeof context}`,
+      { field: 'context', value: context }
+    );
+  }
+  if (typeof errorDetails !== 'boolean') {
+    throw new ValidationError(
+      `errorDetails must be a boolean. Received: ${typeof errorDetails}`,
+      { field: 'errorDetails', value: errorDetails, validValues: [true, false] }
+    );
+  }
+
+  const mayResolveScope = createScopeFilter(resolveScopes);
+  const restMethods = rest ? { ...REST_METHODS, ...(rest === true ? {} : rest) } : null;
+
+  return async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = matchRoute(url.pathname, req.method, basePath, restMethods);
+
+      if (!route) {
+        return sendJson(res, 404, {
+          error: { name: 'HookedApiError', code: 'NOT_FOUND', message: `No route for ${req.method} ${url.pathname}` }
+        });
+      }
+      if (route.allow) {
+        return sendJson(res, 405, {
+          error: { name: 'HookedApiError', code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed on ${url.pathname}` }
+        }, { allow: route.allow });
+      }
+
+      const body = await readJsonBody(req, maxBodySize);
+      if (body === TOO_LARGE) {
+        return sendJson(res, 413, {
+          error: { name: 'HookedApiError', code: 'PAYLOAD_TOO_LARGE', message: `Request body exceeds ${maxBodySize} bytes` }
+        });
+      }
+
+      const query = Object.fromEntries(url.searchParams);
+      const params = {
+        ...(req.method === 'GET' ? query : body),
+        ...(route.id !== undefined && { id: route.id })
+      };
+      const initialContext = {
+        ...(context ? await context(req) : {}),
+        http: {
+          method: req.method,
+          path: url.pathname,
+          query,
+          headers: req.headers,
+          remoteAddress: req.socket?.remoteAddress ?? null
+        }
+      };
+
+      const method = await findMethod(api, route.scopeName, route.methodName, mayResolveScope);
+      const result = await method(params, initialContext, { signal: controller.signal });
+
+      if (result === undefined) {
+        return sendJson(res, 204);
+      }
+      return sendJson(res, route.action === 'create' ? 201 : 200, result);
+    } catch (error) {
+      // Nobody is left to answer
+      if (controller.signal.aborted) return;
+      sendJson(res, errorStatus(error), errorBody(error, errorDetails));
+    }
+  };
+}
+
+/**
+ * Creates an http.Server (not yet listening) that serves the API's methods
+ *
+ * @param {Object} api - The Api instance
+ * @param {Object} [options] - Same as createHttpHandler()
+ * @returns {http.Server}
+ *
+ * Example:
+ * const server = createHttpServer(api, { rest: true })
+ * server.listen(3000)
+ */
+export function createHttpServer(api, options) {
+  return http.createServer(createHttpHandler(api, options));
+}
+
+/**
+ * Plugin form of the transport
+ * Sets helpers.httpHandler, built from the plugin options (same as createHttpHandler's)
+ *
+ * Example:
+ * await api.use(HttpTransportPlugin, { basePath: '/api' })
+ * http.createServer(api.helpers.httpHandler).listen(3000)
+ */
+export const HttpTransportPlugin = {
+  name: 'http-transport',
+  install: ({ api, helpers, pluginOptions }) => {
+    helpers.httpHandler = createHttpHandler(api, pluginOptions);
+  }
+};
+
+/**
+ * Works out which call a request is for
+ *
+ * @private
+ * @returns {Object|null} { scopeName?, methodName, id?, action? }, { allow } if the
+ *   path exists for other HTTP methods, or null if it matches no route
+ * @throws {ValidationError} If the path is not properly encoded
+ */
+function matchRoute(pathname, httpMethod, basePath, restMethods) {
+  if (basePath) {
+    if (pathname !== basePath && !pathname.startsWith(`${basePath}/`)) return null;
+    pathname = pathname.slice(basePath.length);
+  }
+
+  let segments;
+  try {
+    segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new ValidationError(`Malformed URL path: ${pathname}`, { field: 'path', value: pathname });
+  }
+
+  if (segments.length === 1 && segments[0] !== 'scopes') {
+    return httpMethod === 'POST' ? { methodName: segments[0] } : { allow: 'POST' };
+  }
+  if (segments[0] !== 'scopes') return null;
+
+  const [, scopeName, last] = segments;
+  if (segments.length === 2 && restMethods) {
+    const action = COLLECTION_ACTIONS[httpMethod];
+    return action
+      ? { scopeName, methodName: restMethods[action], action }
+      : { allow: Object.keys(COLLECTION_ACTIONS).join(', ') };
+  }
+  if (segments.length === 3) {
+    if (httpMethod === 'POST') return { scopeName, methodName: last };
+    const action = restMethods && ITEM_ACTIONS[httpMethod];
+    if (action) return { scopeName, methodName: restMethods[action], id: last, action };
+    return { allow: restMethods ? ['POST', ...Object.keys(ITEM_ACTIONS)].join(', ') : 'POST' };
+  }
+  return null;
+}
+
+const TOO_LARGE = Symbol('tooLarge');
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @private
+ * @returns {Promise<Object|symbol>} The body ({} if empty), or TOO_LARGE
+ * @throws {ValidationError} If the body is not a JSON object
+ */
+async function readJsonBody(req, maxBodySize) {
+  if (Number(req.headers['content-length']) > maxBodySize) return TOO_LARGE;
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodySize) return TOO_LARGE;
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text.trim() === '') return {};
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Request body is not valid JSON: ${error.message}`, { field: 'body' });
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object', { field: 'body', value: body });
+  }
+  return body;
+}
+
+/**
+ * Sends a JSON response, unless one was sent already
+ *
+ * @private
+ */
+function sendJson(res, status, body, headers = {}) {
+  if (res.headersSent || res.destroyed) return;
+
+  let payload = '';
+  if (body !== undefined) {
+    try {
+      payload = JSON.stringify(body);
+    } catch {
+      status = 500;
+      payload = JSON.stringify({
+        error: { name: 'Error', code: 'INTERNAL_ERROR', message: 'Result could not be serialized to JSON' }
+      });
+    }
+  }
+
+  res.writeHead(status, {
+    ...headers,
+    ...(payload && { 'content-type': 'application/json; charset=utf-8' }),
+    'content-length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
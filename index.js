@@ -23,6 +23,459 @@ const VALID_JS_IDENTIFIER = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/
 const DANGEROUS_PROPS = ['__proto__', 'constructor', 'prototype']
 const isDangerousProp = (prop) => DANGEROUS_PROPS.includes(prop)
 
+/**
+ * Timeouts are positive, finite numbers of milliseconds
+ */
+const isValidTimeout = (timeout) => typeof timeout === 'number' && Number.isFinite(timeout) && timeout > 0
+
+/**
+ * Rejects with createError() if the promise does not settle within `timeout` ms
+ * The timer is always cleared, so a settled promise never keeps the process alive
+ */
+const withTimeout = (promise, timeout, createError) => {
+  let timer
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), timeout)
+  })
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Matches an event name against a listener pattern
+ * '*' matches any sequence of characters, including ':' ('method:*' matches 'method:api:added')
+ */
+const matchesEventPattern = (pattern, eventName) => {
+  if (!pattern.includes('*')) return pattern === eventName
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+  return regex.test(eventName)
+}
+
+/**
+ * Special hook types accepted in hook options ({ type: 'around' })
+ */
+const HOOK_TYPES = ['around']
+
+/**
+ * What happens when a method is defined again by a different source
+ * (see the `methodConflicts` API option and the `onConflict` definition option)
+ */
+const METHOD_CONFLICT_POLICIES = ['error', 'warn', 'override', 'wrap']
+
+/**
+ * Where a method handler runs: in the calling thread, or in a worker thread
+ * (see the `runIn` definition option)
+ */
+const METHOD_RUN_IN = ['main', 'worker']
+
+/**
+ * Hook chain execution modes accepted by runHooks() and configureHook()
+ */
+const HOOK_MODES = ['sequential', 'parallel']
+
+/**
+ * Lifecycle hooks run automatically around every API and scope method call
+ * Names can be changed or disabled with the `methodHooks` API option
+ */
+const DEFAULT_METHOD_HOOKS = {
+  around: 'method:around',
+  before: 'method:before',
+  after: 'method:after',
+  error: 'method:error'
+}
+
+/**
+ * Semantic versioning support for the API registry
+ *
+ * Only the commonly used subset of npm's range syntax is supported:
+ * - Exact and partial versions: 1.2.3, 1.2, 1, 1.x, *
+ * - Comparators: =, >, >=, <, <=
+ * - Caret and tilde ranges: ^1.2.3, ~1.2.3
+ * - Intersections separated by spaces: >=1.2.0 <2.0.0
+ * - Unions separated by ||: ^1.0.0 || ^2.0.0
+ */
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+const SEMVER_PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+
+/**
+ * Parses a full semver string into its numeric parts
+ * Returns null if the string is not a valid version
+ */
+const parseSemver = (version) => {
+  const match = typeof version === 'string' ? SEMVER_PATTERN.exec(version) : null
+  if (!match) return null
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  }
+}
+
+/**
+ * Compares two parsed versions, returning -1, 0 or 1
+ * Prerelease versions sort before their release (1.0.0-beta < 1.0.0)
+ */
+const compareSemver = (a, b) => {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) return a[part] < b[part] ? -1 : 1
+  }
+  if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0
+  if (a.prerelease.length === 0) return 1
+  if (b.prerelease.length === 0) return -1
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i]
+    const y = b.prerelease[i]
+    if (x === undefined) return -1
+    if (y === undefined) return 1
+    if (x === y) continue
+    const xNum = /^\d+$/.test(x)
+    const yNum = /^\d+$/.test(y)
+    if (xNum && yNum) return Number(x) < Number(y) ? -1 : 1
+    if (xNum !== yNum) return xNum ? -1 : 1
+    return x < y ? -1 : 1
+  }
+  return 0
+}
+
+/**
+ * Turns one range token (e.g. '^1.2', '>=2', '1.x') into plain comparators
+ * Returns null if the token cannot be parsed
+ */
+const desugarSemverComparator = (token) => {
+  const [, operator = '', rest] = /^(<=|>=|<|>|=|\^|~)?(.*)$/.exec(token)
+  const match = SEMVER_PARTIAL_PATTERN.exec(rest)
+  if (!match) return null
+
+  const num = (part) => (part === undefined || /^[xX*]$/.test(part)) ? null : Number(part)
+  const major = num(match[1])
+  const minor = major === null ? null : num(match[2])
+  const patch = minor === null ? null : num(match[3])
+  const prerelease = match[4] && patch !== null ? match[4].split('.') : []
+  const version = (maj, min, pat, pre = []) => ({ major: maj, minor: min, patch: pat, prerelease: pre })
+  const lower = version(major, minor ?? 0, patch ?? 0, prerelease)
+
+  // Wildcards match everything, except strict comparisons which match nothing
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [{ operator: '<', version: version(0, 0, 0, ['0']) }] : []
+  }
+
+  const nextMajor = version(major + 1, 0, 0)
+  const nextMinor = version(major, (minor ?? 0) + 1, 0)
+  switch (operator) {
+    case '':
+    case '=':
+      if (minor === null) return [{ operator: '>=', version: lower }, { operator: '<', version: nextMajor }]
+      if (patch === null) return [{ operator: '>=', version: lower }, { operator: '<', version: nextMinor }]
+      return [{ operator: '=', version: lower }]
+    case '>=':
+    case '<':
+      return [{ operator, version: lower }]
+    case '>':
+      if (minor === null) return [{ operator: '>=', version: nextMajor }]
+      if (patch === null) return [{ operator: '>=', version: nextMinor }]
+      return [{ operator, version: lower }]
+    case '<=':
+      if (minor === null) return [{ operator: '<', version: nextMajor }]
+      if (patch === null) return [{ operator: '<', version: nextMinor }]
+      return [{ operator, version: lower }]
+    case '~':
+      return [{ operator: '>=', version: lower }, { operator: '<', version: minor === null ? nextMajor : nextMinor }]
+    case '^': {
+      let upper
+      if (major > 0 || minor === null) upper = nextMajor
+      else if (minor > 0 || patch === null) upper = nextMinor
+      else upper = version(0, 0, patch + 1)
+      return [{ operator: '>=', version: lower }, { operator: '<', version: upper }]
+    }
+  }
+}
+
+/**
+ * Parses a range string into a list of comparator sets (one per || branch)
+ * Returns null if any part of the range is invalid
+ */
+const parseSemverRange = (range) => {
+  if (typeof range !== 'string') return null
+  const sets = []
+  for (const branch of range.split('||')) {
+    const tokens = branch.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean)
+    const comparators = []
+    for (const token of tokens) {
+      const desugared = desugarSemverComparator(token)
+      if (!desugared) return null
+      comparators.push(...desugared)
+    }
+    sets.push(comparators)
+  }
+  return sets
+}
+
+/**
+ * Checks whether a parsed version satisfies a parsed range
+ * As in npm, a prerelease only satisfies a comparator set that opts in to the
+ * prereleases of its major.minor.patch, e.g. 1.2.0-beta matches >=1.2.0-alpha
+ * but neither ^1.0.0 nor >=1.1.0-alpha
+ */
+const satisfiesSemver = (version, rangeSets) => rangeSets.some(comparators => {
+  const inBounds = comparators.every(({ operator, version: target }) => {
+    const cmp = compareSemver(version, target)
+    switch (operator) {
+      case '=': return cmp === 0
+      case '>': return cmp > 0
+      case '>=': return cmp >= 0
+      case '<': return cmp < 0
+      case '<=': return cmp <= 0
+    }
+  })
+  if (!inBounds || version.prerelease.length === 0) return inBounds
+  return comparators.some(({ version: target }) => target.prerelease.length > 0 &&
+    target.major === version.major && target.minor === version.minor && target.patch === version.patch)
+})
+
+/**
+ * Parameter schemas
+ * 
+ * Method definitions can declare `params` with a subset of JSON Schema,
+ * checked before any hook or the handler runs. Supported keywords:
+ * - type (string or array of: string, number, integer, boolean, object, array, null)
+ * - enum, const, anyOf
+ * - properties, required, additionalProperties (boolean or schema)
+ * - items, minItems, maxItems
+ * - minLength, maxLength, pattern
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum (numbers)
+ * - title, description, default, examples, $comment (annotations, ignored)
+ */
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+const SCHEMA_KEYWORDS = [
+  'type', 'enum', 'const', 'anyOf',
+  'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems',
+  'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'title', 'description', 'default', 'examples', '$comment'
+]
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0
+
+/**
+ * Checks that a schema only uses supported keywords with well-formed values
+ * Returns a description of the first problem found, or null
+ */
+const findSchemaProblem = (schema, path = 'schema') => {
+  if (!isPlainObject(schema)) return `${path} must be an object`
+  for (const keyword of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.includes(keyword)) {
+      return `${path} uses unsupported keyword '${keyword}'`
+    }
+  }
+  const { type, enum: options, anyOf, properties, required, additionalProperties, items, pattern } = schema
+  if (type !== undefined && ![].concat(type).every(t => SCHEMA_TYPES.includes(t))) {
+    return `${path}.type must be one of ${SCHEMA_TYPES.join(', ')} (or an array of them)`
+  }
+  if (options !== undefined && !Array.isArray(options)) return `${path}.enum must be an array`
+  if (required !== undefined && !(Array.isArray(required) && required.every(key => typeof key === 'string'))) {
+    return `${path}.required must be an array of property names`
+  }
+  for (const keyword of ['minItems', 'maxItems', 'minLength', 'maxLength']) {
+    if (schema[keyword] !== undefined && !isNonNegativeInteger(schema[keyword])) {
+      return `${path}.${keyword} must be a non-negative integer`
+    }
+  }
+  for (const keyword of ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']) {
+    if (schema[keyword] !== undefined && !Number.isFinite(schema[keyword])) {
+      return `${path}.${keyword} must be a finite number`
+    }
+  }
+  if (pattern !== undefined) {
+    try {
+      new RegExp(pattern)
+    } catch {
+      return `${path}.pattern must be a valid regular expression`
+    }
+  }
+
+  const nested = []
+  if (anyOf !== undefined) {
+    if (!Array.isArray(anyOf) || anyOf.length === 0) return `${path}.anyOf must be a non-empty array of schemas`
+    anyOf.forEach((subschema, index) => nested.push([subschema, `${path}.anyOf[${index}]`]))
+  }
+  if (properties !== undefined) {
+    if (!isPlainObject(properties)) return `${path}.properties must be an object`
+    for (const [key, subschema] of Object.entries(properties)) nested.push([subschema, `${path}.properties.${key}`])
+  }
+  if (additionalProperties !== undefined && typeof additionalProperties !== 'boolean') {
+    nested.push([additionalProperties, `${path}.additionalProperties`])
+  }
+  if (items !== undefined) nested.push([items, `${path}.items`])
+
+  for (const [subschema, subpath] of nested) {
+    const problem = findSchemaProblem(subschema, subpath)
+    if (problem) return problem
+  }
+  return null
+}
+
+/**
+ * Type check for one JSON Schema type name
+ */
+const matchesSchemaType = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'object': return isPlainObject(value)
+    case 'array': return Array.isArray(value)
+    case 'null': return value === null
+  }
+}
+
+/**
+ * Equality for enum/const: strict for primitives, structural for JSON data
+ */
+const schemaValuesEqual = (a, b) => {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Validates a value against a schema checked by findSchemaProblem
+ * 
+ * Collects every failure instead of stopping at the first one. Each failure is
+ * { path, keyword, message }, with paths like 'params.address.zip' or 'params.tags[1]'.
+ * Once a value has the wrong type, its other keywords are not checked.
+ */
+const validateSchema = (schema, value, path = 'params', failures = []) => {
+  const fail = (keyword, message) => failures.push({ path, keyword, message: `${path} ${message}` })
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      fail('type', value === undefined ? 'is required' : `must be of type ${types.join(' or ')}`)
+      return failures
+    }
+  }
+  if (schema.const !== undefined && !schemaValuesEqual(schema.const, value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`)
+  }
+  if (schema.enum !== undefined && !schema.enum.some(option => schemaValuesEqual(option, value))) {
+    fail('enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`)
+  }
+  if (schema.anyOf !== undefined && !schema.anyOf.some(subschema => validateSchema(subschema, value, path).length === 0)) {
+    fail('anyOf', 'does not match any of the allowed schemas')
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `must be at least ${schema.minLength} characters long`)
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `must be at most ${schema.maxLength} characters long`)
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail('pattern', `must match pattern ${schema.pattern}`)
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`)
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`)
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateSchema(schema.items, item, `${path}[${index}]`, failures))
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {}
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        failures.push({ path: `${path}.${key}`, keyword: 'required', message: `${path}.${key} is required` })
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        if (propertyValue !== undefined) validateSchema(properties[key], propertyValue, `${path}.${key}`, failures)
+      } else if (schema.additionalProperties === false) {
+        failures.push({ path: `${path}.${key}`, keyword: 'additionalProperties', message: `${path}.${key} is not allowed` })
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateSchema(schema.additionalProperties, propertyValue, `${path}.${key}`, failures)
+      }
+    }
+  }
+
+  return failures
+}
+
+/**
+ * Returns a copy of a value without the object fields its schema doesn't declare
+ * 
+ * Applies to objects whose schema lists `properties`, unless additionalProperties
+ * allows extra fields (true or a schema), and recurses through properties and items.
+ * Values are never mutated; anything the schema doesn't describe is returned as is.
+ */
+const stripUnknownFields = (schema, value) => {
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => stripUnknownFields(schema.items, item)) : value
+  }
+  if (!isPlainObject(value) || !schema.properties) return value
+
+  const keepUnknown = schema.additionalProperties === true || isPlainObject(schema.additionalProperties)
+  const shaped = {}
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (Object.hasOwn(schema.properties, key)) {
+      shaped[key] = stripUnknownFields(schema.properties[key], fieldValue)
+    } else if (keepUnknown && !isDangerousProp(key)) {
+      shaped[key] = fieldValue
+    }
+  }
+  return shaped
+}
+
+/**
+ * Converts a value into plain JSON data for api.describe()
+ * 
+ * Plain objects and arrays are copied recursively; functions, class instances,
+ * Maps, Sets, symbols and non-finite numbers become descriptive strings, so
+ * options holding clients or callbacks can be reported without leaking them.
+ * References back to an enclosing object become '[Circular]'.
+ */
+const toSerializable = (value, ancestors = new WeakSet()) => {
+  switch (typeof value) {
+    case 'undefined': return null
+    case 'number': return Number.isFinite(value) ? value : String(value)
+    case 'bigint': return `${value}n`
+    case 'symbol': return value.toString()
+    case 'function': return value.name ? `[Function: ${value.name}]` : '[Function]'
+    case 'object': break
+    default: return value
+  }
+  if (value === null) return null
+  if (value instanceof Date) return value.toISOString()
+  if (value instanceof RegExp) return String(value)
+  if (ancestors.has(value)) return '[Circular]'
+
+  const prototype = Object.getPrototypeOf(value)
+  if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+    return `[${value.constructor?.name || 'Object'}]`
+  }
+
+  ancestors.add(value)
+  let result
+  if (Array.isArray(value)) {
+    result = value.map(item => toSerializable(item, ancestors))
+  } else {
+    result = {}
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) result[key] = toSerializable(item, ancestors)
+    }
+  }
+  ancestors.delete(value)
+  return result
+}
+
 /**
  * Logging system configuration
  * 
@@ -118,6 +571,36 @@ export class HookedApiError extends Error {
     this.code = code;
     Error.captureStackTrace(this, this.constructor);
   }
+
+  /**
+   * JSON form of the error, as sent by the transports with errorDetails
+   * name, code and message, followed by the subclass's own properties
+   * (made serializable; the stack is left out)
+   */
+  toJSON() {
+    const { name, code, ...details } = this;
+    return toSerializable({ name, code, message: this.message, ...details });
+  }
+
+  /**
+   * Rebuilds an error from its JSON form, e.g. one received from a transport
+   * The class is picked by name (HookedApiError for unknown names), and the
+   * other properties are copied onto the error
+   *
+   * @param {Object} data - { name, code, message, ...properties }
+   * @returns {HookedApiError}
+   */
+  static fromJSON(data) {
+    const { name, code, message = '', ...details } = data ?? {};
+    const ErrorClass = Object.hasOwn(ERROR_CLASSES, name) ? ERROR_CLASSES[name] : HookedApiError;
+    const error = new ErrorClass(message);
+    for (const [key, value] of Object.entries(details)) {
+      if (!isDangerousProp(key)) error[key] = value;
+    }
+    error.message = message;
+    if (code !== undefined) error.code = code;
+    return error;
+  }
 }
 
 /**
@@ -198,15 +681,19 @@ export class PluginDependencyError extends HookedApiError {
  * - Scope names (cannot use dangerous properties)
  * - Hook names and placements
  * - Parameter types and values
+ * - Method params against their declared schema
  * 
- * Includes the invalid field, value, and list of valid values when applicable
+ * Includes the invalid field, value, and list of valid values when applicable.
+ * Schema failures also list every problem found in `errors`:
+ * [{ path, keyword, message }]
  */
 export class ValidationError extends HookedApiError {
-  constructor(message, { field, value, validValues } = {}) {
+  constructor(message, { field, value, validValues, errors = [] } = {}) {
     super(message, 'VALIDATION_ERROR');
     this.field = field;
     this.value = value;
     this.validValues = validValues;
+    this.errors = errors;
   }
 }
 
@@ -254,14 +741,232 @@ export class ScopeError extends HookedApiError {
  * - Calling a method that doesn't exist
  * - Method execution errors
  * - Invalid method names during creation
+ * - A method returning a result that doesn't match its `returns` schema
+ *   (scopeName and errors: [{ path, keyword, message }] are set)
  * 
  * Includes suggestions for fixing the error when possible
  */
 export class MethodError extends HookedApiError {
-  constructor(message, { methodName, suggestion } = {}) {
+  constructor(message, { methodName, suggestion, scopeName = null, errors = [] } = {}) {
     super(message, 'METHOD_ERROR');
     this.methodName = methodName;
     this.suggestion = suggestion;
+    this.scopeName = scopeName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when one or more handlers fail in a parallel hook run
+ * 
+ * Like the built-in AggregateError, collects every failure instead of
+ * stopping at the first one:
+ * - errors: The thrown errors, in completion order
+ * - failures: { error, pluginName, functionName } for each failed handler
+ */
+export class HookAggregateError extends HookedApiError {
+  constructor(message, { hookName, errors = [], failures = [] } = {}) {
+    super(message, 'HOOK_AGGREGATE_ERROR');
+    this.hookName = hookName;
+    this.errors = errors;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Thrown when a hook handler, a hook chain or a method exceeds its timeout
+ * 
+ * Identifies what was running when time ran out:
+ * - hookName, pluginName, functionName: The hook and the handler that timed out
+ *   (for chain timeouts, the innermost handler still running, if any)
+ * - methodName, scopeName: The method, for method timeouts
+ * - timeout: The limit that was exceeded, in milliseconds
+ * 
+ * The timed-out work is not cancelled, only abandoned
+ */
+export class TimeoutError extends HookedApiError {
+  constructor(message, { timeout, hookName = null, pluginName = null, functionName = null, methodName = null, scopeName = null } = {}) {
+    super(message, 'TIMEOUT_ERROR');
+    this.timeout = timeout;
+    this.hookName = hookName;
+    this.pluginName = pluginName;
+    this.functionName = functionName;
+    this.methodName = methodName;
+    this.scopeName = scopeName;
+  }
+}
+
+/**
+ * Thrown when a runIn: 'worker' method can't be run as written
+ * 
+ * A fault of the method's code rather than of the call:
+ * - The module doesn't export a function under exportName
+ * - The result can't be cloned back to the main thread
+ * 
+ * methodName and scopeName identify the method; module is the URL of the
+ * worker module
+ */
+export class WorkerError extends HookedApiError {
+  constructor(message, { methodName, scopeName = null, module = null, suggestion = null } = {}) {
+    super(message, 'WORKER_ERROR');
+    this.methodName = methodName;
+    this.scopeName = scopeName;
+    this.module = module;
+    this.suggestion = suggestion;
+  }
+}
+
+/**
+ * Error classes by name, for HookedApiError.fromJSON()
+ */
+const ERROR_CLASSES = {
+  HookedApiError,
+  ConfigurationError,
+  PluginDependencyError,
+  ValidationError,
+  PluginError,
+  ScopeError,
+  MethodError,
+  HookAggregateError,
+  TimeoutError,
+  WorkerError
+};
+
+/**
+ * Global registry of API instances
+ *
+ * Every Api registers itself here on construction, keyed by `options.name`
+ * and the optional `options.version`. This lets separately-loaded modules
+ * find the same API instance without threading it through imports:
+ *
+ * ```javascript
+ * // db.js
+ * new Api({ name: 'db', version: '1.4.0' });
+ *
+ * // somewhere-else.js
+ * const db = Api.registry.get('db', '^1.0.0');
+ * ```
+ *
+ * Registering an instance with a name/version pair that is already taken
+ * replaces the previous instance.
+ */
+class ApiRegistry {
+  constructor() {
+    /** Map<name, Map<version|null, Api>> */
+    this._apis = new Map()
+  }
+
+  /**
+   * Adds an API instance to the registry
+   *
+   * @param {Api} api - The API instance (uses api.options.name and api.options.version)
+   * @returns {Api} The registered instance
+   */
+  register(api) {
+    const { name, version = null } = api.options
+    if (!this._apis.has(name)) {
+      this._apis.set(name, new Map())
+    }
+    this._apis.get(name).set(version, api)
+    return api
+  }
+
+  /**
+   * Looks up an API instance by name and optional semver range
+   *
+   * @param {string} name - API name
+   * @param {string} [range] - Semver range (e.g. '^1.2.0'); omit to get the latest
+   * @returns {Api|undefined} The highest registered version matching the range
+   * @throws {ValidationError} If the range is not a valid semver range
+   *
+   * Without a range, the highest version is returned. Instances registered
+   * without a version are only returned when no range is given and no
+   * versioned instance exists.
+   */
+  get(name, range) {
+    let rangeSets = null
+    if (range !== undefined) {
+      rangeSets = parseSemverRange(range)
+      if (!rangeSets) {
+        throw new ValidationError(
+          `Invalid version range '${range}' for API '${name}'. Examples: '1.2.3', '^1.2.0', '~1.2', '>=1.0.0 <2.0.0', '1.x || 2.x'`,
+          {
+            field: 'range',
+            value: range,
+            validValues: 'semver range'
+          }
+        )
+      }
+    }
+
+    const versions = this._apis.get(name)
+    if (!versions) return undefined
+
+    let best
+    let bestVersion
+    for (const [version, api] of versions) {
+      if (version === null) continue
+      const parsed = parseSemver(version)
+      if (rangeSets && !satisfiesSemver(parsed, rangeSets)) continue
+      if (!bestVersion || compareSemver(parsed, bestVersion) > 0) {
+        best = api
+        bestVersion = parsed
+      }
+    }
+
+    if (!best && !rangeSets) {
+      return versions.get(null)
+    }
+    return best
+  }
+
+  /**
+   * Checks whether an API matching the name (and optional range) is registered
+   *
+   * @param {string} name - API name
+   * @param {string} [range] - Semver range
+   * @returns {boolean}
+   */
+  has(name, range) {
+    return this.get(name, range) !== undefined
+  }
+
+  /**
+   * Lists all registered APIs
+   *
+   * @returns {Array<{name: string, version: string|null}>} Entries in registration order
+   */
+  list() {
+    const entries = []
+    for (const [name, versions] of this._apis) {
+      for (const version of versions.keys()) {
+        entries.push({ name, version })
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Removes APIs from the registry
+   *
+   * @param {string} name - API name
+   * @param {string|null} [version] - Exact version to remove (null for the unversioned
+   *   instance); omit to remove every version registered under the name
+   * @returns {boolean} True if anything was removed
+   */
+  unregister(name, version) {
+    const versions = this._apis.get(name)
+    if (!versions) return false
+
+    if (version === undefined) {
+      return this._apis.delete(name)
+    }
+
+    const removed = versions.delete(version)
+    if (versions.size === 0) {
+      this._apis.delete(name)
+    }
+    return removed
   }
 }
 
@@ -284,18 +989,40 @@ export class MethodError extends HookedApiError {
  * ```
  */
 export class Api {
+  /**
+   * Global registry shared by all API instances
+   * See ApiRegistry for lookup by name and semver range
+   */
+  static registry = new ApiRegistry()
+
+  /**
+   * Logger of APIs created without options.logging.logger
+   * The CLI sets a console writing to stderr, so that stdout only carries results
+   */
+  static defaultLogger = console
+
   /**
    * Creates a new API instance
    * 
    * @param {Object} options - Configuration options
    * @param {string} options.name - Unique name for this API (required)
+   * @param {string} [options.version] - Semver version used for registry lookups
    * @param {Object} options.logging - Logging configuration
+   * @param {boolean|Object} [options.methodHooks=true] - Lifecycle hooks run around every
+   *   method call. Pass false to disable them, or an object to rename or disable
+   *   individual phases: { around: 'method:around', before: 'method:before', after: 'method:after', error: null }
+   * @param {string} [options.methodConflicts='warn'] - What to do when a plugin (or customize())
+   *   defines an API or scope method already defined by another source:
+   *   'error', 'warn', 'override' or 'wrap'
+   * @param {Object} [options.workers] - Worker thread pool used by methods defined
+   *   with runIn: 'worker': { size } (default: number of CPUs minus one)
    * 
    * The constructor:
-   * 1. Validates configuration (name)
+   * 1. Validates configuration (name, version)
    * 2. Sets up internal state management
    * 3. Initializes the logging system
    * 4. Sets up proxy for scope access (api.scopes.xxx)
+   * 5. Adds the API to the global registry
    */
   constructor(options = {}) {
     /**
@@ -307,7 +1034,7 @@ export class Api {
       format: 'pretty',
       timestamp: true,
       colors: true,
-      logger: console
+      logger: Api.defaultLogger
     };
     
     /**
@@ -347,6 +1074,21 @@ export class Api {
       );
     }
 
+    /**
+     * Validate the optional version - it must be a full semver string
+     * so that registry lookups by range are unambiguous
+     */
+    if (this.options.version !== undefined && !parseSemver(this.options.version)) {
+      throw new ConfigurationError(
+        `API version must be a valid semver string. Received: ${typeof this.options.version === 'string' ? `"${this.options.version}"` : typeof this.options.version}. Example: new Api({ name: 'my-api', version: '1.0.0' })`,
+        {
+          received: this.options.version,
+          expected: 'semver string (major.minor.patch)',
+          example: "new Api({ name: 'my-api', version: '1.0.0' })"
+        }
+      );
+    }
+
     /**
      * Initialize internal state management
      * All internal properties use underscore prefix to:
@@ -355,9 +1097,23 @@ export class Api {
      * - Enable proxy-based access control
      */
     
-    /** Hook storage: Map<hookName, Array<{plugin, name, priority, handler}>> */
+    /** Hook storage: Map<hookName, Array<{pluginName, functionName, priority, placement, sequence, handler}>> in execution order */
     this._hooks = new Map()
     
+    /** Registration counter used to keep hook order stable for equal priorities */
+    this._hookSequence = 0
+    
+    /** Per-hook execution settings set with configureHook(): Map<hookName, {mode, concurrency}> */
+    this._hookConfigs = new Map()
+    
+    /** Event listeners: Map<eventPattern, Array<{pluginName, listenerName, handler, once}>> */
+    this._listeners = new Map()
+    this._listenerSequence = 0
+    
+    /** Method wrappers: Array<{kind, methodName, scopeName, pluginName, wrapperName, priority, sequence, wrapper}>, outermost first */
+    this._methodWrappers = []
+    this._wrapperSequence = 0
+    
     /** Variable storage for shared state across methods */
     this._vars = new Map()
     
@@ -373,9 +1129,24 @@ export class Api {
     /** Track installed plugins to prevent duplicates */
     this._installedPlugins = new Set()
     
+    /** Installed plugin objects, options and what each one registered (for unuse) */
+    this._pluginRecords = new Map()
+    
     /** Scope instances with their own vars, helpers, and methods */
     this._scopes = new Map()
     
+    /** Number of scope method calls running per scope: Map<scopeName, number> */
+    this._scopeCallsInFlight = new Map()
+    
+    /** Resolver creating scopes on first use (setScopeResolver), with its running resolutions and cached misses */
+    this._scopeResolver = null
+    this._scopeResolutions = new Map()
+    this._scopeMisses = new Map()
+    this._scopeMissTtl = 0
+    
+    /** Worker pool for runIn: 'worker' methods, created on first use (Promise<WorkerPool>) */
+    this._workerPool = null
+    
     /** Frozen copy of API options for secure context passing */
     this._apiOptions = { ...this.options }
     
@@ -389,7 +1160,54 @@ export class Api {
     this._addScopeAlias = null
     
     /**
-     * Initialize the logging system
+     * Names of the lifecycle hooks run around every API and scope method
+     * A null name disables that phase
+     */
+    const methodHooks = this.options.methodHooks ?? true;
+    if (typeof methodHooks !== 'boolean' && (typeof methodHooks !== 'object' || methodHooks === null || Array.isArray(methodHooks))) {
+      throw new ConfigurationError(
+        `methodHooks must be a boolean or an object. Received: ${methodHooks === null ? 'null' : typeof methodHooks}. Example: { methodHooks: { error: null } }`,
+        {
+          received: methodHooks,
+          expected: 'boolean or { around, before, after, error }',
+          example: "new Api({ name: 'my-api', methodHooks: { error: null } })"
+        }
+      );
+    }
+    this._methodHookNames = methodHooks === false ?
+      { around: null, before: null, after: null, error: null } :
+      { ...DEFAULT_METHOD_HOOKS, ...(methodHooks === true ? {} : methodHooks) }
+    
+    /** Policy for methods redefined by a different source */
+    this._methodConflicts = this.options.methodConflicts ?? 'warn'
+    if (!METHOD_CONFLICT_POLICIES.includes(this._methodConflicts)) {
+      throw new ConfigurationError(
+        `methodConflicts must be one of: ${METHOD_CONFLICT_POLICIES.join(', ')}. Received: ${this._methodConflicts}`,
+        {
+          received: this._methodConflicts,
+          expected: METHOD_CONFLICT_POLICIES.join(', '),
+          example: "new Api({ name: 'my-api', methodConflicts: 'error' })"
+        }
+      );
+    }
+    
+    /** Size of the worker pool for runIn: 'worker' methods (null: decided by the pool) */
+    const workerPoolSize = this.options.workers?.size ?? null
+    if (this.options.workers !== undefined && (this.options.workers === null || typeof this.options.workers !== 'object' ||
+        (workerPoolSize !== null && (!Number.isInteger(workerPoolSize) || workerPoolSize < 1)))) {
+      throw new ConfigurationError(
+        `workers must be an object with a positive integer size. Received: ${this.options.workers === null ? 'null' : typeof this.options.workers === 'object' ? `size ${workerPoolSize}` : typeof this.options.workers}`,
+        {
+          received: this.options.workers,
+          expected: '{ size: positive integer }',
+          example: "new Api({ name: 'my-api', workers: { size: 4 } })"
+        }
+      );
+    }
+    this._workerPoolSize = workerPoolSize
+    
+    /**
+     * Initialize the logging system
      * Supports both string ('debug', 'info') and numeric (0-4) log levels
      * Falls back to INFO level if invalid
      */
@@ -472,7 +1290,10 @@ export class Api {
           return undefined;
         }
         
-        if (!this._scopes.has(scopeName)) return undefined;
+        if (!this._scopes.has(scopeName)) {
+          // With a scope resolver, unknown names stand for scopes created on first use
+          return this._isResolvableScope(scopeName) ? this._createPendingScope(scopeName) : undefined;
+        }
         
         /**
          * Return a scope proxy that handles method access
@@ -508,10 +1329,11 @@ export class Api {
                 return scopeConfig._helpersProxy;
               }
               
-              // Find handler - check scope-specific methods first, then global scope methods
-              const handler = scopeConfig._scopeMethods?.get(prop) || this._scopeMethods.get(prop);
-              if (!handler) {
-                return undefined; // No method found
+              const definition = this._findScopeMethod(scopeName, prop);
+              if (!definition) {
+                // Child scopes are reached through their parent: api.scopes.users.addresses
+                const childName = `${scopeName}.${prop}`;
+                return this._scopes.has(childName) ? this.scopes[childName] : undefined;
               }
               
               /**
@@ -519,9 +1341,13 @@ export class Api {
                * This function executes when the user calls api.scopes.users.create()
                * It sets up the execution context and handles the entire method lifecycle
                */
-              return async (params = {}, initialContext = {}) => {
+              return async (params = {}, initialContext = {}, { signal = null } = {}) => {
                 const startTime = Date.now();
                 
+                // Cancelled before it started: don't run anything
+                this._validateSignal(signal);
+                signal?.throwIfAborted();
+                
                 // Disabled due to circular reference issues when params contain non-serializable objects
                 // console.log(`🚀 [HOOKED-API-PROXY] Scope method '${prop}' called on '${scopeName}' with params:`, JSON.stringify(params, null, 2));
                 this._logger.debug(`Scope method '${prop}' called on '${scopeName}'`, { params });
@@ -539,7 +1365,7 @@ export class Api {
                  * - Merged helpers (global + scope-specific)
                  * - Scope-specific options and metadata
                  */
-                const scopeContext = this._buildScopeContext(scopeName);
+                const scopeContext = this._buildScopeContext(scopeName, signal);
                 
                 /**
                  * Prepare the complete parameter object for the method handler
@@ -553,6 +1379,7 @@ export class Api {
                   // User data
                   params,           // Method parameters from the caller
                   context,          // Mutable context for hook/method communication
+                  signal,           // AbortSignal of the call, or null
                   
                   // Data access (scope-aware)
                   vars: scopeContext.vars,                 // Merged variables (global + scope)
@@ -561,7 +1388,7 @@ export class Api {
                   scopes: scopeContext.scopes,             // All scopes proxy
                   
                   // Capabilities
-                  runHooks: (name) => scopeContext.runHooks(name, context),  // Hook execution
+                  runHooks: (name, options) => scopeContext.runHooks(name, context, options),  // Hook execution
                   log: scopeContext.log,                   // Logging function
                   
                   // Metadata
@@ -570,6 +1397,8 @@ export class Api {
                   pluginOptions: scopeContext.pluginOptions, // Mutable plugin options
                   scopeOptions: scopeContext.scopeOptions, // Scope-specific options
                   scopeName: scopeName,                     // Current scope name
+                  parentScopeName: scopeContext.parentScopeName,   // Parent of a child scope, or null
+                  parentScopeNames: scopeContext.parentScopeNames, // All ancestors, nearest first
 
                   api: this,
                 };
@@ -587,8 +1416,9 @@ export class Api {
                  * Execute the method with error handling and performance tracking
                  * Logs both successful completions and failures with timing info
                  */
+                this._scopeCallsInFlight.set(scopeName, (this._scopeCallsInFlight.get(scopeName) ?? 0) + 1);
                 try {
-                  const result = await handler(handlerParams);
+                  const result = this._shapeMethodResult(definition, await this._executeMethod(definition, handlerParams, scopeName), prop, scopeName);
                   const duration = Date.now() - startTime;
                   this._logger.debug(`Scope method '${prop}' on '${scopeName}' completed`, { duration: `${duration}ms` });
                   return result;
@@ -596,6 +1426,11 @@ export class Api {
                   const duration = Date.now() - startTime;
                   this._logger.error(`Scope method '${prop}' on '${scopeName}' failed`, { error: error.message, duration: `${duration}ms` });
                   throw error;
+                } finally {
+                  // Tracked so removeScope() can tell whether the scope is in use
+                  const remaining = this._scopeCallsInFlight.get(scopeName) - 1;
+                  if (remaining > 0) this._scopeCallsInFlight.set(scopeName, remaining);
+                  else this._scopeCallsInFlight.delete(scopeName);
                 }
               };
             }
@@ -609,10 +1444,18 @@ export class Api {
       
       /**
        * Enable iteration over scopes with for...in loops
-       * Returns all scope names as enumerable properties
+       * Returns all top-level scope names as enumerable properties
        */
       ownKeys: (target) => {
-        return Array.from(this._scopes.keys()).filter(key => !isDangerousProp(key));
+        return Array.from(this._scopes.keys()).filter(key => !isDangerousProp(key) && !key.includes('.'));
+      },
+      
+      /**
+       * Make 'name' in api.scopes true only for scopes that exist
+       * (a scope resolver makes api.scopes.anyName truthy, see setScopeResolver())
+       */
+      has: (target, prop) => {
+        return typeof prop === 'string' && !isDangerousProp(prop) && !prop.includes('.') && this._scopes.has(prop);
       },
       
       /**
@@ -624,7 +1467,7 @@ export class Api {
           return undefined;
         }
         
-        if (this._scopes.has(prop)) {
+        if (this._scopes.has(prop) && !prop.includes('.')) {
           return {
             value: this._scopes.get(prop),
             enumerable: true,
@@ -678,9 +1521,13 @@ export class Api {
            * Return a bound async function that executes the method
            * with full context, logging, and error handling
            */
-          return async (params = {}, initialContext = {}) => {
+          return async (params = {}, initialContext = {}, { signal = null } = {}) => {
             const startTime = Date.now();
-            const handler = target._apiMethods.get(prop);
+            const definition = target._apiMethods.get(prop);
+            
+            // Cancelled before it started: don't run anything
+            target._validateSignal(signal);
+            signal?.throwIfAborted();
             
             target._logger.debug(`API method '${prop}' called`, { params });
             
@@ -696,20 +1543,24 @@ export class Api {
              */
             const log = target._createContextLogger(prop);
             
+            // Scopes whose methods inherit this call's signal
+            const scopes = target._bindScopesToSignal(signal);
+            
             // Create flattened handler context
             const handlerParams = { 
               // User data
               params,
               context,
+              signal,                // AbortSignal of the call, or null
               
               // Data access
               vars: target._varsProxy,
               helpers: target._helpersProxy,
               scope: null,           // No current scope for global methods
-              scopes: target.scopes,  // All scopes proxy
+              scopes,                // All scopes proxy
               
               // Capabilities
-              runHooks: (name) => target._runHooks(name, context, null),
+              runHooks: (name, options) => target._runHooks(name, context, null, { signal, ...options }),
               log,
               
               // Metadata
@@ -723,11 +1574,11 @@ export class Api {
             
             // Add alias if one is set
             if (target._scopeAlias) {
-              handlerParams[target._scopeAlias] = target.scopes;
+              handlerParams[target._scopeAlias] = scopes;
             }
             
             try {
-              const result = await handler(handlerParams);
+              const result = target._shapeMethodResult(definition, await target._executeMethod(definition, handlerParams, null), prop, null);
               const duration = Date.now() - startTime;
               target._logger.debug(`API method '${prop}' completed`, { duration: `${duration}ms` });
               return result;
@@ -751,6 +1602,13 @@ export class Api {
     }
     */
 
+    /**
+     * Register the proxy (not 'this') so that instances found through
+     * the registry expose API methods just like the original reference
+     */
+    Api.registry.register(proxy);
+    this._logger.trace(`Registered API '${this.options.name}'${this.options.version ? ` version ${this.options.version}` : ''}`);
+
     return proxy;
   }
   
@@ -990,9 +1848,10 @@ export class Api {
    * @param {string} hookName - Name of the hook (e.g., 'beforeCreate')
    * @param {string} pluginName - Name of the plugin adding the hook
    * @param {string} functionName - Name of the function for debugging
-   * @param {Object} hookAddOptions - Placement options
+   * @param {Object} hookAddOptions - Placement, priority and type options
    * @param {Function} handler - The hook handler function
-   * @returns {Api} This instance for chaining
+   * @param {string|null} [scopeName=null] - Only run the hook when the chain runs for this scope
+   * @returns {Function} Disposer that removes this hook entry again (returns true if it was removed)
    * 
    * Hook placement options:
    * - beforePlugin: Insert before all hooks from specified plugin
@@ -1000,11 +1859,20 @@ export class Api {
    * - beforeFunction: Insert before specific function
    * - afterFunction: Insert after specific function
    * - No option: Append to end of chain
+   * - priority: Number, higher runs first (default 0); ties keep registration order
+   * 
+   * Placements whose target is not registered yet are resolved later,
+   * when the target hook is added (see _orderHooks)
+   * 
+   * Hook types (hookAddOptions.type):
+   * - Default: Runs in sequence, may return false to stop the chain
+   * - 'around': Middleware-style handler receiving `next()`, which runs the
+   *   rest of the chain (and the method body for method:around)
    * 
    * Hooks are the core extensibility mechanism, allowing plugins
    * to intercept and modify behavior at defined points
    */
-  _addHook(hookName, pluginName, functionName, hookAddOptions, handler) {
+  _addHook(hookName, pluginName, functionName, hookAddOptions, handler, scopeName = null) {
     // Validate plugin name is provided
     if (!pluginName?.trim()) {
       const received = pluginName === undefined ? 'undefined' : pluginName === null ? 'null' : `empty string "${pluginName}"`;
@@ -1060,66 +1928,188 @@ export class Api {
       );
     }
 
-    /**
-     * Initialize hook array if needed and create handler entry
-     * Each hook name maps to an array of handler objects
-     */
-    if (!this._hooks.has(hookName)) {
-      this._hooks.set(hookName, [])
+    if (hookAddOptions.type !== undefined && !HOOK_TYPES.includes(hookAddOptions.type)) {
+      throw new ValidationError(
+        `Hook '${hookName}' has invalid type '${hookAddOptions.type}'. Valid types: ${HOOK_TYPES.join(', ')}. Omit the type for a regular hook.`,
+        {
+          field: 'type',
+          value: hookAddOptions.type,
+          validValues: HOOK_TYPES
+        }
+      );
+    }
+
+    // A regular handler returning false would silently skip the method body
+    if (hookName === this._methodHookNames.around && hookAddOptions.type !== 'around') {
+      throw new ValidationError(
+        `Hook '${hookName}' only accepts around handlers, which run the method with next(). Received a regular handler '${functionName}'. Example: { type: 'around', handler: async ({ next }) => { await next(); } }`,
+        {
+          field: 'type',
+          value: hookAddOptions.type,
+          validValues: ['around']
+        }
+      );
     }
-    
-    const handlers = this._hooks.get(hookName)
-    const entry = { handler, pluginName, functionName }
 
-    // No placement specified - append to end
-    if (placements.length === 0) {
-      handlers.push(entry)
-      return this
+    if (hookAddOptions.priority !== undefined && (typeof hookAddOptions.priority !== 'number' || !Number.isFinite(hookAddOptions.priority))) {
+      throw new ValidationError(
+        `Hook '${hookName}' priority must be a finite number. Received: ${typeof hookAddOptions.priority === 'number' ? hookAddOptions.priority : typeof hookAddOptions.priority}. Example: { priority: 10 }`,
+        {
+          field: 'priority',
+          value: hookAddOptions.priority,
+          validValues: 'finite number'
+        }
+      );
+    }
+
+    if (hookAddOptions.subtree !== undefined && (typeof hookAddOptions.subtree !== 'boolean' || !scopeName)) {
+      throw new ValidationError(
+        `Hook '${hookName}' subtree option must be a boolean and is only available for scope hooks. Example: addScope('users', { hooks: { ${hookName}: { handler, subtree: true } } })`,
+        {
+          field: 'subtree',
+          value: hookAddOptions.subtree,
+          validValues: 'boolean, in a scope hooks option'
+        }
+      );
+    }
+
+    if (hookAddOptions.timeout !== undefined && !isValidTimeout(hookAddOptions.timeout)) {
+      throw new ValidationError(
+        `Hook '${hookName}' timeout must be a positive number of milliseconds. Received: ${hookAddOptions.timeout}. Example: { timeout: 5000 }`,
+        {
+          field: 'timeout',
+          value: hookAddOptions.timeout,
+          validValues: 'positive number'
+        }
+      );
     }
 
     /**
-     * Helper functions for finding hook positions
-     * findIndex: First occurrence (for 'before' placements)
-     * findLastIndex: Last occurrence (for 'after' placements)
+     * Create the handler entry
+     * Placement is stored rather than applied once, so that a hook placed
+     * relative to a plugin that is not installed yet moves into place later
      */
-    const findIndex = (arr, key, value) => arr.findIndex(h => h[key] === value)
-    const findLastIndex = (arr, key, value) => {
-      for (let i = arr.length - 1; i >= 0; i--) {
-        if (arr[i][key] === value) return i
+    const entry = {
+      handler,
+      pluginName,
+      functionName,
+      priority: hookAddOptions.priority ?? 0,
+      placement: null,
+      sequence: this._hookSequence++
+    }
+    if (hookAddOptions.type) {
+      entry.type = hookAddOptions.type
+    }
+    if (hookAddOptions.timeout !== undefined) {
+      entry.timeout = hookAddOptions.timeout
+    }
+    if (scopeName) {
+      entry.scopeName = scopeName
+    }
+    if (hookAddOptions.subtree) {
+      entry.subtree = true
+    }
+    for (const key of ['beforePlugin', 'afterPlugin', 'beforeFunction', 'afterFunction']) {
+      if (hookAddOptions[key]) {
+        entry.placement = { [key]: hookAddOptions[key] }
       }
-      return -1
     }
 
+    const handlers = this._hooks.get(hookName) || []
+    this._hooks.set(hookName, this._orderHooks([...handlers, entry]))
+    
+    // Dispose this exact entry, even if other hooks share its names
+    return () => this._removeHooks(candidate => candidate === entry) > 0
+  }
+
+  /**
+   * Computes the execution order of a hook chain
+   *
+   * @private
+   * @param {Array<Object>} entries - Hook entries for one hook name
+   * @returns {Array<Object>} New array in execution order
+   *
+   * Ordering rules:
+   * 1. Higher priority runs first; equal priorities keep registration order
+   * 2. Entries with a placement (beforePlugin, afterPlugin, beforeFunction,
+   *    afterFunction) are then moved next to their target, overriding priority:
+   *    - beforePlugin: before the first hook from that plugin
+   *    - afterPlugin: after the last hook from that plugin
+   *    - beforeFunction: before the first hook with that function name
+   *    - afterFunction: after the first hook with that function name
+   * 3. Entries whose target is not registered (yet) stay in priority order
+   *
+   * The order is recomputed whenever the chain changes, so placements
+   * resolve as soon as their target is added.
+   */
+  _orderHooks(entries) {
+    const byPriority = (a, b) => (b.priority - a.priority) || (a.sequence - b.sequence)
+
     /**
-     * Calculate insertion index based on placement options
-     * - beforePlugin: Insert before first hook from that plugin
-     * - afterPlugin: Insert after last hook from that plugin
-     * - beforeFunction: Insert before specific function
-     * - afterFunction: Insert after specific function
+     * Finds the insertion index for a placement, or -1 if the target is missing
      */
-    let index = -1
-    if (hookAddOptions.beforePlugin) {
-      index = findIndex(handlers, 'pluginName', hookAddOptions.beforePlugin)
-    } else if (hookAddOptions.afterPlugin) {
-      index = findLastIndex(handlers, 'pluginName', hookAddOptions.afterPlugin)
-      if (index !== -1) index++ // Insert after the found position
-    } else if (hookAddOptions.beforeFunction) {
-      index = findIndex(handlers, 'functionName', hookAddOptions.beforeFunction)
-    } else if (hookAddOptions.afterFunction) {
-      index = findIndex(handlers, 'functionName', hookAddOptions.afterFunction)
-      if (index !== -1) index++ // Insert after the found position
+    const findPosition = (list, placement) => {
+      const [[key, value]] = Object.entries(placement)
+      const field = key.endsWith('Plugin') ? 'pluginName' : 'functionName'
+      if (key === 'afterPlugin') {
+        for (let i = list.length - 1; i >= 0; i--) {
+          if (list[i][field] === value) return i + 1
+        }
+        return -1
+      }
+      const index = list.findIndex(h => h[field] === value)
+      if (index === -1) return -1
+      return key === 'afterFunction' ? index + 1 : index
     }
 
-    /**
-     * Insert the hook at the calculated position
-     * If placement target not found, append to end as fallback
-     */
-    if (index === -1) {
-      handlers.push(entry)
-    } else {
-      handlers.splice(index, 0, entry)
+    const resolvable = (entry) => entry.placement && findPosition(entries.filter(other => other !== entry), entry.placement) !== -1
+
+    const ordered = entries.filter(entry => !resolvable(entry)).sort(byPriority)
+    let pending = entries.filter(resolvable).sort((a, b) => a.sequence - b.sequence)
+
+    // Targets may themselves be placed entries, so insert until no progress is made
+    let progress = true
+    while (pending.length > 0 && progress) {
+      progress = false
+      const stillPending = []
+      for (const entry of pending) {
+        const index = findPosition(ordered, entry.placement)
+        if (index === -1) {
+          stillPending.push(entry)
+        } else {
+          ordered.splice(index, 0, entry)
+          progress = true
+        }
+      }
+      pending = stillPending
     }
-    return this
+
+    // Circular placements cannot be satisfied - fall back to appending
+    return [...ordered, ...pending.sort(byPriority)]
+  }
+
+  /**
+   * Removes every hook entry matching a predicate
+   *
+   * @private
+   * @param {Function} predicate - Called with (entry, hookName); return true to remove
+   * @returns {number} Number of hook entries removed
+   *
+   * Hook names left without handlers are deleted from the hook map
+   */
+  _removeHooks(predicate) {
+    let removed = 0
+    for (const [hookName, handlers] of this._hooks) {
+      const remaining = handlers.filter(entry => !predicate(entry, hookName))
+      removed += handlers.length - remaining.length
+      if (remaining.length === 0) {
+        this._hooks.delete(hookName)
+      } else if (remaining.length !== handlers.length) {
+        // Reorder so hooks placed relative to removed ones fall back to priority order
+        this._hooks.set(hookName, this._orderHooks(remaining))
+      }
+    }
+    return removed
   }
 
   /**
@@ -1127,6 +2117,8 @@ export class Api {
    * 
    * @private
    * @param {string} scopeName - Name of the scope
+   * @param {AbortSignal|null} [signal=null] - Signal of the current call, inherited by
+   *   methods called through `scopes` and by hooks run through `runHooks`
    * @returns {Object} Context with merged vars, helpers, and scope-specific settings
    * @throws {ScopeError} If scope doesn't exist
    * 
@@ -1138,7 +2130,7 @@ export class Api {
    * 
    * The context is rebuilt for each method call to ensure isolation
    */
-  _buildScopeContext(scopeName) {
+  _buildScopeContext(scopeName, signal = null) {
     const scopeConfig = this._scopes.get(scopeName);
     if (!scopeConfig) {
       const availableScopes = Array.from(this._scopes.keys());
@@ -1171,12 +2163,14 @@ export class Api {
     return {
       vars: scopeConfig._varsProxy,      // Use pre-built proxy
       helpers: scopeConfig._helpersProxy, // Use pre-built proxy
-      scopes: this.scopes,
-      runHooks: (name, context) => this._runHooks(name, context, scopeName),
+      scopes: this._bindScopesToSignal(signal),
+      runHooks: (name, context, options) => this._runHooks(name, context, scopeName, { signal, ...options }),
       log,
       apiOptions: Object.freeze({ ...this._apiOptions }),
       pluginOptions: Object.freeze({ ...this._pluginOptions }),
-      scopeOptions: scopeConfig.options
+      scopeOptions: scopeConfig.options,
+      parentScopeName: scopeConfig.parent,
+      parentScopeNames: this._getParentScopeNames(scopeName)
     };
   }
   
@@ -1184,6 +2178,7 @@ export class Api {
    * Builds a context object for global (non-scope) operations
    * 
    * @private
+   * @param {AbortSignal|null} [signal=null] - Signal of the current call (see _buildScopeContext)
    * @returns {Object} Context for global method execution
    * 
    * Similar to scope context but without scope-specific data:
@@ -1191,7 +2186,7 @@ export class Api {
    * - No scope merging or precedence
    * - Used for API-level methods and global hooks
    */
-  _buildGlobalContext() {
+  _buildGlobalContext(signal = null) {
     // Create logger for global context
     const log = this._createContextLogger('global');
     
@@ -1199,179 +2194,652 @@ export class Api {
     return {
       vars: this._varsProxy,      // Already a proxy
       helpers: this._helpersProxy, // Already a proxy
-      scopes: this.scopes,
-      runHooks: this._runHooks.bind(this),
+      scopes: this._bindScopesToSignal(signal),
+      runHooks: (name, context, options) => this._runHooks(name, context, null, { signal, ...options }),
       log,
       apiOptions: Object.freeze({ ...this._apiOptions }),
       pluginOptions: Object.freeze({ ...this._pluginOptions })
     };
   }
 
+  /**
+   * Returns a view of api.scopes whose methods default to the given signal
+   *
+   * @private
+   * @param {AbortSignal|null} signal - Signal to propagate
+   * @returns {Proxy} api.scopes itself if there is no signal
+   *
+   * This is what makes cancellation follow nested calls: a handler calling
+   * scopes.posts.list() passes its own signal along without doing anything.
+   * A signal passed explicitly to the nested call takes precedence.
+   */
+  _bindScopesToSignal(signal) {
+    if (!signal) return this.scopes;
+    const bindScope = (scopeName) => {
+      const scope = this.scopes[scopeName];
+      if (!scope) return scope;
+      return new Proxy(scope, {
+        get: (target, prop) => {
+          const value = target[prop];
+          // Only scope methods and child scopes are functions here (vars/helpers are proxied objects)
+          if (typeof value !== 'function') return value;
+          if (this._scopes.has(`${scopeName}.${prop}`) && !this._findScopeMethod(scopeName, prop)) return bindScope(`${scopeName}.${prop}`);
+          return (params, initialContext, callOptions = {}) => value(params, initialContext, { signal, ...callOptions });
+        }
+      });
+    };
+    return new Proxy(this.scopes, {
+      get: (scopes, scopeName) => bindScope(scopeName)
+    });
+  }
+
+  /**
+   * Validates the signal passed to a method call or hook run
+   *
+   * @private
+   * @param {*} signal - Value to check
+   * @throws {ValidationError} If a signal is given but is not an AbortSignal
+   */
+  _validateSignal(signal) {
+    if (signal != null && !(signal instanceof AbortSignal)) {
+      throw new ValidationError(
+        `signal must be an AbortSignal. Received: ${typeof signal}. Example: api.scopes.users.list(params, {}, { signal: controller.signal })`,
+        {
+          field: 'signal',
+          value: signal,
+          validValues: 'AbortSignal'
+        }
+      );
+    }
+  }
+
   /**
    * Executes all handlers for a specific hook
    * 
    * @private
    * @param {string} name - Hook name (e.g., 'beforeCreate')
    * @param {Object} context - Mutable context object shared between hooks
-   * @param {Object} params - Method parameters
    * @param {string|null} scopeName - Current scope name if applicable
+   * @param {Object} [options] - Execution options (override api.configureHook() settings)
+   * @param {string} [options.mode='sequential'] - 'sequential' or 'parallel'
+   * @param {number} [options.concurrency=Infinity] - Max handlers running at once in parallel mode
+   * @param {Function} [options.final] - Async function run when the end of the chain
+   *   is reached, so that around hooks also wrap it (used for method bodies)
+   * @param {AbortSignal} [options.signal] - Checked before each handler; an aborted
+   *   signal stops the chain by throwing signal.reason. Handlers receive it as `signal`
    * @returns {Promise<boolean>} True if all hooks passed, false if chain was stopped
+   * @throws {HookAggregateError} In parallel mode, if any handler throws
    * 
    * Hook execution features:
    * - Sequential execution in registration order
    * - Chain stopping: Return false to prevent further hooks
+   * - Around hooks: Handlers registered with type 'around' receive a `next`
+   *   function that runs the rest of the chain; not calling it stops the chain
+   * - Parallel mode: All handlers run concurrently; errors are collected
    * - Error propagation: Thrown errors stop execution
    * - Performance tracking: Logs timing for each handler
    * - Context sharing: All hooks receive the same context object
    */
-  async _runHooks(name, context, scopeName = null) {
-    const handlers = this._hooks.get(name) || []
+  async _runHooks(name, context, scopeName = null, options = {}) {
+    const resolved = this._resolveHookOptions(name, options);
+    this._validateSignal(resolved.signal);
+    if (resolved.timeout == null) {
+      return this._runHookChain(name, context, scopeName, resolved, null);
+    }
+    
+    /**
+     * Chain timeout: a single deadline shared by every handler (and `final`)
+     * in the chain. `running` holds the handlers currently executing, so the
+     * error can name the innermost one
+     */
+    const running = [];
+    let timer;
+    const deadline = {
+      running,
+      expired: new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const current = running[running.length - 1];
+          reject(new TimeoutError(
+            `Hook '${name}' timed out after ${resolved.timeout}ms` +
+            (current ? ` while running handler '${current.functionName}' (plugin '${current.pluginName}')` : ''),
+            {
+              timeout: resolved.timeout,
+              hookName: name,
+              pluginName: current?.pluginName,
+              functionName: current?.functionName,
+              scopeName
+            }
+          ));
+        }, resolved.timeout);
+      })
+    };
+    // Nobody may be racing the deadline when it fires (e.g. between handlers)
+    deadline.expired.catch(() => {});
+    
+    try {
+      return await Promise.race([this._runHookChain(name, context, scopeName, resolved, deadline), deadline.expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Runs the handlers of a hook chain
+   *
+   * @private
+   * @param {string} name - Hook name
+   * @param {Object} context - Shared context object
+   * @param {string|null} scopeName - Scope name, for scope-specific filtering
+   * @param {Object} resolved - Options from _resolveHookOptions
+   * @param {Object|null} deadline - Chain deadline from _runHooks, if a chain timeout is set
+   * @returns {Promise<boolean>} See _runHooks
+   */
+  async _runHookChain(name, context, scopeName, { mode, concurrency, final, signal = null }, deadline) {
+    const runWithDeadline = (fn) => deadline ? Promise.race([fn(), deadline.expired]) : fn();
+    
+    // Cancellation is checked between handlers: running handlers are not interrupted
+    const runFinal = () => {
+      signal?.throwIfAborted();
+      return runWithDeadline(final);
+    };
+    
+    /**
+     * Calls one handler, enforcing its own timeout and the chain deadline
+     */
+    const invoke = async (entry, handlerParams) => {
+      const { handler, pluginName, functionName, timeout } = entry;
+      deadline?.running.push(entry);
+      try {
+        const call = () => handler(handlerParams);
+        if (timeout === undefined) {
+          return await runWithDeadline(call);
+        }
+        return await runWithDeadline(() => withTimeout(call(), timeout, () => new TimeoutError(
+          `Hook handler '${functionName}' (plugin '${pluginName}') for hook '${name}' timed out after ${timeout}ms`,
+          {
+            timeout,
+            hookName: name,
+            pluginName,
+            functionName,
+            scopeName
+          }
+        )));
+      } finally {
+        deadline?.running.splice(deadline.running.lastIndexOf(entry), 1);
+      }
+    };
+    
+    /**
+     * Scope-specific hooks (from addScope options) only run for their own scope
+     * and the scopes extending it, plus its child scopes if declared with
+     * `subtree: true`. A scope overrides an inherited hook by declaring a hook
+     * with the same function name.
+     */
+    const entries = this._hooks.get(name) || []
+    const depths = new Map(scopeName ? this._getScopeChain(this._scopes.get(scopeName)).map((config, depth) => [config.name, depth]) : [])
+    const handlers = entries.filter(entry => !entry.scopeName ||
+      (entry.subtree && scopeName?.startsWith(`${entry.scopeName}.`)) ||
+      (depths.has(entry.scopeName) && !entries.some(other =>
+        other.functionName === entry.functionName && depths.get(other.scopeName) < depths.get(entry.scopeName)
+      ))
+    )
     if (handlers.length === 0) {
       this._logger.trace(`No handlers for hook '${name}'${scopeName ? ` in scope '${scopeName}'` : ''}`);
+      if (final) await runFinal();
       return true;
     }
     
-    const hookContext = scopeName ? `${scopeName}:${name}` : name;
-    this._logger.debug(`Running hook '${name}'${scopeName ? ` for scope '${scopeName}'` : ''}`, { handlerCount: handlers.length });
+    this._logger.debug(`Running hook '${name}'${scopeName ? ` for scope '${scopeName}'` : ''}`, { handlerCount: handlers.length, mode });
     
-    const handlerContext = scopeName ? this._buildScopeContext(scopeName) : this._buildGlobalContext();
+    signal?.throwIfAborted();
+    const handlerContext = scopeName ? this._buildScopeContext(scopeName, signal) : this._buildGlobalContext(signal);
     
     /**
-     * Execute each hook handler in sequence
-     * Track success and allow chain interruption
+     * Prepare comprehensive parameters for hook handlers
+     * Provides everything a hook might need to modify behavior
      */
-    let handlerIndex = 0;
-    let allSuccessful = true;
-    for (const { handler, pluginName, functionName } of handlers) {
-      const startTime = Date.now();
-      this._logger.trace(`Hook handler '${functionName}' starting`, { plugin: pluginName, hook: name, scope: scopeName });
+    const buildHandlerParams = () => {
+      const handlerParams = { 
+        // User data
+        context,
+        signal,
         
-        /**
-         * Prepare comprehensive parameters for hook handlers
-         * Provides everything a hook might need to modify behavior
-         */
-        const handlerParams = { 
-          // User data
-          context,
+        // Data access
+        vars: handlerContext.vars,
+        helpers: handlerContext.helpers,
+        scope: scopeName ? handlerContext.scopes[scopeName] : null,  // Current scope if in scope context
+        scopes: handlerContext.scopes,                        // All scopes proxy
+        
+        // Capabilities
+        runHooks: handlerContext.runHooks,
+        log: handlerContext.log,
+        
+        // Metadata
+        name,
+        apiOptions: handlerContext.apiOptions,
+        pluginOptions: handlerContext.pluginOptions,
+        scopeOptions: handlerContext.scopeOptions,
+        scopeName,
+        parentScopeName: handlerContext.parentScopeName ?? null,
+        parentScopeNames: handlerContext.parentScopeNames ?? [],
+
+        api: this
+      };
+      
+      // Add alias if one is set
+      if (this._scopeAlias) {
+        handlerParams[this._scopeAlias] = handlerContext.scopes;
+      }
+      return handlerParams;
+    };
+    
+    const logFailure = (functionName, pluginName, error, startTime) => {
+      this._logger.error(`Hook handler '${functionName}' failed`, {
+        plugin: pluginName,
+        hook: name,
+        error: error?.message,
+        duration: `${Date.now() - startTime}ms`
+      });
+    };
+    
+    let handlerIndex = 0;
+    let allSuccessful;
+    
+    if (mode === 'parallel') {
+      /**
+       * Run all handlers concurrently (at most `concurrency` at a time)
+       * Every handler runs even if others fail or return false;
+       * failures are collected into a single HookAggregateError
+       */
+      const around = handlers.find(entry => entry.type === 'around');
+      if (around) {
+        throw new ValidationError(
+          `Hook '${name}' cannot run in parallel mode: around hook '${around.functionName}' (plugin '${around.pluginName}') needs sequential execution.`,
+          {
+            field: 'mode',
+            value: mode,
+            validValues: ['sequential']
+          }
+        );
+      }
+      
+      const failures = [];
+      let stopped = false;
+      let nextIndex = 0;
+      const worker = async () => {
+        while (nextIndex < handlers.length && !signal?.aborted) {
+          const entry = handlers[nextIndex++];
+          const { pluginName, functionName } = entry;
+          const startTime = Date.now();
+          this._logger.trace(`Hook handler '${functionName}' starting`, { plugin: pluginName, hook: name, scope: scopeName });
+          try {
+            const result = await invoke(entry, buildHandlerParams());
+            handlerIndex++;
+            if (result === false) stopped = true;
+            this._logger.trace(`Hook handler '${functionName}' completed`, { plugin: pluginName, hook: name, duration: `${Date.now() - startTime}ms` });
+          } catch (error) {
+            logFailure(functionName, pluginName, error, startTime);
+            failures.push({ error, pluginName, functionName });
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, handlers.length) }, worker));
+      // Handlers not started yet were skipped; the ones already running have settled
+      signal?.throwIfAborted();
+      
+      if (failures.length > 0) {
+        throw new HookAggregateError(
+          `${failures.length} of ${handlers.length} handler(s) for hook '${name}' failed: ${failures.map(({ functionName, error }) => `${functionName} (${error?.message ?? error})`).join(', ')}`,
+          {
+            hookName: name,
+            errors: failures.map(({ error }) => error),
+            failures
+          }
+        );
+      }
+      
+      if (final && !stopped) await runFinal();
+      allSuccessful = !stopped;
+    } else {
+      /**
+       * Execute hook handlers in sequence starting at a given index
+       * Around handlers call back into this function through next()
+       */
+      const runFrom = async (startIndex) => {
+        for (let index = startIndex; index < handlers.length; index++) {
+          signal?.throwIfAborted();
+          const entry = handlers[index];
+          const { pluginName, functionName, type } = entry;
+          const startTime = Date.now();
+          this._logger.trace(`Hook handler '${functionName}' starting`, { plugin: pluginName, hook: name, scope: scopeName });
           
-          // Data access
-          vars: handlerContext.vars,
-          helpers: handlerContext.helpers,
-          scope: scopeName ? handlerContext.scopes[scopeName] : null,  // Current scope if in scope context
-          scopes: handlerContext.scopes,                        // All scopes proxy
+          const handlerParams = buildHandlerParams();
           
-          // Capabilities
-          runHooks: handlerContext.runHooks,
-          log: handlerContext.log,
+          /**
+           * Around handlers get next() to run the rest of the chain
+           * It can be called more than once (e.g. to retry); the last call wins
+           */
+          let downstream = false;
+          let downstreamError = null;
+          if (type === 'around') {
+            handlerParams.next = async () => {
+              try {
+                downstream = await runFrom(index + 1);
+                return downstream;
+              } catch (error) {
+                downstreamError = { error };
+                throw error;
+              }
+            };
+          }
           
-          // Metadata
-          name,
-          apiOptions: handlerContext.apiOptions,
-          pluginOptions: handlerContext.pluginOptions,
-          scopeOptions: handlerContext.scopeOptions,
-          scopeName,
+          /**
+           * Execute hook with error handling
+           * - False return value stops the chain (successfully)
+           * - Exceptions propagate and stop execution
+           * - All other returns continue the chain
+           */
+          try {
+            const result = await invoke(entry, handlerParams);
+            const duration = Date.now() - startTime;
+            handlerIndex++;
 
-          api: this
-        };
-        
-        // Add alias if one is set
-        if (this._scopeAlias) {
-          handlerParams[this._scopeAlias] = handlerContext.scopes;
-        }
-        
-        /**
-         * Execute hook with error handling
-         * - False return value stops the chain (successfully)
-         * - Exceptions propagate and stop execution
-         * - All other returns continue the chain
-         */
-        try {
-          const result = await handler(handlerParams);
-          const duration = Date.now() - startTime;
-
-          if (result === false) {
-            this._logger.debug(`Hook handler '${functionName}' stopped chain`, { plugin: pluginName, hook: name, duration: `${duration}ms` });
-            allSuccessful = false;
-            break; // Stop processing further hooks
-          } else {
+            if (type === 'around') {
+              // The around handler already ran (or skipped) the rest of the chain
+              const completed = result !== false && downstream === true;
+              this._logger.trace(`Around hook handler '${functionName}' completed`, { plugin: pluginName, hook: name, chainCompleted: completed, duration: `${duration}ms` });
+              return completed;
+            }
+
+            if (result === false) {
+              this._logger.debug(`Hook handler '${functionName}' stopped chain`, { plugin: pluginName, hook: name, duration: `${duration}ms` });
+              return false; // Stop processing further hooks
+            }
             this._logger.trace(`Hook handler '${functionName}' completed`, { plugin: pluginName, hook: name, duration: `${duration}ms` });
+          } catch (error) {
+            // Errors passing up through around handlers were already logged downstream
+            if (downstreamError?.error !== error) {
+              logFailure(functionName, pluginName, error, startTime);
+            }
+            throw error; // Propagate error to method caller
           }
-        } catch (error) {
-          const duration = Date.now() - startTime;
-          this._logger.error(`Hook handler '${functionName}' failed`, {
-            plugin: pluginName,
-            hook: name,
-            error: error.message,
-            duration: `${duration}ms`
-          });
-          throw error; // Propagate error to method caller
         }
         
-        handlerIndex++;
+        if (final) await runFinal();
+        return true;
+      };
+      
+      allSuccessful = await runFrom(0);
     }
     
     this._logger.debug(`Hook '${name}' completed${scopeName ? ` for scope '${scopeName}'` : ''}`, { handlersRun: handlerIndex });
     return allSuccessful;
   }
 
-  
   /**
-   * Adds a method directly to the API instance
-   * 
+   * Merges per-call hook options with the hook's configured defaults
+   *
    * @private
-   * @param {string} method - Method name
-   * @param {Function} handler - Method implementation
-   * @returns {Api} This instance for chaining
-   * @throws {ValidationError} If method name is invalid
-   * @throws {MethodError} If method conflicts with existing property
-   * 
-   * API methods are accessible directly on the API instance:
-   * api.myMethod() instead of api.scopes.something.myMethod()
-   * 
-   * Used for global operations that don't belong to a specific scope
+   * @param {string} name - Hook name
+   * @param {Object} options - Per-call options passed to _runHooks
+   * @returns {Object} Resolved { mode, concurrency, timeout, final }
+   * @throws {ValidationError} If mode, concurrency or timeout are invalid
    */
-  async _addApiMethod(method, handler) {
-    if (!method || typeof method !== 'string') {
-      const received = method === undefined ? 'undefined' : 
-                      method === null ? 'null' : 
-                      method === '' ? 'empty string' :
-                      `${typeof method} "${method}"`;
+  _resolveHookOptions(name, options) {
+    const resolved = {
+      mode: 'sequential',
+      concurrency: Infinity,
+      ...(this._hookConfigs.get(name) || {}),
+      ...Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value !== undefined))
+    };
+    this._validateHookConfig(name, resolved);
+    return resolved;
+  }
+
+  /**
+   * Validates hook execution settings
+   *
+   * @private
+   * @param {string} name - Hook name, for error messages
+   * @param {Object} config - { mode, concurrency, timeout }
+   * @throws {ValidationError} If a setting is invalid
+   */
+  _validateHookConfig(name, { mode, concurrency, timeout }) {
+    if (mode !== undefined && !HOOK_MODES.includes(mode)) {
       throw new ValidationError(
-        `Method name must be a non-empty string. Received: ${received}. Example: addApiMethod('getData', async (context) => { /* handler */ })`,
+        `Hook '${name}' has invalid mode '${mode}'. Valid modes: ${HOOK_MODES.join(', ')}.`,
         {
-          field: 'method',
-          value: method,
-          validValues: 'non-empty string'
+          field: 'mode',
+          value: mode,
+          validValues: HOOK_MODES
         }
       );
     }
-    if (!VALID_JS_IDENTIFIER.test(method)) {
-      const invalidChars = method.match(/[^a-zA-Z0-9_$]/g);
-      const suggestion = invalidChars ? 
-        `Remove invalid characters: ${[...new Set(invalidChars)].join(', ')}` :
-        'Method name must start with a letter, underscore, or $';
+    if (concurrency !== undefined && concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0)) {
       throw new ValidationError(
-        `Method name '${method}' is not a valid JavaScript identifier. ${suggestion}. Valid examples: getData, _private, $special, method123`,
+        `Hook '${name}' concurrency must be a positive integer or Infinity. Received: ${concurrency}.`,
         {
-          field: 'method',
-          value: method,
-          validValues: 'valid JavaScript identifier'
+          field: 'concurrency',
+          value: concurrency,
+          validValues: 'positive integer or Infinity'
         }
       );
     }
-    if (isDangerousProp(method)) {
+    // null explicitly disables a configured chain timeout
+    if (timeout !== undefined && timeout !== null && !isValidTimeout(timeout)) {
       throw new ValidationError(
-        `Method name '${method}' is reserved for security reasons. These names can lead to prototype pollution vulnerabilities. Choose a different name.`,
+        `Hook '${name}' timeout must be a positive number of milliseconds. Received: ${timeout}.`,
         {
-          field: 'method',
-          value: method,
-          validValues: 'non-dangerous JavaScript identifier'
+          field: 'timeout',
+          value: timeout,
+          validValues: 'positive number or null'
         }
       );
     }
-    if (typeof handler !== 'function') {
+  }
+
+  /**
+   * Checks a method result against the definition's returns schema
+   *
+   * @private
+   * @param {Object} definition - The method definition
+   * @param {*} result - What the method (lifecycle hooks included) returned
+   * @param {string} methodName - Method name, for the error
+   * @param {string|null} scopeName - Scope name, for the error
+   * @returns {*} The result, without undeclared fields if stripUnknown is set
+   * @throws {MethodError} If the result doesn't match the schema
+   *
+   * Runs in the method proxies after everything else, so it checks what the
+   * caller actually receives, including results set by hooks
+   */
+  _shapeMethodResult({ returns, stripUnknown }, result, methodName, scopeName) {
+    if (!returns) return result;
+    const shaped = stripUnknown ? stripUnknownFields(returns, result) : result;
+    const failures = validateSchema(returns, shaped, 'result');
+    if (failures.length > 0) {
+      const label = scopeName ? `Scope method '${methodName}' on scope '${scopeName}'` : `API method '${methodName}'`;
+      throw new MethodError(
+        `${label} returned an invalid result: ${failures.map(({ message }) => message).join('; ')}`,
+        {
+          methodName,
+          scopeName,
+          errors: failures,
+          suggestion: `Make the handler (or the hooks setting context.result) return data matching the returns schema of '${methodName}'`
+        }
+      );
+    }
+    return shaped;
+  }
+
+  /**
+   * Runs a method handler wrapped in the method lifecycle hooks
+   *
+   * @private
+   * @param {Object} definition - The method definition ({ handler, timeout, params })
+   * @param {Object} handlerParams - Parameters prepared by the method proxy
+   * @param {string|null} scopeName - Scope name for scope methods, null for API methods
+   * @returns {Promise<*>} The method result
+   *
+   * Lifecycle (hook names configurable via the `methodHooks` option):
+   * - method:around - Around hooks wrapping everything below; `await next()`
+   *   runs the before hooks, handler and after hooks. Not calling next()
+   *   skips them and returns context.result
+   * - method:before - Runs before the handler. Hooks may replace context.params,
+   *   or set context.result to short-circuit: the handler and method:after
+   *   are skipped and context.result is returned
+   * - method:after - Runs after the handler with context.result set. Hooks may
+   *   replace context.result
+   * - method:error - Runs if anything above throws, with context.error set.
+   *   Hooks may replace context.error, or delete it to recover, in which case
+   *   context.result is returned
+   *
+   * All of them receive the same context: { name, scopeName, params, context, result, error }
+   * where `context` is the method's own mutable context object
+   *
+   * A method timeout covers everything except the error hooks, which see the
+   * TimeoutError like any other failure
+   */
+  async _executeMethod({ handler, timeout, params: paramsSchema }, handlerParams, scopeName) {
+    const { around, before, after, error: errorHook } = this._methodHookNames;
+    const { signal } = handlerParams;
+
+    // Invalid params are rejected before anything runs, error hooks included
+    if (paramsSchema) {
+      const failures = validateSchema(paramsSchema, handlerParams.params);
+      if (failures.length > 0) {
+        throw new ValidationError(
+          `Invalid params for method '${handlerParams.name}'${scopeName ? ` on scope '${scopeName}'` : ''}: ${failures.map(({ message }) => message).join('; ')}`,
+          {
+            field: 'params',
+            value: handlerParams.params,
+            errors: failures
+          }
+        );
+      }
+    }
+    const lifecycleContext = {
+      name: handlerParams.name,
+      scopeName,
+      params: handlerParams.params,
+      context: handlerParams.context
+    };
+
+    /**
+     * The method body: before hooks, handler, after hooks
+     * Run directly, or as the tail of the around hook chain
+     */
+    const runBody = async () => {
+      if (before) {
+        // A result left over from an earlier attempt (around retries) is not a short-circuit
+        delete lifecycleContext.result;
+        await this._runHooks(before, lifecycleContext, scopeName, { signal });
+        if (Object.hasOwn(lifecycleContext, 'result')) {
+          this._logger.debug(`Method '${lifecycleContext.name}' short-circuited by '${before}' hook`);
+          return;
+        }
+        handlerParams.params = lifecycleContext.params;
+      }
+
+      signal?.throwIfAborted();
+      lifecycleContext.result = await this._composeMethodHandler(handler, lifecycleContext.name, scopeName)(handlerParams);
+
+      if (after) {
+        await this._runHooks(after, lifecycleContext, scopeName, { signal });
+      }
+    };
+
+    const run = () => around ? this._runHooks(around, lifecycleContext, scopeName, { final: runBody, signal }) : runBody();
+
+    try {
+      if (timeout === undefined) {
+        await run();
+      } else {
+        const { name } = lifecycleContext;
+        await withTimeout(run(), timeout, () => new TimeoutError(
+          `Method '${name}'${scopeName ? ` on scope '${scopeName}'` : ''} timed out after ${timeout}ms`,
+          {
+            timeout,
+            methodName: name,
+            scopeName
+          }
+        ));
+      }
+      return lifecycleContext.result;
+    } catch (error) {
+      if (!errorHook) throw error;
+
+      lifecycleContext.error = error;
+      await this._runHooks(errorHook, lifecycleContext, scopeName);
+      if (Object.hasOwn(lifecycleContext, 'error')) {
+        throw lifecycleContext.error;
+      }
+      this._logger.debug(`Method '${lifecycleContext.name}' recovered by '${errorHook}' hook`);
+      return lifecycleContext.result;
+    }
+  }
+
+  /**
+   * Wraps a method handler with the wrappers registered for it
+   *
+   * @private
+   * @param {Function} handler - The method's handler
+   * @param {string} methodName - Method name
+   * @param {string|null} scopeName - Scope of the call, null for API methods
+   * @returns {Function} Handler running the wrappers, outermost first, around the original
+   *
+   * Wrappers are looked up on every call, so they apply to methods defined
+   * before or after them. Each wrapper receives the handler params plus
+   * `next(params?)`, which calls the next wrapper (or the handler) with the
+   * same handler params, or with new params.
+   */
+  _composeMethodHandler(handler, methodName, scopeName) {
+    // Wrappers restricted to a scope also apply to the scopes extending it
+    const chain = scopeName === null ? [] : this._getScopeChain(this._scopes.get(scopeName)).map(({ name }) => name);
+    const wrappers = this._methodWrappers.filter(entry =>
+      entry.methodName === methodName &&
+      (scopeName === null ?
+        entry.kind === 'api' :
+        entry.kind === 'scope' && (entry.scopeName === null || chain.includes(entry.scopeName)))
+    );
+    return wrappers.reduceRight((inner, { wrapper }) => (handlerParams) => wrapper({
+      ...handlerParams,
+      next: (params = handlerParams.params) => inner({ ...handlerParams, params })
+    }), handler);
+  }
+
+  /**
+   * Normalizes a method definition into a { handler, ...options } record
+   *
+   * @private
+   * @param {string} method - Method name, for error messages
+   * @param {Function|Object} definition - Handler function, or { handler, timeout, params, returns, stripUnknown, onConflict, runIn, module, exportName }
+   * @param {string} kind - 'api' or 'scope', for error messages
+   * @param {string} source - Who defines the method: a plugin name,
+   *   'api-custom:<apiName>' for customize() or 'scope-custom:<scope>' for addScope()
+   * @returns {Object} Definition record as stored in the method maps
+   * @throws {ValidationError} If the handler or an option is invalid
+   *
+   * Options:
+   * - timeout: Milliseconds the whole call (lifecycle hooks included) may take
+   * - params: Schema the call's params must match (see validateSchema)
+   * - returns: Schema the handler's result must match
+   * - stripUnknown: Remove result fields the returns schema doesn't declare
+   * - onConflict: Conflict policy for this definition, overriding the methodConflicts option
+   * - runIn: 'worker' to run the handler in a worker thread (see _runInWorker); the
+   *   handler is then the `exportName` export (default: 'default') of `module`
+   *   (file URL or absolute path) instead of `handler`
+   */
+  _normalizeMethodDefinition(method, definition, kind, source) {
+    const isObject = definition !== null && typeof definition === 'object';
+    const worker = isObject ? this._normalizeWorkerTarget(method, definition) : null;
+    const handler = worker
+      ? (handlerParams) => this._runInWorker(worker, handlerParams)
+      : isObject ? definition.handler : definition;
+    if (typeof handler !== 'function') {
+      const label = kind === 'scope' ? `scope method '${method}'` : `'${method}'`;
+      const adder = kind === 'scope' ? 'addScopeMethod' : 'addApiMethod';
       throw new ValidationError(
-        `Implementation for '${method}' must be a function. Received: ${typeof handler}. Example: addApiMethod('${method}', async (context) => { /* handler code */ })`,
+        `Implementation for ${label} must be a function or an object with a handler function. Received: ${isObject ? `handler ${typeof handler}` : typeof handler}. Example: ${adder}('${method}', async (context) => { /* handler code */ })`,
         {
           field: 'handler',
           value: handler,
@@ -1379,6 +2847,310 @@ export class Api {
         }
       );
     }
+    if (!isObject) {
+      return { handler, source };
+    }
+
+    const { timeout } = definition;
+    if (timeout !== undefined && !isValidTimeout(timeout)) {
+      throw new ValidationError(
+        `Method '${method}' timeout must be a positive number of milliseconds. Received: ${timeout}. Example: { handler, timeout: 5000 }`,
+        {
+          field: 'timeout',
+          value: timeout,
+          validValues: 'positive number'
+        }
+      );
+    }
+    for (const field of ['params', 'returns']) {
+      if (definition[field] === undefined) continue;
+      const problem = findSchemaProblem(definition[field], field);
+      if (problem) {
+        throw new ValidationError(
+          `Method '${method}' has an invalid ${field} schema: ${problem}. Example: { handler, ${field}: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } } }`,
+          {
+            field,
+            value: definition[field],
+            validValues: 'JSON Schema subset'
+          }
+        );
+      }
+    }
+    if (definition.stripUnknown !== undefined && typeof definition.stripUnknown !== 'boolean') {
+      throw new ValidationError(
+        `Method '${method}' stripUnknown must be a boolean. Received: ${typeof definition.stripUnknown}.`,
+        {
+          field: 'stripUnknown',
+          value: definition.stripUnknown,
+          validValues: 'boolean'
+        }
+      );
+    }
+    if (definition.onConflict !== undefined && !METHOD_CONFLICT_POLICIES.includes(definition.onConflict)) {
+      throw new ValidationError(
+        `Method '${method}' onConflict must be one of: ${METHOD_CONFLICT_POLICIES.join(', ')}. Received: ${definition.onConflict}.`,
+        {
+          field: 'onConflict',
+          value: definition.onConflict,
+          validValues: METHOD_CONFLICT_POLICIES
+        }
+      );
+    }
+    if (definition.stripUnknown && definition.returns === undefined) {
+      throw new ValidationError(
+        `Method '${method}' sets stripUnknown without a returns schema. Declare the result shape: { handler, returns: { type: 'object', properties: { /* ... */ } }, stripUnknown: true }`,
+        {
+          field: 'stripUnknown',
+          value: true,
+          validValues: 'requires returns'
+        }
+      );
+    }
+    return { ...definition, ...(worker && { handler, ...worker }), source };
+  }
+
+  /**
+   * Validates the runIn option of a method definition
+   *
+   * @private
+   * @param {string} method - Method name, for error messages
+   * @param {Object} definition - The method definition
+   * @returns {Object|null} { module, exportName } for worker methods, with module
+   *   as a string, or null for methods running in the main thread
+   * @throws {ValidationError} If runIn, module or exportName is invalid, or a
+   *   worker method also has a handler
+   */
+  _normalizeWorkerTarget(method, definition) {
+    const { runIn, handler, module, exportName = 'default' } = definition;
+    if (runIn !== undefined && !METHOD_RUN_IN.includes(runIn)) {
+      throw new ValidationError(
+        `Method '${method}' runIn must be one of: ${METHOD_RUN_IN.join(', ')}. Received: ${runIn}.`,
+        {
+          field: 'runIn',
+          value: runIn,
+          validValues: METHOD_RUN_IN
+        }
+      );
+    }
+    if (runIn !== 'worker') {
+      return null;
+    }
+
+    const example = "Example: { runIn: 'worker', module: new URL('./reports.js', import.meta.url), exportName: 'buildReport' }";
+    if (handler !== undefined) {
+      throw new ValidationError(
+        `Worker method '${method}' cannot have a handler: functions can't be sent to worker threads. Export the handler from a module instead. ${example}`,
+        {
+          field: 'handler',
+          value: handler,
+          validValues: 'undefined (use module and exportName)'
+        }
+      );
+    }
+    const moduleName = module instanceof URL ? module.href : module;
+    if (typeof moduleName !== 'string' || !(moduleName.startsWith('file:') || moduleName.startsWith('/') || /^[a-zA-Z]:[\\/]/.test(moduleName))) {
+      throw new ValidationError(
+        `Worker method '${method}' needs a module given as a file URL or an absolute path. Received: ${typeof moduleName === 'string' ? moduleName : typeof moduleName}. ${example}`,
+        {
+          field: 'module',
+          value: module,
+          validValues: 'file URL or absolute path'
+        }
+      );
+    }
+    if (typeof exportName !== 'string' || exportName === '') {
+      throw new ValidationError(
+        `Worker method '${method}' exportName must be a non-empty string. Received: ${typeof exportName}. ${example}`,
+        {
+          field: 'exportName',
+          value: exportName,
+          validValues: 'export name'
+        }
+      );
+    }
+    return { module: moduleName, exportName };
+  }
+
+  /**
+   * Runs a worker method's handler in the worker pool
+   *
+   * @private
+   * @param {Object} worker - { module, exportName } of the handler
+   * @param {Object} handlerParams - Handler params built by the method proxy
+   * @returns {Promise<*>} The handler's result
+   * @throws {ValidationError} If the params can't be sent to a worker
+   * @throws {Error} The handler's error; HookedApiErrors keep their class
+   *
+   * Called as the method's handler, so hooks, wrappers, schemas and timeouts
+   * all run in the main thread as usual. Only plain data crosses to the worker:
+   * the handler receives { params, name, scopeName, scopeOptions,
+   * parentScopeName, parentScopeNames }, with scopeOptions made serializable.
+   * context, vars, helpers and scopes stay behind. Aborting the call's signal
+   * terminates the worker running it.
+   */
+  async _runInWorker({ module, exportName }, handlerParams) {
+    const { params, name, scopeName = null, scopeOptions = null, parentScopeName = null, parentScopeNames = [], signal } = handlerParams;
+
+    this._workerPool ??= import('./worker-pool.js').then(({ WorkerPool }) => new WorkerPool(this._workerPoolSize));
+    const pool = await this._workerPool;
+
+    let answer;
+    try {
+      answer = await pool.run({
+        module,
+        exportName,
+        handlerParams: { params, name, scopeName, scopeOptions: toSerializable(scopeOptions), parentScopeName, parentScopeNames }
+      }, signal);
+    } catch (error) {
+      if (error?.name === 'DataCloneError') {
+        throw new ValidationError(
+          `Params of worker method '${name}' must be serializable: ${error.message}`,
+          {
+            field: 'params',
+            value: params,
+            validValues: 'structured-cloneable data'
+          }
+        );
+      }
+      throw error;
+    }
+
+    if (!answer.error) {
+      return answer.result;
+    }
+    const { hooked, data, name: errorName, message, stack } = answer.error;
+    const error = hooked ? HookedApiError.fromJSON(data) : new Error(message);
+    if (!hooked) error.name = errorName;
+    if (stack) error.stack = stack;
+    throw error;
+  }
+
+  /**
+   * Terminates the worker threads of runIn: 'worker' methods
+   * Calls still running reject; the next worker call starts a new pool.
+   * Idle workers don't keep the process alive, so this is only needed to
+   * stop running work or free the threads early.
+   *
+   * @returns {Promise<void>}
+   */
+  async closeWorkers() {
+    if (!this._workerPool) return;
+    const pool = await this._workerPool;
+    this._workerPool = null;
+    await pool.close();
+  }
+
+  /**
+   * Applies the conflict policy when a method is defined again
+   *
+   * @private
+   * @param {string} kind - 'api' or 'scope'
+   * @param {string} method - Method name
+   * @param {Object} definition - The new, normalized definition
+   * @returns {Object} The definition to store
+   * @throws {MethodError} If the policy is 'error'
+   *
+   * Redefinitions by the same source (e.g. customize() called twice) are not
+   * conflicts. Otherwise, by policy:
+   * - error: Refuse the new definition (a plugin install fails and is rolled back)
+   * - warn: Log a warning and replace the method
+   * - override: Replace the method silently
+   * - wrap: Replace the method; the new handler receives `previous(params?)`,
+   *   which runs the replaced handler (with the same handler params, or new params)
+   */
+  _resolveMethodConflict(kind, method, definition) {
+    const existing = (kind === 'scope' ? this._scopeMethods : this._apiMethods).get(method);
+    if (!existing || existing.source === definition.source) {
+      return definition;
+    }
+
+    const policy = definition.onConflict ?? this._methodConflicts;
+    const label = kind === 'scope' ? 'Scope method' : 'API method';
+    switch (policy) {
+      case 'error':
+        throw new MethodError(
+          `${label} '${method}' is already defined by '${existing.source}' and cannot be redefined by '${definition.source}'.`,
+          {
+            methodName: method,
+            suggestion: `Rename one of the methods, or allow the redefinition with onConflict: 'override' or 'wrap' (or the methodConflicts API option)`
+          }
+        );
+      case 'warn':
+        this._logger.warn(`${label} '${method}' defined by '${existing.source}' is replaced by '${definition.source}'`);
+        return definition;
+      case 'override':
+        this._logger.debug(`${label} '${method}' defined by '${existing.source}' is overridden by '${definition.source}'`);
+        return definition;
+      case 'wrap': {
+        this._logger.debug(`${label} '${method}' defined by '${existing.source}' is wrapped by '${definition.source}'`);
+        const { handler: inner } = existing;
+        const { handler: outer } = definition;
+        return {
+          ...definition,
+          handler: (handlerParams) => outer({
+            ...handlerParams,
+            previous: (params = handlerParams.params) => inner({ ...handlerParams, params })
+          })
+        };
+      }
+    }
+  }
+
+  /**
+   * Adds a method directly to the API instance
+   * 
+   * @private
+   * @param {string} method - Method name
+   * @param {Function} handler - Method implementation
+   * @returns {Api} This instance for chaining
+   * @throws {ValidationError} If method name is invalid
+   * @throws {MethodError} If method conflicts with existing property
+   * 
+   * API methods are accessible directly on the API instance:
+   * api.myMethod() instead of api.scopes.something.myMethod()
+   * 
+   * Used for global operations that don't belong to a specific scope
+   */
+  async _addApiMethod(method, handler, source = `api-custom:${this.options.name}`) {
+    if (!method || typeof method !== 'string') {
+      const received = method === undefined ? 'undefined' : 
+                      method === null ? 'null' : 
+                      method === '' ? 'empty string' :
+                      `${typeof method} "${method}"`;
+      throw new ValidationError(
+        `Method name must be a non-empty string. Received: ${received}. Example: addApiMethod('getData', async (context) => { /* handler */ })`,
+        {
+          field: 'method',
+          value: method,
+          validValues: 'non-empty string'
+        }
+      );
+    }
+    if (!VALID_JS_IDENTIFIER.test(method)) {
+      const invalidChars = method.match(/[^a-zA-Z0-9_$]/g);
+      const suggestion = invalidChars ? 
+        `Remove invalid characters: ${[...new Set(invalidChars)].join(', ')}` :
+        'Method name must start with a letter, underscore, or $';
+      throw new ValidationError(
+        `Method name '${method}' is not a valid JavaScript identifier. ${suggestion}. Valid examples: getData, _private, $special, method123`,
+        {
+          field: 'method',
+          value: method,
+          validValues: 'valid JavaScript identifier'
+        }
+      );
+    }
+    if (isDangerousProp(method)) {
+      throw new ValidationError(
+        `Method name '${method}' is reserved for security reasons. These names can lead to prototype pollution vulnerabilities. Choose a different name.`,
+        {
+          field: 'method',
+          value: method,
+          validValues: 'non-dangerous JavaScript identifier'
+        }
+      );
+    }
+    const definition = this._resolveMethodConflict('api', method, this._normalizeMethodDefinition(method, handler, 'api', source));
     
     /**
      * Check for property conflicts
@@ -1399,19 +3171,21 @@ export class Api {
       );
     }
     
-    this._apiMethods.set(method, handler)
+    this._apiMethods.set(method, definition)
     this._logger.trace(`Added API method '${method}'`);
     
     // Run hook for plugins to react to method creation, passing mutable context
     // Hooks can potentially wrap or replace the handler here.
     const hookContext = {
       methodName: method,
-      handler: handler // Pass the handler in context for potential modification
+      handler: definition.handler // Pass the handler in context for potential modification
     };
     await this._runHooks('method:api:added', hookContext);
 
     // Apply any handler mutations made by hooks back to the stored method
-    this._apiMethods.set(method, hookContext.handler);
+    this._apiMethods.set(method, { ...definition, handler: hookContext.handler });
+    
+    await this._emit('method:api:added', { methodName: method, handler: hookContext.handler });
     
     return this
   }
@@ -1433,7 +3207,7 @@ export class Api {
    * The handler receives scopeName in its context to know which
    * scope it's operating on
    */
-  async _addScopeMethod(method, handler) {
+  async _addScopeMethod(method, handler, source = `api-custom:${this.options.name}`) {
     if (!method || typeof method !== 'string') {
       const received = method === undefined ? 'undefined' : 
                       method === null ? 'null' : 
@@ -1472,30 +3246,23 @@ export class Api {
         }
       );
     }
-    if (typeof handler !== 'function') {
-      throw new ValidationError(
-        `Implementation for scope method '${method}' must be a function. Received: ${typeof handler}. Example: addScopeMethod('${method}', async (context) => { /* handler code */ })`,
-        {
-          field: 'handler',
-          value: handler,
-          validValues: 'function'
-        }
-      )
-    }
+    const definition = this._resolveMethodConflict('scope', method, this._normalizeMethodDefinition(method, handler, 'scope', source));
     
     // Run hook before adding the scope method, allowing mutation or checks
     const hookContext = {
       methodName: method,
-      handler: handler // Pass the handler in context for potential modification
+      handler: definition.handler // Pass the handler in context for potential modification
     };
     await this._runHooks('method:scope:adding', hookContext);
+    await this._emit('method:scope:adding', { methodName: method, handler: hookContext.handler });
 
     // Scope methods don't need property conflict checking since they're not on the main API
-    this._scopeMethods.set(method, handler)
+    this._scopeMethods.set(method, definition)
     this._logger.trace(`Added scope method '${method}'`);
     
     // Run hook after adding the scope method
     await this._runHooks('method:scope:added', hookContext);
+    await this._emit('method:scope:added', { methodName: method, handler: definition.handler });
 
     return this
   }
@@ -1615,44 +3382,111 @@ export class Api {
 
   
   /**
-   * Creates a new scope with its own methods, vars, and configuration
+   * Lists a scope's configuration followed by the scopes it extends
    *
    * @private
-   * @param {string} name - Scope name (e.g., 'users', 'posts')
-   * @param {Object} options - Scope configuration including hooks, scopeMethods, vars, helpers
-   * @returns {Api} This instance for chaining
-   * @throws {ValidationError} If scope name is invalid
-   * @throws {ScopeError} If scope already exists
+   * @param {Object|undefined} scopeConfig - Configuration of the scope to start from
+   * @returns {Array<Object>} Scope configurations, nearest first (empty without a scope)
    *
-   * Scopes are the primary organizational unit in Hooked API:
-   * - Each scope represents a logical grouping (often a database table)
-   * - Scopes have their own vars, helpers, and methods
-   * - Scope methods have access to both global and scope-specific data
-   * - Scopes can have custom logging levels and configuration
+   * Starts from the configuration object rather than the name so calls that
+   * outlive a forced removeScope() still resolve their own scope's data.
+   * Stops at the first scope seen twice, should `extends` ever form a cycle.
    */
-async _addScope(name, options = {}) {
-  // Initial validation - This block remains exactly as it was.
-    if (!name || typeof name !== 'string') {
-      const received = name === undefined ? 'undefined' :
-                      name === null ? 'null' :
-                      name === '' ? 'empty string' :
-                      `${typeof name} "${name}"`;
-      throw new ValidationError(
-        `Scope name must be a non-empty string. Received: ${received}. Example: api.addScope('users', { /* options */ })`,
-        {
-          field: 'name',
-          value: name,
-          validValues: 'non-empty string'
-        }
-      );
+  _getScopeChain(scopeConfig) {
+    const chain = [];
+    for (let config = scopeConfig; config && !chain.includes(config); config = config.extends && this._scopes.get(config.extends)) {
+      chain.push(config);
     }
-    if (!VALID_JS_IDENTIFIER.test(name)) {
-      const invalidChars = name.match(/[^a-zA-Z0-9_$]/g);
-      const suggestion = invalidChars ?
-        `Remove invalid characters: ${[...new Set(invalidChars)].join(', ')}` :
-        'Scope name must start with a letter, underscore, or $';
-      throw new ValidationError(
-        `Scope name '${name}' is not a valid JavaScript identifier. ${suggestion}. Valid examples: users, _private, $special, scope123`,
+    return chain;
+  }
+
+  /**
+   * Lists the ancestors of a child scope
+   *
+   * @private
+   * @param {string} scopeName - Scope name, e.g. 'projects.tasks.comments'
+   * @returns {Array<string>} Ancestor names, nearest first: ['projects.tasks', 'projects']
+   */
+  _getParentScopeNames(scopeName) {
+    const segments = scopeName.split('.');
+    return segments.slice(0, -1).map((segment, index) => segments.slice(0, segments.length - 1 - index).join('.'));
+  }
+
+  /**
+   * Lists the scopes whose vars and helpers a scope sees, before the global ones
+   *
+   * @private
+   * @param {Object|undefined} scopeConfig - Configuration of the scope to start from
+   * @returns {Array<Object>} The scope and the scopes it extends, then the same for
+   *   its parent, grandparent and so on
+   */
+  _getScopeLookupChain(scopeConfig) {
+    const chain = [];
+    for (let config = scopeConfig; config; config = config.parent && this._scopes.get(config.parent)) {
+      chain.push(...this._getScopeChain(config));
+    }
+    return chain;
+  }
+
+  /**
+   * Finds the method a scope would run for a name
+   *
+   * @private
+   * @param {string} scopeName - Scope name
+   * @param {string} method - Method name
+   * @returns {Object|undefined} Definition record: the scope's own method (or one
+   *   inherited through `extends`) first, then the global scope method
+   */
+  _findScopeMethod(scopeName, method) {
+    return this._findInScopeChain(this._scopes.get(scopeName), '_scopeMethods', method) || this._scopeMethods.get(method);
+  }
+
+  /**
+   * Looks up a key in one of the maps of a scope and the scopes it extends
+   *
+   * @private
+   * @param {Object} scopeConfig - Configuration of the scope to start from
+   * @param {string} mapName - '_scopeMethods', '_vars' or '_helpers'
+   * @param {string} key - Key to look up
+   * @returns {*} Value from the nearest scope defining the key, or undefined
+   */
+  _findInScopeChain(scopeConfig, mapName, key) {
+    return this._getScopeChain(scopeConfig).find(config => config[mapName].has(key))?.[mapName].get(key);
+  }
+
+  /**
+   * Checks that a scope can be added (or renamed) under a name
+   *
+   * @private
+   * @param {string} name - Scope name, e.g. 'users' or 'users.addresses'
+   * @returns {string|null} Name of the parent scope for child scopes, or null
+   * @throws {ValidationError} If the name is not a valid (dotted) identifier, or is reserved
+   * @throws {ScopeError} If a scope with this name exists, or the parent scope doesn't
+   */
+  _validateNewScopeName(name) {
+    if (!name || typeof name !== 'string') {
+      const received = name === undefined ? 'undefined' :
+                      name === null ? 'null' :
+                      name === '' ? 'empty string' :
+                      `${typeof name} "${name}"`;
+      throw new ValidationError(
+        `Scope name must be a non-empty string. Received: ${received}. Example: api.addScope('users', { /* options */ })`,
+        {
+          field: 'name',
+          value: name,
+          validValues: 'non-empty string'
+        }
+      );
+    }
+    // Child scopes are named by their path: 'users.addresses'
+    const segments = name.split('.');
+    if (!segments.every(segment => VALID_JS_IDENTIFIER.test(segment))) {
+      const invalidChars = name.match(/[^a-zA-Z0-9_$.]/g);
+      const suggestion = invalidChars ?
+        `Remove invalid characters: ${[...new Set(invalidChars)].join(', ')}` :
+        'Each part of a scope name must start with a letter, underscore, or $';
+      throw new ValidationError(
+        `Scope name '${name}' is not a valid JavaScript identifier. ${suggestion}. Valid examples: users, _private, $special, scope123, users.addresses`,
         {
           field: 'name',
           value: name,
@@ -1660,7 +3494,7 @@ async _addScope(name, options = {}) {
         }
       );
     }
-    if (isDangerousProp(name)) {
+    if (segments.some(isDangerousProp)) {
       throw new ValidationError(
         `Scope name '${name}' is reserved for security reasons. These names can lead to prototype pollution vulnerabilities. Choose a different name.`,
         {
@@ -1680,9 +3514,99 @@ async _addScope(name, options = {}) {
         }
       );
     }
+    const parentScopeName = segments.length > 1 ? segments.slice(0, -1).join('.') : null;
+    if (parentScopeName !== null) {
+      const childName = segments[segments.length - 1];
+      if (childName === 'vars' || childName === 'helpers') {
+        throw new ValidationError(
+          `Child scope name '${childName}' is reserved: api.scopes.${parentScopeName}.${childName} gives access to the parent's ${childName}. Choose a different name.`,
+          {
+            field: 'name',
+            value: name,
+            validValues: "any identifier except 'vars' and 'helpers'"
+          }
+        );
+      }
+      if (!this._scopes.has(parentScopeName)) {
+        const existingScopes = Array.from(this._scopes.keys());
+        throw new ScopeError(
+          `Cannot add scope '${name}': parent scope '${parentScopeName}' not found. Existing scopes: ${existingScopes.join(', ') || 'none'}. Add the parent scope first.`,
+          {
+            scopeName: parentScopeName,
+            availableScopes: existingScopes
+          }
+        );
+      }
+    }
+    return parentScopeName;
+  }
+
+  /**
+   * Creates a new scope with its own methods, vars, and configuration
+   *
+   * @private
+   * @param {string} name - Scope name (e.g., 'users', 'posts')
+   * @param {Object} options - Scope configuration including hooks, scopeMethods, vars, helpers
+   * @param {string} [options.extends] - Existing scope to inherit methods, vars, helpers,
+   *   scope-specific hooks and options from
+   * @returns {Api} This instance for chaining
+   * @throws {ValidationError} If scope name is invalid
+   * @throws {ScopeError} If scope already exists, or the scope to extend doesn't
+   *   exist or (through its own `extends`) extends this scope
+   *
+   * Scopes are the primary organizational unit in Hooked API:
+   * - Each scope represents a logical grouping (often a database table)
+   * - Scopes have their own vars, helpers, and methods
+   * - Scope methods have access to both global and scope-specific data
+   * - Scopes can have custom logging levels and configuration
+   */
+async _addScope(name, options = {}) {
+  // Initial validation - This block remains exactly as it was.
+    const parentScopeName = this._validateNewScopeName(name);
 
     // Extract customization options from the options object
-    const { hooks = {}, scopeMethods = {}, vars = {}, helpers = {}, ...scopeOptions } = options;
+    const { hooks = {}, scopeMethods = {}, vars = {}, helpers = {}, extends: baseScope, ...ownOptions } = options;
+
+    /**
+     * Inheritance: a scope can extend an existing scope, inheriting its methods,
+     * vars, helpers and scope-specific hooks (resolved live through the chain)
+     * and a copy of its options, which its own options override
+     */
+    let baseConfig = null;
+    if (baseScope !== undefined) {
+      if (typeof baseScope !== 'string' || baseScope === '') {
+        throw new ValidationError(
+          `Scope '${name}' extends option must be the name of an existing scope. Received: ${typeof baseScope}. Example: api.addScope('adminUsers', { extends: 'users' })`,
+          {
+            field: 'extends',
+            value: baseScope,
+            validValues: 'existing scope name'
+          }
+        );
+      }
+      baseConfig = this._scopes.get(baseScope);
+      if (!baseConfig) {
+        const availableScopes = Array.from(this._scopes.keys());
+        throw new ScopeError(
+          `Scope '${name}' cannot extend '${baseScope}': scope not found. Available scopes: ${availableScopes.join(', ') || 'none'}. Add the base scope first.`,
+          {
+            scopeName: baseScope,
+            availableScopes
+          }
+        );
+      }
+      const cycle = this._getScopeChain(baseConfig).find(config => config.extends === name);
+      if (cycle) {
+        throw new ScopeError(
+          `Scope '${name}' cannot extend '${baseScope}': '${cycle.name}' extends '${name}', which would make the scopes extend each other.`,
+          {
+            scopeName: baseScope,
+            availableScopes: Array.from(this._scopes.keys())
+          }
+        );
+      }
+    }
+    const scopeOptions = baseConfig ? { ...baseConfig.options, ...ownOptions } : ownOptions;
 
     // Log what's being added
     const additions = [];
@@ -1700,39 +3624,45 @@ async _addScope(name, options = {}) {
      * Options are frozen after setup, but internal maps are mutable through their proxies.
      */
     const scopeConfig = {
+      name,
+      parent: parentScopeName,                 // Name of the parent scope for child scopes
+      extends: baseConfig ? baseScope : null, // Name of the scope this one extends
       options: { ...scopeOptions }, // User-provided options (will be frozen after hooks)
-      _scopeMethods: new Map(Object.entries(scopeMethods)),
+      _scopeMethods: new Map(Object.entries(scopeMethods).map(([method, definition]) => [method, this._normalizeMethodDefinition(method, definition, 'scope', `scope-custom:${name}`)])),
       _vars: new Map(Object.entries(vars)),
       _helpers: new Map(Object.entries(helpers))
     };
 
     /**
      * Create scope-specific vars proxy.
-     * Checks scope vars first, then falls back to global vars.
-     * This proxy interacts directly with `scopeConfig._vars`.
+     * Checks scope vars first, then the scopes it extends, then its parent scopes
+     * (see _getScopeLookupChain), then falls back to global vars.
+     * Writes go to `scopeConfig._vars`.
      */
     scopeConfig._varsProxy = new Proxy({}, {
       get: (target, prop) => {
         if (isDangerousProp(prop)) return undefined;
-        if (scopeConfig._vars.has(prop)) {
-          return scopeConfig._vars.get(prop);
+        const owner = this._getScopeLookupChain(scopeConfig).find(config => config._vars.has(prop));
+        if (owner) {
+          return owner._vars.get(prop);
         }
         return this._vars.get(prop); // Fallback to global vars
       },
       set: (target, prop, value) => {
         if (isDangerousProp(prop)) {
-          this._logger.warn(`Attempted to set dangerous property '${prop}' on scope '${name}' vars. Ignored.`);
+          this._logger.warn(`Attempted to set dangerous property '${prop}' on scope '${scopeConfig.name}' vars. Ignored.`);
           return true; // Silently ignore but return true to prevent TypeError
         }
         scopeConfig._vars.set(prop, value);
         return true;
       },
       // Ensure iteration/inspection works for proxies
-      ownKeys: (target) => Array.from(new Set([...scopeConfig._vars.keys(), ...this._vars.keys()])),
+      ownKeys: (target) => Array.from(new Set([...this._getScopeLookupChain(scopeConfig).flatMap(config => [...config._vars.keys()]), ...this._vars.keys()])),
       getOwnPropertyDescriptor: (target, prop) => {
         if (isDangerousProp(prop)) return undefined;
-        if (scopeConfig._vars.has(prop)) {
-          return { value: scopeConfig._vars.get(prop), enumerable: true, configurable: true };
+        const owner = this._getScopeLookupChain(scopeConfig).find(config => config._vars.has(prop));
+        if (owner) {
+          return { value: owner._vars.get(prop), enumerable: true, configurable: true };
         }
         // Fallback to global proxy's descriptor if it's there
         return Object.getOwnPropertyDescriptor(this._varsProxy, prop);
@@ -1741,31 +3671,34 @@ async _addScope(name, options = {}) {
 
     /**
      * Create scope-specific helpers proxy.
-     * Checks scope helpers first, then falls back to global helpers.
-     * This proxy interacts directly with `scopeConfig._helpers`.
+     * Checks scope helpers first, then the scopes it extends, then its parent scopes,
+     * then falls back to global helpers.
+     * Writes go to `scopeConfig._helpers`.
      */
     scopeConfig._helpersProxy = new Proxy({}, {
       get: (target, prop) => {
         if (isDangerousProp(prop)) return undefined;
-        if (scopeConfig._helpers.has(prop)) {
-          return scopeConfig._helpers.get(prop);
+        const owner = this._getScopeLookupChain(scopeConfig).find(config => config._helpers.has(prop));
+        if (owner) {
+          return owner._helpers.get(prop);
         }
         return this._helpers.get(prop); // Fallback to global helpers
       },
       set: (target, prop, value) => {
         if (isDangerousProp(prop)) {
-          this._logger.warn(`Attempted to set dangerous property '${prop}' on scope '${name}' helpers. Ignored.`);
+          this._logger.warn(`Attempted to set dangerous property '${prop}' on scope '${scopeConfig.name}' helpers. Ignored.`);
           return true;
         }
         scopeConfig._helpers.set(prop, value);
         return true;
       },
       // Ensure iteration/inspection works for proxies
-      ownKeys: (target) => Array.from(new Set([...scopeConfig._helpers.keys(), ...this._helpers.keys()])),
+      ownKeys: (target) => Array.from(new Set([...this._getScopeLookupChain(scopeConfig).flatMap(config => [...config._helpers.keys()]), ...this._helpers.keys()])),
       getOwnPropertyDescriptor: (target, prop) => {
         if (isDangerousProp(prop)) return undefined;
-        if (scopeConfig._helpers.has(prop)) {
-          return { value: scopeConfig._helpers.get(prop), enumerable: true, configurable: true };
+        const owner = this._getScopeLookupChain(scopeConfig).find(config => config._helpers.has(prop));
+        if (owner) {
+          return { value: owner._helpers.get(prop), enumerable: true, configurable: true };
         }
         // Fallback to global proxy's descriptor if it's there
         return Object.getOwnPropertyDescriptor(this._helpersProxy, prop);
@@ -1791,6 +3724,11 @@ async _addScope(name, options = {}) {
 
     // Run the 'scope:added' hook. The context is an informational object.
     await this._runHooks('scope:added', informationalScopeContext);
+    await this._emit('scope:added', {
+      scopeName: name,
+      scopeOptions: { ...scopeOptions },
+      scopeExtras: { hooks, scopeMethods, vars, helpers }
+    });
 
     // Freeze the original options of the scopeConfig *after* the informational hook has run.
     // This doesn't apply to `informationalScopeContext.scopeOptions` as that's a copy.
@@ -1842,16 +3780,8 @@ async _addScope(name, options = {}) {
         )
       }
 
-      // Use the 'name' from the _addScope parameters as the scopeName for the wrapper
-      const hookTargetScopeName = name;
-      const wrappedHandler = (handlerParams) => {
-        if (handlerParams.scopeName === hookTargetScopeName) {
-          return handler(handlerParams);
-        }
-        // Return undefined (not false) to continue chain for other scopes
-      };
-
-      this._addHook(hookName, `scope-custom:${name}`, functionName, hookAddOptions, wrappedHandler)
+      // Restrict the hook to this scope; _runHooks skips it for other scopes
+      this._addHook(hookName, `scope-custom:${name}`, functionName, hookAddOptions, handler, name)
       this._logger.trace(`Added scope-specific hook '${hookName}' for scope '${name}'`);
     }
 
@@ -1905,14 +3835,6 @@ async _addScope(name, options = {}) {
           }
         );
       }
-      // Store the alias name
-      this._scopeAlias = aliasName;
-      // Create alias that points to the same proxy
-      Object.defineProperty(this, aliasName, {
-        get: () => this.scopes,
-        enumerable: true,
-        configurable: true
-      });
     }
     
     // Handle addScope alias
@@ -1930,8 +3852,8 @@ async _addScope(name, options = {}) {
           }
         );
       }
-      if (addScopeAlias in this) {
-        const propertyType = typeof this[addScopeAlias];
+      if (addScopeAlias in this || addScopeAlias === aliasName) {
+        const propertyType = addScopeAlias === aliasName ? 'the scopes alias' : typeof this[addScopeAlias];
         throw new ConfigurationError(
           `Cannot set addScope alias '${addScopeAlias}': property already exists on API instance (${propertyType}). Choose a different alias name.`,
           {
@@ -1941,6 +3863,20 @@ async _addScope(name, options = {}) {
           }
         );
       }
+    }
+    
+    // Both names are valid: set them
+    if (aliasName !== null) {
+      // Store the alias name
+      this._scopeAlias = aliasName;
+      // Create alias that points to the same proxy
+      Object.defineProperty(this, aliasName, {
+        get: () => this.scopes,
+        enumerable: true,
+        configurable: true
+      });
+    }
+    if (addScopeAlias !== null) {
       // Store the addScope alias name
       this._addScopeAlias = addScopeAlias;
       // Create alias that points to the addScope method
@@ -1954,98 +3890,562 @@ async _addScope(name, options = {}) {
     return this;
   }
 
-
-
   /**
-   * Installs a plugin to extend the API functionality
-   * 
-   * @param {Object} plugin - Plugin object with name and install function
-   * @param {string} plugin.name - Unique plugin identifier
-   * @param {Function} plugin.install - Installation function (can be async)
-   * @param {string[]} [plugin.dependencies] - Required plugin names
-   * @param {Object} [options={}] - Plugin-specific options
+   * Removes a scope
+   *
+   * @param {string} name - Scope name
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Remove the scope even while its methods are running
    * @returns {Promise<Api>} This instance for chaining
-   * @throws {PluginError} If plugin is invalid or dependencies missing
-   * 
-   * Plugins are the primary extension mechanism:
-   * - Encapsulate related functionality
-   * - Can depend on other plugins
-   * - Receive a rich context during installation
-   * - Can add hooks, methods, scopes, vars, and helpers
-   * 
+   * @throws {ScopeError} If the scope doesn't exist, has child scopes, is extended
+   *   by another scope, or has calls in flight without force
+   * @throws {Error} What a `scope:removed` hook threw, once the scope is removed
+   *
+   * Removes the scope's own methods, vars and helpers and the hooks declared
+   * in its `hooks` option, then runs the `scope:removed` hook and event with
+   * { scopeName, scopeOptions }. Global scope methods, hooks and wrappers are
+   * kept, and apply again if a scope with the same name is added later.
+   *
+   * With force, calls already running finish with the context they started
+   * with; new calls fail as for any unknown scope.
+   *
    * Example:
-   * await api.use({
-   *   name: 'auth',
-   *   dependencies: ['session'],
-   *   install: (ctx) => {
-   *     ctx.addHook('beforeCreate', 'validateUser', {}, handler)
-   *     ctx.addApiMethod('login', loginHandler)
-   *   }
-   * })
+   * await api.removeScope('tenant_42')
    */
-  async use(plugin, options = {}) {
-    if (typeof plugin !== 'object' || plugin === null) {
-      const received = plugin === undefined ? 'undefined' : 
-                      plugin === null ? 'null' : 
-                      `${typeof plugin}`;
-      throw new PluginError(
-        `Plugin must be an object. Received: ${received}. Example: api.use({ name: 'my-plugin', install: (context) => { /* setup */ } })`,
+  async removeScope(name, { force = false } = {}) {
+    if (!this._scopes.has(name)) {
+      const availableScopes = Array.from(this._scopes.keys());
+      throw new ScopeError(
+        `Cannot remove scope '${name}': scope not found. Available scopes: ${availableScopes.join(', ') || 'none'}.`,
         {
-          pluginName: 'unknown',
-          installedPlugins: Array.from(this._installedPlugins)
+          scopeName: name,
+          availableScopes
         }
       );
     }
-    if (typeof plugin.name !== 'string' || plugin.name.trim() === '') {
-      const received = plugin.name === undefined ? 'undefined (missing name property)' : 
-                      plugin.name === null ? 'null' : 
-                      plugin.name === '' ? 'empty string' :
-                      `${typeof plugin.name} "${plugin.name}"`;
-      throw new PluginError(
-        `Plugin must have a non-empty name property. Received: ${received}. Example: { name: 'my-plugin', install: (context) => { /* setup */ } }`,
+
+    const children = Array.from(this._scopes.values()).filter(config => config.parent === name).map(config => config.name);
+    if (children.length > 0) {
+      throw new ScopeError(
+        `Cannot remove scope '${name}': it has child scopes ${children.map(scope => `'${scope}'`).join(', ')}. Remove the child scopes first.`,
         {
-          pluginName: 'unknown',
-          installedPlugins: Array.from(this._installedPlugins)
+          scopeName: name,
+          availableScopes: Array.from(this._scopes.keys())
         }
       );
     }
-    if (typeof plugin.install !== 'function') {
-      const received = plugin.install === undefined ? 'undefined (missing install property)' : `${typeof plugin.install}`;
-      throw new PluginError(
-        `Plugin '${plugin.name}' must have an install function. Received: ${received}. Example: { name: '${plugin.name}', install: (context) => { /* setup code */ } }`,
+
+    const extendedBy = Array.from(this._scopes.values()).filter(config => config.extends === name).map(config => config.name);
+    if (extendedBy.length > 0) {
+      throw new ScopeError(
+        `Cannot remove scope '${name}': extended by ${extendedBy.map(scope => `'${scope}'`).join(', ')}. Remove the extending scopes first.`,
         {
-          pluginName: plugin.name,
-          installedPlugins: Array.from(this._installedPlugins)
+          scopeName: name,
+          availableScopes: Array.from(this._scopes.keys())
         }
       );
     }
 
-    /**
-     * Check for reserved plugin names that would conflict
-     * with core API properties
-     */
-    if (plugin.name === 'api' || plugin.name === 'scopes') {
-      throw new PluginError(
-        `Plugin name '${plugin.name}' is reserved. These names are used internally by the API. Choose a different name like '${plugin.name}-plugin' or 'custom-${plugin.name}'.`,
+    const inFlight = this._scopeCallsInFlight.get(name) ?? 0;
+    if (inFlight > 0) {
+      if (!force) {
+        throw new ScopeError(
+          `Cannot remove scope '${name}': ${inFlight} method call${inFlight === 1 ? ' is' : 's are'} still running. Wait for ${inFlight === 1 ? 'it' : 'them'} to finish, or pass { force: true }.`,
+          {
+            scopeName: name,
+            availableScopes: Array.from(this._scopes.keys())
+          }
+        );
+      }
+      this._logger.warn(`Removing scope '${name}' with ${inFlight} method call${inFlight === 1 ? '' : 's'} still running`);
+    }
+
+    const hookError = await this._notifyScopeChanges('scope:removed', this._removeScope(name));
+    if (hookError) throw hookError;
+    return this;
+  }
+
+  /**
+   * Removes a scope together with the hooks declared in its options
+   *
+   * @private
+   * @param {string} name - Scope name
+   * @param {Array<Object>} [removed=[]] - List the removed scopes are appended to
+   * @returns {Array<Object>} { scopeName, scopeOptions } of every removed scope, in
+   *   removal order (empty if the scope doesn't exist)
+   *
+   * Child scopes and scopes extending this one are removed first, so unuse()
+   * doesn't leave orphans or dangling `extends` behind.
+   *
+   * Only removes state: pass the result to _notifyScopeChanges() once the
+   * caller has finished its own cleanup, so that a failing hook can't leave
+   * it half done.
+   */
+  _removeScope(name, removed = []) {
+    const scopeConfig = this._scopes.get(name);
+    if (!scopeConfig) {
+      return removed;
+    }
+    for (const config of Array.from(this._scopes.values()).filter(config => config.parent === name || config.extends === name)) {
+      if (config.extends === name) {
+        this._logger.warn(`Removing scope '${config.name}' because the scope it extends, '${name}', is removed`);
+      }
+      this._removeScope(config.name, removed);
+    }
+    this._scopes.delete(name);
+
+    // The scope no longer belongs to the plugin that added it: unuse() must not remove a later scope with this name
+    for (const { registrations } of this._pluginRecords.values()) {
+      registrations.scopes.delete(name);
+    }
+    this._removeHooks(entry => entry.pluginName === `scope-custom:${name}`);
+    this._logger.info(`Scope '${name}' removed`);
+
+    removed.push({ scopeName: name, scopeOptions: { ...scopeConfig.options } });
+    return removed;
+  }
+
+  /**
+   * Runs the hook and event of the same name for each removed or renamed scope
+   *
+   * @private
+   * @param {string} hookName - 'scope:removed' or 'scope:renamed'
+   * @param {Array<Object>} changes - Hook contexts, one per scope: { scopeName, ... }
+   * @returns {Promise<Error|null>} The error a hook threw, a HookAggregateError if
+   *   hooks failed for several scopes, or null
+   *
+   * Every scope gets its hook and event, even after a failure: errors are
+   * returned for the caller to throw or log. Events get their own copy of
+   * scopeOptions, so hooks can't change what listeners see.
+   */
+  async _notifyScopeChanges(hookName, changes) {
+    const errors = [];
+    for (const change of changes) {
+      try {
+        await this._runHooks(hookName, { ...change });
+      } catch (error) {
+        errors.push(error);
+      }
+      await this._emit(hookName, { ...change, ...(change.scopeOptions && { scopeOptions: { ...change.scopeOptions } }) });
+    }
+    if (errors.length <= 1) {
+      return errors[0] ?? null;
+    }
+    return new HookAggregateError(
+      `Hook '${hookName}' failed for ${errors.length} scopes: ${errors.map(error => error?.message).join('; ')}`,
+      {
+        hookName,
+        errors
+      }
+    );
+  }
+
+  /**
+   * Renames a scope
+   *
+   * @param {string} name - Current scope name
+   * @param {string} newName - New name; a dotted name makes it a child of an existing scope
+   * @returns {Promise<Api>} This instance for chaining
+   * @throws {ValidationError} If newName is not a valid scope name
+   * @throws {ScopeError} If the scope doesn't exist, newName is taken or lies inside
+   *   the scope, its parent doesn't exist, or calls to the scope or its child
+   *   scopes are running
+   * @throws {Error} What a `scope:renamed` hook threw, once the scope is renamed
+   *
+   * Everything that belongs to the scope moves with it: its methods, vars,
+   * helpers and options, the hooks declared in its `hooks` option, wrappers
+   * restricted to it, and its plugin (unuse() still removes it). Child scopes
+   * move along ('users.addresses' becomes 'members.addresses'), and scopes
+   * extending a renamed scope follow the new name. Then runs the
+   * `scope:renamed` hook and event with { scopeName, previousScopeName } for
+   * each renamed scope, parents first.
+   *
+   * Example:
+   * await api.renameScope('tenant_42', 'acme')
+   */
+  async renameScope(name, newName) {
+    if (!this._scopes.has(name)) {
+      const availableScopes = Array.from(this._scopes.keys());
+      throw new ScopeError(
+        `Cannot rename scope '${name}': scope not found. Available scopes: ${availableScopes.join(', ') || 'none'}.`,
         {
-          pluginName: plugin.name,
-          installedPlugins: Array.from(this._installedPlugins)
+          scopeName: name,
+          availableScopes
         }
       );
     }
+    if (typeof newName === 'string' && (newName === name || newName.startsWith(`${name}.`))) {
+      throw new ScopeError(
+        `Cannot rename scope '${name}' to '${newName}': a scope can't be moved inside itself.`,
+        {
+          scopeName: name,
+          availableScopes: Array.from(this._scopes.keys())
+        }
+      );
+    }
+    this._validateNewScopeName(newName);
 
-    if (this._installedPlugins.has(plugin.name)) {
-      const installedPlugins = Array.from(this._installedPlugins);
-      throw new PluginError(
-        `Plugin '${plugin.name}' is already installed on API '${this.options.name}'. Installed plugins: ${installedPlugins.join(', ')}. Each plugin can only be installed once.`,
+    // The scope and its child scopes: [oldName, newName], parents first
+    const renames = Array.from(this._scopes.keys())
+      .filter(scopeName => scopeName === name || scopeName.startsWith(`${name}.`))
+      .map(scopeName => [scopeName, `${newName}${scopeName.slice(name.length)}`]);
+
+    const busy = renames.filter(([scopeName]) => this._scopeCallsInFlight.has(scopeName)).map(([scopeName]) => `'${scopeName}'`);
+    if (busy.length > 0) {
+      throw new ScopeError(
+        `Cannot rename scope '${name}': method calls to ${busy.join(', ')} are still running. Wait for them to finish.`,
         {
-          pluginName: plugin.name,
-          installedPlugins
+          scopeName: name,
+          availableScopes: Array.from(this._scopes.keys())
         }
       );
     }
 
-    /**
+    const newNames = new Map(renames);
+    const rename = (scopeName) => newNames.get(scopeName) ?? scopeName;
+    const renameSource = (source) =>
+      typeof source === 'string' && source.startsWith('scope-custom:') ? `scope-custom:${rename(source.slice('scope-custom:'.length))}` : source;
+
+    // Re-key the scopes in place, so describe() keeps listing them in the same order
+    const configs = Array.from(this._scopes.values());
+    this._scopes.clear();
+    for (const config of configs) {
+      if (newNames.has(config.name)) {
+        config.name = rename(config.name);
+        config.parent = config.parent && rename(config.parent);
+        for (const [method, definition] of config._scopeMethods) {
+          config._scopeMethods.set(method, { ...definition, source: renameSource(definition.source) });
+        }
+      }
+      config.extends = config.extends && rename(config.extends);
+      this._scopes.set(config.name, config);
+    }
+
+    for (const entries of this._hooks.values()) {
+      for (const entry of entries) {
+        entry.pluginName = renameSource(entry.pluginName);
+        if (entry.scopeName) entry.scopeName = rename(entry.scopeName);
+        if (entry.placement?.beforePlugin) entry.placement.beforePlugin = renameSource(entry.placement.beforePlugin);
+        if (entry.placement?.afterPlugin) entry.placement.afterPlugin = renameSource(entry.placement.afterPlugin);
+      }
+    }
+    for (const entry of this._methodWrappers) {
+      if (entry.scopeName) entry.scopeName = rename(entry.scopeName);
+    }
+    for (const { registrations } of this._pluginRecords.values()) {
+      for (const [scopeName, renamed] of renames) {
+        if (registrations.scopes.delete(scopeName)) registrations.scopes.add(renamed);
+      }
+    }
+    this._scopeMisses.delete(newName);
+
+    this._logger.info(`Scope '${name}' renamed to '${newName}'`, { scopes: renames.length });
+
+    const hookError = await this._notifyScopeChanges(
+      'scope:renamed',
+      renames.map(([previousScopeName, scopeName]) => ({ scopeName, previousScopeName }))
+    );
+    if (hookError) throw hookError;
+    return this;
+  }
+
+  /**
+   * Sets a resolver creating scopes the first time they are used
+   *
+   * @param {Function|null} resolver - async (name) => scope options, or null for unknown
+   *   names; null removes the resolver
+   * @param {Object} [options]
+   * @param {boolean|number} [options.cacheMisses=false] - Remember names the resolver
+   *   returned null for: true for good, or a number of milliseconds
+   * @returns {Api} This instance for chaining
+   * @throws {ValidationError} If the resolver or cacheMisses is invalid
+   *
+   * With a resolver, api.scopes.anyName returns a stand-in for names that are
+   * not scopes yet. Calling one of its methods asks the resolver for the
+   * scope's options, adds the scope with them and runs the method. Concurrent
+   * first calls share a single resolver call; once added, the scope is a
+   * regular scope. Only top-level names are resolved. Its vars and helpers
+   * are undefined until the scope exists (see resolveScope()).
+   *
+   * This makes api.scopes.anyName truthy for every name, so check whether a
+   * scope exists with 'name' in api.scopes instead. The transports hand the
+   * scope names clients send to the resolver; limit which with their
+   * resolveScopes option when the resolver does real work per name.
+   *
+   * Setting a resolver clears cached misses.
+   *
+   * Example:
+   * api.setScopeResolver(async (name) => {
+   *   const schema = await db.describeTable(name);
+   *   return schema ? { schema } : null;
+   * }, { cacheMisses: 60000 })
+   */
+  setScopeResolver(resolver, { cacheMisses = false } = {}) {
+    if (resolver !== null && typeof resolver !== 'function') {
+      throw new ValidationError(
+        `Scope resolver must be a function or null. Received: ${typeof resolver}. Example: api.setScopeResolver(async (name) => ({ /* scope options */ }))`,
+        {
+          field: 'resolver',
+          value: resolver,
+          validValues: 'function or null'
+        }
+      );
+    }
+    if (typeof cacheMisses !== 'boolean' && !isValidTimeout(cacheMisses)) {
+      throw new ValidationError(
+        `Scope resolver cacheMisses must be a boolean or a positive number of milliseconds. Received: ${cacheMisses}. Example: { cacheMisses: 60000 }`,
+        {
+          field: 'cacheMisses',
+          value: cacheMisses,
+          validValues: 'boolean or positive number'
+        }
+      );
+    }
+    this._scopeResolver = resolver;
+    this._scopeMissTtl = cacheMisses === true ? Infinity : cacheMisses || 0;
+    this._scopeMisses.clear();
+    this._logger.debug(resolver ? 'Scope resolver set' : 'Scope resolver removed', { cacheMisses });
+    return this;
+  }
+
+  /**
+   * Returns a scope, creating it with the scope resolver if needed
+   *
+   * @param {string} name - Scope name
+   * @returns {Promise<Object|undefined>} The scope (as in api.scopes[name]), or
+   *   undefined if it doesn't exist and the resolver doesn't know it
+   * @throws {Error} Whatever the resolver, or adding the scope, throws
+   *
+   * Example:
+   * const orders = await api.resolveScope('orders')
+   * console.log(orders?.vars.tableName)
+   */
+  async resolveScope(name) {
+    if (!this._scopes.has(name) && this._isResolvableScope(name)) {
+      if (!this._scopeResolutions.has(name)) {
+        const resolution = this._runScopeResolver(name).finally(() => this._scopeResolutions.delete(name));
+        this._scopeResolutions.set(name, resolution);
+      }
+      await this._scopeResolutions.get(name);
+    }
+    return this._scopes.has(name) ? this.scopes[name] : undefined;
+  }
+
+  /**
+   * Tells whether the scope resolver may be asked for a name
+   *
+   * @private
+   * @param {string} name - Scope name
+   * @returns {boolean} True for top-level identifiers that are not a cached miss
+   */
+  _isResolvableScope(name) {
+    if (!this._scopeResolver || typeof name !== 'string' || !VALID_JS_IDENTIFIER.test(name) || isDangerousProp(name)) {
+      return false;
+    }
+    const expiresAt = this._scopeMisses.get(name);
+    if (expiresAt === undefined) return true;
+    if (expiresAt > Date.now()) return false;
+    this._scopeMisses.delete(name);
+    return true;
+  }
+
+  /**
+   * Asks the scope resolver for a scope and adds it
+   *
+   * @private
+   * @param {string} name - Scope name
+   * @returns {Promise<void>}
+   */
+  async _runScopeResolver(name) {
+    this._logger.debug(`Resolving scope '${name}'`);
+    const options = await this._scopeResolver(name);
+
+    // Added some other way while the resolver was running
+    if (this._scopes.has(name)) return;
+
+    if (options === null || options === undefined) {
+      if (this._scopeMissTtl > 0) {
+        this._scopeMisses.set(name, Date.now() + this._scopeMissTtl);
+      }
+      this._logger.debug(`Scope resolver doesn't know scope '${name}'`);
+      return;
+    }
+    if (!isPlainObject(options)) {
+      throw new ValidationError(
+        `Scope resolver must return scope options (an object) or null for scope '${name}'. Received: ${typeof options}.`,
+        {
+          field: 'options',
+          value: options,
+          validValues: 'object or null'
+        }
+      );
+    }
+    await this._addScope(name, options);
+  }
+
+  /**
+   * Creates the stand-in returned by api.scopes for a scope the resolver may create
+   *
+   * @private
+   * @param {string} name - Scope name
+   * @returns {Proxy} Object whose methods resolve the scope, then call its method
+   */
+  _createPendingScope(name) {
+    return new Proxy(() => {
+      throw new MethodError(
+        `Direct scope call not supported. Use api.scopes.${name}.methodName() instead`,
+        {
+          methodName: name,
+          suggestion: `api.scopes.${name}.methodName()`
+        }
+      );
+    }, {
+      get: (target, prop) => {
+        // Not thenable, and no vars/helpers until the scope exists
+        if (typeof prop !== 'string' || /^\d+$/.test(prop) || ['then', 'vars', 'helpers'].includes(prop)) {
+          return undefined;
+        }
+        return async (...args) => {
+          const scope = await this.resolveScope(name);
+          if (!scope) {
+            const availableScopes = Array.from(this._scopes.keys());
+            throw new ScopeError(
+              `Scope '${name}' not found: the scope resolver returned no options for it. Available scopes: ${availableScopes.join(', ') || 'none'}.`,
+              {
+                scopeName: name,
+                availableScopes
+              }
+            );
+          }
+          const method = scope[prop];
+          if (typeof method !== 'function') {
+            throw new MethodError(
+              `Scope '${name}' has no method '${prop}'.`,
+              {
+                methodName: prop,
+                scopeName: name,
+                suggestion: `Define '${prop}' in scopeMethods, or in the options the scope resolver returns for '${name}'`
+              }
+            );
+          }
+          return method(...args);
+        };
+      }
+    });
+  }
+
+  /**
+   * Removes scope aliases previously created with _setScopeAlias
+   *
+   * @private
+   * @param {string|null} aliasName - Alias for api.scopes to remove
+   * @param {string|null} addScopeAlias - Alias for api.addScope to remove
+   *
+   * Aliases are only removed if they are still the active ones
+   */
+  _removeScopeAlias(aliasName, addScopeAlias = null) {
+    if (aliasName !== null && this._scopeAlias === aliasName) {
+      delete this[aliasName];
+      this._scopeAlias = null;
+    }
+    if (addScopeAlias !== null && this._addScopeAlias === addScopeAlias) {
+      delete this[addScopeAlias];
+      this._addScopeAlias = null;
+    }
+  }
+
+
+
+  /**
+   * Installs a plugin to extend the API functionality
+   * 
+   * @param {Object} plugin - Plugin object with name and install function
+   * @param {string} plugin.name - Unique plugin identifier
+   * @param {Function} plugin.install - Installation function (can be async)
+   * @param {string[]} [plugin.dependencies] - Required plugin names
+   * @param {Object} [options={}] - Plugin-specific options
+   * @returns {Promise<Api>} This instance for chaining
+   * @throws {PluginError} If plugin is invalid or dependencies missing
+   * 
+   * Plugins are the primary extension mechanism:
+   * - Encapsulate related functionality
+   * - Can depend on other plugins
+   * - Receive a rich context during installation
+   * - Can add hooks, methods, scopes, vars, and helpers
+   * 
+   * Example:
+   * await api.use({
+   *   name: 'auth',
+   *   dependencies: ['session'],
+   *   install: (ctx) => {
+   *     ctx.addHook('beforeCreate', 'validateUser', {}, handler)
+   *     ctx.addApiMethod('login', loginHandler)
+   *   }
+   * })
+   */
+  async use(plugin, options = {}) {
+    if (typeof plugin !== 'object' || plugin === null) {
+      const received = plugin === undefined ? 'undefined' : 
+                      plugin === null ? 'null' : 
+                      `${typeof plugin}`;
+      throw new PluginError(
+        `Plugin must be an object. Received: ${received}. Example: api.use({ name: 'my-plugin', install: (context) => { /* setup */ } })`,
+        {
+          pluginName: 'unknown',
+          installedPlugins: Array.from(this._installedPlugins)
+        }
+      );
+    }
+    if (typeof plugin.name !== 'string' || plugin.name.trim() === '') {
+      const received = plugin.name === undefined ? 'undefined (missing name property)' : 
+                      plugin.name === null ? 'null' : 
+                      plugin.name === '' ? 'empty string' :
+                      `${typeof plugin.name} "${plugin.name}"`;
+      throw new PluginError(
+        `Plugin must have a non-empty name property. Received: ${received}. Example: { name: 'my-plugin', install: (context) => { /* setup */ } }`,
+        {
+          pluginName: 'unknown',
+          installedPlugins: Array.from(this._installedPlugins)
+        }
+      );
+    }
+    if (typeof plugin.install !== 'function') {
+      const received = plugin.install === undefined ? 'undefined (missing install property)' : `${typeof plugin.install}`;
+      throw new PluginError(
+        `Plugin '${plugin.name}' must have an install function. Received: ${received}. Example: { name: '${plugin.name}', install: (context) => { /* setup code */ } }`,
+        {
+          pluginName: plugin.name,
+          installedPlugins: Array.from(this._installedPlugins)
+        }
+      );
+    }
+
+    /**
+     * Check for reserved plugin names that would conflict
+     * with core API properties
+     */
+    if (plugin.name === 'api' || plugin.name === 'scopes') {
+      throw new PluginError(
+        `Plugin name '${plugin.name}' is reserved. These names are used internally by the API. Choose a different name like '${plugin.name}-plugin' or 'custom-${plugin.name}'.`,
+        {
+          pluginName: plugin.name,
+          installedPlugins: Array.from(this._installedPlugins)
+        }
+      );
+    }
+
+    if (this._installedPlugins.has(plugin.name)) {
+      const installedPlugins = Array.from(this._installedPlugins);
+      throw new PluginError(
+        `Plugin '${plugin.name}' is already installed on API '${this.options.name}'. Installed plugins: ${installedPlugins.join(', ')}. Each plugin can only be installed once.`,
+        {
+          pluginName: plugin.name,
+          installedPlugins
+        }
+      );
+    }
+
+    /**
      * Validate plugin dependencies are satisfied
      * This ensures plugins are installed in the correct order
      * and prevents runtime errors from missing dependencies
@@ -2093,6 +4493,19 @@ async _addScope(name, options = {}) {
     this._logger.info(`Installing plugin '${plugin.name}'`, { options });
     const startTime = Date.now();
     
+    /**
+     * Journal of everything registered through the install context
+     * Used to roll back a failed install, and later by api.unuse()
+     */
+    const registrations = {
+      apiMethods: new Map(),   // method name -> { handler, previous }
+      scopeMethods: new Map(), // method name -> { handler, previous }
+      scopes: new Set(),
+      vars: new Map(),         // var name -> { had, previous, value }
+      helpers: new Map(),      // helper name -> { had, previous, value }
+      scopeAliases: []
+    };
+    
     try {
       /**
        * Store plugin options in a frozen object
@@ -2110,6 +4523,38 @@ async _addScope(name, options = {}) {
        * extend the API during its install phase
        */
       const api = this; // Capture this reference for closures
+      
+      /**
+       * Journal a method registration before it happens, keeping the
+       * handler it replaces so a failed install can restore it
+       */
+      const journalMethod = (records, store, method) => {
+        if (!records.has(method)) {
+          records.set(method, { handler: undefined, previous: store.get(method) });
+        }
+        return records.get(method);
+      };
+      
+      /**
+       * vars/helpers proxies that behave like the global ones
+       * but journal which keys the plugin set and their previous values
+       */
+      const createTrackingProxy = (store, records) => new Proxy({}, {
+        get: (target, prop) => store.get(prop),
+        set: (target, prop, value) => {
+          // Prevent prototype pollution
+          if (isDangerousProp(prop)) {
+            return true;
+          }
+          if (!records.has(prop)) {
+            records.set(prop, { had: store.has(prop), previous: store.get(prop) });
+          }
+          records.get(prop).value = value;
+          store.set(prop, value);
+          return true;
+        }
+      });
+      
       const installContext = {
         /**
          * Setup methods - wrapped versions that log plugin attribution
@@ -2119,45 +4564,81 @@ async _addScope(name, options = {}) {
           if (api._logger) {
             api._logger.trace(`Plugin '${plugin.name}' adding API method '${method}'`);
           }
-          return await api._addApiMethod.call(api, method, handler);
+          const record = journalMethod(registrations.apiMethods, api._apiMethods, method);
+          const result = await api._addApiMethod.call(api, method, handler, plugin.name);
+          record.handler = api._apiMethods.get(method);
+          return result;
         },
         addScopeMethod: async (method, handler) => {
           api._logger.trace(`Plugin '${plugin.name}' adding scope method '${method}'`);
-          return await api._addScopeMethod(method, handler);
+          const record = journalMethod(registrations.scopeMethods, api._scopeMethods, method);
+          const result = await api._addScopeMethod(method, handler, plugin.name);
+          record.handler = api._scopeMethods.get(method);
+          return result;
         },
         addScope: async (name, options) => {
           api._logger.trace(`Plugin '${plugin.name}' adding scope '${name}'`);
+          // Journal first: a failing scope:added hook leaves the scope registered
+          if (typeof name === 'string' && !api._scopes.has(name)) {
+            registrations.scopes.add(name);
+          }
           return await api._addScope(name, options);
         },
         setScopeAlias: (aliasName, addScopeAlias) => {
           api._logger.trace(`Plugin '${plugin.name}' setting scope alias '${aliasName}'`);
-          return api._setScopeAlias(aliasName, addScopeAlias);
+          const result = api._setScopeAlias(aliasName, addScopeAlias);
+          // Journal after: an alias that is already taken belongs to whoever set it
+          registrations.scopeAliases.push({ aliasName: aliasName ?? null, addScopeAlias: addScopeAlias ?? null });
+          return result;
         },
         
         /**
          * Special addHook that automatically injects the plugin name
          * This ensures all hooks can be traced back to their source plugin
+         * Returns a disposer function that removes the hook again
          */
         addHook: (hookName, functionName, hookAddOptions, handler) => {
           this._logger.trace(`Plugin '${plugin.name}' adding hook '${hookName}' with function '${functionName}'`);
           return this._addHook(hookName, plugin.name, functionName, hookAddOptions || {}, handler);
         },
         
+        /**
+         * Method wrappers, tagged with the plugin name
+         * Return a function that removes the wrapper again
+         */
+        wrapMethod: (method, wrapper, options) => {
+          api._logger.trace(`Plugin '${plugin.name}' wrapping API method '${method}'`);
+          return api._wrapMethod('api', method, plugin.name, wrapper, options);
+        },
+        wrapScopeMethod: (method, wrapper, options) => {
+          api._logger.trace(`Plugin '${plugin.name}' wrapping scope method '${method}'`);
+          return api._wrapMethod('scope', method, plugin.name, wrapper, options);
+        },
+        
+        /**
+         * Event listener registration, tagged with the plugin name
+         * on(eventName, listenerName, handler) - returns an unsubscribe function
+         */
+        on: (eventName, listenerName, handler) => {
+          api._logger.trace(`Plugin '${plugin.name}' listening to '${eventName}' with '${listenerName}'`);
+          return api._on(eventName, plugin.name, listenerName, handler);
+        },
+        
         /**
          * Run hooks from plugin context
          * Allows plugins to create their own hookable operations
          */
-        runHooks: (hookName, context = {}) => {
+        runHooks: (hookName, context = {}, options = {}) => {
           api._logger.trace(`Plugin '${plugin.name}' running hooks for '${hookName}'`);
-          return api._runHooks(hookName, context, null); // Pass context and scopeName
+          return api._runHooks(hookName, context, null, options); // Pass context, scopeName and options
         },
         
         /**
          * Data access - plugins can read/write vars and helpers
          * during installation
          */
-        vars: this._varsProxy,
-        helpers: this._helpersProxy,
+        vars: createTrackingProxy(this._vars, registrations.vars),
+        helpers: createTrackingProxy(this._helpers, registrations.helpers),
         scopes: this.scopes,
         
         // Plugin-specific logger
@@ -2185,6 +4666,7 @@ async _addScope(name, options = {}) {
       
       // Mark plugin as installed to prevent duplicates and satisfy dependencies
       this._installedPlugins.add(plugin.name)
+      this._pluginRecords.set(plugin.name, { plugin, options, registrations })
       
       const duration = Date.now() - startTime;
       this._logger.info(`Plugin '${plugin.name}' installed successfully`, { duration: `${duration}ms` });
@@ -2195,11 +4677,28 @@ async _addScope(name, options = {}) {
         pluginOptions: options,
         plugin: plugin // The plugin object itself is informational context
       });
+      
+      await this._emit('plugin:installed', { pluginName: plugin.name, pluginOptions: options, plugin });
 
     } catch (error) {
       const duration = Date.now() - startTime;
       this._logger.error(`Failed to install plugin '${plugin.name}'`, { error: error.message, duration: `${duration}ms` });
       
+      /**
+       * Make the install atomic: undo everything the plugin registered
+       * so that a retry of api.use() starts from a clean state
+       */
+      const removedScopes = this._rollbackPluginRegistrations(plugin.name, registrations, { restorePrevious: true });
+      this._installedPlugins.delete(plugin.name);
+      this._pluginRecords.delete(plugin.name);
+      delete this._pluginOptions[plugin.name];
+
+      // Hooks reacting to the rollback must not hide why the install failed
+      const hookError = await this._notifyScopeChanges('scope:removed', removedScopes);
+      if (hookError) {
+        this._logger.error(`'scope:removed' hooks failed while rolling back plugin '${plugin.name}'`, { error: hookError.message });
+      }
+      
       /**
        * Wrap the error to provide plugin context
        * This helps developers identify which plugin caused the issue
@@ -2215,6 +4714,158 @@ async _addScope(name, options = {}) {
     return this
   }
 
+  /**
+   * Uninstalls a previously installed plugin
+   *
+   * @param {string} pluginName - Name of the plugin to remove
+   * @returns {Promise<Api>} This instance for chaining
+   * @throws {PluginError} If the plugin is not installed or other plugins depend on it
+   *
+   * Removes everything the plugin registered through its install context:
+   * - Hooks tagged with the plugin name
+   * - API methods and scope methods (unless since replaced by someone else)
+   * - Scopes, including their scope-specific hooks
+   * - Vars and helpers set through the install context's proxies (unless since overwritten)
+   * - Scope aliases
+   *
+   * Changes made by reaching around the install context (e.g. through
+   * `installContext.api`) are not tracked and are left in place.
+   *
+   * Example:
+   * await api.use(auditPlugin)
+   * await api.unuse('audit')
+   */
+  async unuse(pluginName) {
+    if (!this._installedPlugins.has(pluginName)) {
+      const installedPlugins = Array.from(this._installedPlugins);
+      throw new PluginError(
+        `Cannot uninstall plugin '${pluginName}': it is not installed on API '${this.options.name}'. Installed plugins: ${installedPlugins.join(', ') || 'none'}.`,
+        {
+          pluginName,
+          installedPlugins
+        }
+      );
+    }
+
+    /**
+     * Refuse if another installed plugin still needs this one
+     * An 'a|b' dependency only counts if no other alternative is installed
+     */
+    const dependents = [];
+    for (const [name, { plugin }] of this._pluginRecords) {
+      if (name === pluginName) continue;
+      for (const depName of plugin.dependencies || []) {
+        if (typeof depName !== 'string') continue;
+        const alternatives = depName.split('|').map((alt) => alt.trim()).filter(Boolean);
+        if (!alternatives.includes(pluginName)) continue;
+        if (alternatives.some((alt) => alt !== pluginName && this._installedPlugins.has(alt))) continue;
+        dependents.push(name);
+      }
+    }
+    if (dependents.length > 0) {
+      throw new PluginError(
+        `Cannot uninstall plugin '${pluginName}': required by ${dependents.map(name => `'${name}'`).join(', ')}. Uninstall the dependent plugins first.`,
+        {
+          pluginName,
+          installedPlugins: Array.from(this._installedPlugins)
+        }
+      );
+    }
+
+    const { plugin, registrations } = this._pluginRecords.get(pluginName);
+    const removedScopes = this._rollbackPluginRegistrations(pluginName, registrations);
+
+    this._installedPlugins.delete(pluginName);
+    this._pluginRecords.delete(pluginName);
+    delete this._pluginOptions[pluginName];
+
+    this._logger.info(`Plugin '${pluginName}' uninstalled`);
+
+    // The plugin is fully removed by now: a failing scope:removed hook is reported after the other hooks ran
+    const hookError = await this._notifyScopeChanges('scope:removed', removedScopes);
+
+    // Run hook for other plugins to react to this plugin removal
+    await this._runHooks('plugin:uninstalled', {
+      pluginName,
+      plugin
+    });
+    await this._emit('plugin:uninstalled', { pluginName, plugin });
+
+    if (hookError) throw hookError;
+    return this;
+  }
+
+  /**
+   * Undoes the registrations a plugin made through its install context
+   *
+   * @private
+   * @param {string} pluginName - Plugin whose hooks should be removed
+   * @param {Object} registrations - Journal built by use()
+   * @param {Object} [options]
+   * @param {boolean} [options.restorePrevious=false] - Restore the methods, vars and
+   *   helpers the plugin overwrote (failed install) instead of just removing
+   *   what it registered (unuse)
+   * @returns {Array<Object>} The removed scopes, for _notifyScopeChanges()
+   */
+  _rollbackPluginRegistrations(pluginName, registrations, { restorePrevious = false } = {}) {
+    for (const { aliasName, addScopeAlias } of registrations.scopeAliases) {
+      this._removeScopeAlias(aliasName, addScopeAlias);
+    }
+    const removedScopes = [];
+    for (const scopeName of Array.from(registrations.scopes)) {
+      this._removeScope(scopeName, removedScopes);
+    }
+
+    /**
+     * On unuse, only remove methods that still hold the handler this plugin
+     * registered, handing them back to the definition they replaced if its
+     * source is still around; on a failed install, put back whatever was there before
+     */
+    const isSourceActive = (source) =>
+      source.startsWith('api-custom:') || source.startsWith('scope-custom:') ||
+      (source !== pluginName && this._installedPlugins.has(source));
+    const rollbackMethods = (records, store) => {
+      for (const [method, { handler, previous }] of records) {
+        if (restorePrevious) {
+          if (previous === undefined) store.delete(method);
+          else store.set(method, previous);
+        } else if (store.get(method) === handler) {
+          if (previous !== undefined && isSourceActive(previous.source)) store.set(method, previous);
+          else store.delete(method);
+        }
+      }
+    };
+    rollbackMethods(registrations.scopeMethods, this._scopeMethods);
+    rollbackMethods(registrations.apiMethods, this._apiMethods);
+
+    const hooksRemoved = this._removeHooks(entry => entry.pluginName === pluginName);
+    const listenersRemoved = this._removeListeners(listener => listener.pluginName === pluginName);
+    const wrappersRemoved = this._removeMethodWrappers(entry => entry.pluginName === pluginName);
+
+    // Keys another plugin (or code) has set since are left alone, as for methods
+    const rollbackValues = (records, store) => {
+      for (const [key, { had, previous, value }] of records) {
+        if (store.get(key) !== value) continue;
+        if (restorePrevious && had) store.set(key, previous);
+        else store.delete(key);
+      }
+    };
+    rollbackValues(registrations.vars, this._vars);
+    rollbackValues(registrations.helpers, this._helpers);
+
+    this._logger.debug(`Removed registrations of plugin '${pluginName}'`, {
+      hooks: hooksRemoved,
+      listeners: listenersRemoved,
+      wrappers: wrappersRemoved,
+      apiMethods: registrations.apiMethods.size,
+      scopeMethods: registrations.scopeMethods.size,
+      scopes: removedScopes.length,
+      vars: registrations.vars.size,
+      helpers: registrations.helpers.size
+    });
+    return removedScopes;
+  }
+
 
   // Add this new public method to your Api class
   /**
@@ -2226,17 +4877,532 @@ async _addScope(name, options = {}) {
    * @param {string} hookName - The name of the hook to run (e.g., 'beforeShutdown', 'dataImported').
    * @param {object} contextObject - A mutable object passed to all hook handlers.
    * Handlers can read from and modify this object to share state or influence subsequent hooks.
+   * @param {object} [options] - Execution options, overriding those set with configureHook()
+   * @param {string} [options.mode] - 'sequential' (default) or 'parallel'
+   * @param {number} [options.concurrency] - Max handlers running at once in parallel mode
+   * @param {number|null} [options.timeout] - Milliseconds the whole chain may take (null: no limit)
    * @returns {Promise<boolean>} True if all hooks completed successfully, false if a hook stopped the chain.
    * @throws {Error} If any hook handler throws an error, it will propagate.
+   * @throws {HookAggregateError} In parallel mode, once all handlers settled, if any of them threw.
+   * @throws {TimeoutError} If the chain, or a handler with its own timeout, takes too long.
    */
-  async runHooks(hookName, contextObject) {
+  async runHooks(hookName, contextObject, options = {}) {
     if (typeof hookName !== 'string' || hookName.trim() === '') {
         throw new ValidationError('Hook name must be a non-empty string.', { field: 'hookName', value: hookName, validValues: 'non-empty string' });
     }
     if (typeof contextObject !== 'object' || contextObject === null) {
         throw new ValidationError('Context object must be a non-null object.', { field: 'contextObject', value: contextObject, validValues: 'object' });
     }
-    return this._runHooks(hookName, contextObject, null);
+    return this._runHooks(hookName, contextObject, null, options);
+  }
+
+  /**
+   * Sets default execution options for a hook
+   *
+   * @param {string} hookName - The hook to configure
+   * @param {Object} config - Execution settings (merged with previous ones)
+   * @param {string} [config.mode] - 'sequential' (default) or 'parallel'
+   * @param {number} [config.concurrency] - Max handlers running at once in parallel mode
+   * @param {number|null} [config.timeout] - Milliseconds the whole chain may take (null: no limit)
+   * @returns {Api} This instance for chaining
+   * @throws {ValidationError} If a setting is invalid
+   *
+   * Applies wherever the hook runs (runHooks calls, method handlers, system hooks).
+   * Options passed to an individual runHooks() call take precedence.
+   *
+   * Example:
+   * api.configureHook('afterSave', { mode: 'parallel', concurrency: 5 })
+   */
+  configureHook(hookName, config = {}) {
+    if (typeof hookName !== 'string' || hookName.trim() === '') {
+      throw new ValidationError('Hook name must be a non-empty string.', { field: 'hookName', value: hookName, validValues: 'non-empty string' });
+    }
+    const { mode, concurrency, timeout } = config;
+    this._validateHookConfig(hookName, { mode, concurrency, timeout });
+    const merged = { ...(this._hookConfigs.get(hookName) || {}) };
+    if (mode !== undefined) merged.mode = mode;
+    if (concurrency !== undefined) merged.concurrency = concurrency;
+    if (timeout !== undefined) merged.timeout = timeout;
+    this._hookConfigs.set(hookName, merged);
+    this._logger.debug(`Configured hook '${hookName}'`, merged);
+    return this;
+  }
+
+  /**
+   * Subscribes to an event
+   *
+   * @param {string} eventName - Event name or wildcard pattern ('method:*', '*')
+   * @param {Function} handler - Listener, receives { eventName, eventData, api, log }
+   * @returns {Function} Unsubscribe function
+   * @throws {ValidationError} If the event name or handler is invalid
+   *
+   * Events are notifications: listeners cannot change what happens, and
+   * their errors are logged but never propagate to the emitter.
+   *
+   * Example:
+   * api.on('scope:*', ({ eventName, eventData }) => console.log(eventName, eventData.scopeName))
+   */
+  on(eventName, handler) {
+    return this._on(eventName, `api-custom:${this.options.name}`, handler?.name || 'anonymous', handler);
+  }
+
+  /**
+   * Subscribes to an event for a single emission
+   *
+   * @param {string} eventName - Event name or wildcard pattern
+   * @param {Function} handler - Listener, removed before it is called
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, handler) {
+    return this._on(eventName, `api-custom:${this.options.name}`, handler?.name || 'anonymous', handler, { once: true });
+  }
+
+  /**
+   * Unsubscribes listeners
+   *
+   * @param {string} eventName - The exact name or pattern used when subscribing
+   * @param {Function|string} handlerOrName - The listener function, or its listener name
+   * @returns {boolean} True if a listener was removed
+   */
+  off(eventName, handlerOrName) {
+    if (typeof handlerOrName === 'string') {
+      return this._removeListener(eventName, handlerOrName);
+    }
+    return this._removeListeners((listener, pattern) => pattern === eventName && listener.handler === handlerOrName) > 0;
+  }
+
+  /**
+   * Emits an event to all matching listeners
+   *
+   * @param {string} eventName - Event name (no wildcards)
+   * @param {Object} [eventData={}] - Event-specific data
+   * @returns {Promise<boolean>} True if any listener was called
+   */
+  async emit(eventName, eventData = {}) {
+    if (typeof eventName !== 'string' || eventName.trim() === '') {
+      throw new ValidationError('Event name must be a non-empty string.', { field: 'eventName', value: eventName, validValues: 'non-empty string' });
+    }
+    return this._emit(eventName, eventData);
+  }
+
+  /**
+   * Registers an event listener
+   *
+   * @private
+   * @param {string} eventName - Event name or wildcard pattern
+   * @param {string} pluginName - Owner of the listener (used by unuse)
+   * @param {string} listenerName - Name for debugging and removal
+   * @param {Function} handler - Listener function
+   * @param {Object} [options]
+   * @param {boolean} [options.once=false] - Remove the listener after its first call
+   * @returns {Function} Unsubscribe function (returns true if the listener was removed)
+   */
+  _on(eventName, pluginName, listenerName, handler, { once = false } = {}) {
+    if (typeof eventName !== 'string' || eventName.trim() === '') {
+      throw new ValidationError(
+        `Event name must be a non-empty string. Received: ${typeof eventName}. Example: api.on('scope:added', handler)`,
+        { field: 'eventName', value: eventName, validValues: 'non-empty string' }
+      );
+    }
+    if (typeof handler !== 'function') {
+      throw new ValidationError(
+        `Listener for event '${eventName}' must be a function. Received: ${typeof handler}. Example: api.on('${eventName}', ({ eventData }) => { /* listener code */ })`,
+        { field: 'handler', value: handler, validValues: 'function' }
+      );
+    }
+
+    if (!this._listeners.has(eventName)) {
+      this._listeners.set(eventName, []);
+    }
+    const listener = { pluginName, listenerName, handler, once, sequence: this._listenerSequence++ };
+    this._listeners.get(eventName).push(listener);
+    this._logger.trace(`Added listener '${listenerName}' for event '${eventName}'`, { plugin: pluginName, once });
+
+    return () => this._removeListeners(candidate => candidate === listener) > 0;
+  }
+
+  /**
+   * Emits an event to every listener whose pattern matches
+   *
+   * @private
+   * @param {string} eventName - Event name
+   * @param {Object} eventData - Event-specific data
+   * @returns {Promise<boolean>} True if any listener was called
+   *
+   * Listeners run one at a time in registration order (exact names and
+   * wildcards interleaved) and are awaited, so setup work done in a listener
+   * is complete when e.g. `await api.addScope()` returns. Errors are logged
+   * and isolated: they neither stop other listeners nor reach the emitter.
+   */
+  async _emit(eventName, eventData) {
+    const matching = [];
+    for (const [pattern, listeners] of this._listeners) {
+      if (matchesEventPattern(pattern, eventName)) {
+        matching.push(...listeners.map(listener => ({ pattern, listener })));
+      }
+    }
+    if (matching.length === 0) {
+      return false;
+    }
+    matching.sort((a, b) => a.listener.sequence - b.listener.sequence);
+
+    this._logger.debug(`Emitting event '${eventName}'`, { listenerCount: matching.length });
+
+    const eventContext = {
+      eventName,
+      eventData,
+      api: {
+        vars: this._varsProxy,
+        helpers: this._helpersProxy,
+        scopes: this.scopes,
+        options: Object.freeze({ ...this._apiOptions }),
+        pluginOptions: Object.freeze({ ...this._pluginOptions })
+      }
+    };
+
+    for (const { listener } of matching) {
+      if (listener.once && !this._removeListeners(candidate => candidate === listener)) {
+        continue; // Another emission already consumed this once-listener
+      }
+      try {
+        await listener.handler({ ...eventContext, log: this._createContextLogger(`event:${eventName}`) });
+      } catch (error) {
+        this._logger.error(`Event listener '${listener.listenerName}' failed`, {
+          plugin: listener.pluginName,
+          event: eventName,
+          error: error?.message
+        });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Removes a listener by name
+   *
+   * @private
+   * @param {string} eventName - The exact name or pattern used when subscribing
+   * @param {string} listenerName - Listener name
+   * @returns {boolean} True if the listener was found and removed
+   */
+  _removeListener(eventName, listenerName) {
+    return this._removeListeners((listener, pattern) => pattern === eventName && listener.listenerName === listenerName) > 0;
+  }
+
+  /**
+   * Removes every listener matching a predicate
+   *
+   * @private
+   * @param {Function} predicate - Called with (listener, pattern); return true to remove
+   * @returns {number} Number of listeners removed
+   */
+  _removeListeners(predicate) {
+    let removed = 0;
+    for (const [pattern, listeners] of this._listeners) {
+      const remaining = listeners.filter(listener => !predicate(listener, pattern));
+      removed += listeners.length - remaining.length;
+      if (remaining.length === 0) {
+        this._listeners.delete(pattern);
+      } else {
+        this._listeners.set(pattern, remaining);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes hook handlers from a hook chain
+   *
+   * @param {string} hookName - The hook to remove handlers from
+   * @param {Object} filter - Which handlers to remove (at least one field required)
+   * @param {string} [filter.pluginName] - Plugin that added the handler
+   *   ('api-custom:<apiName>' for customize(), 'scope-custom:<scope>' for addScope())
+   * @param {string} [filter.functionName] - Function name the handler was added with
+   * @returns {number} Number of handlers removed
+   * @throws {ValidationError} If the hook name or filter is invalid
+   *
+   * Example:
+   * api.removeHook('afterSave', { pluginName: 'audit' })
+   * api.removeHook('beforeSave', { functionName: 'sanitize' })
+   */
+  removeHook(hookName, filter = {}) {
+    const matches = this._createHookFilter('removeHook', hookName, filter);
+    const removed = this._removeHooks((entry, name) => name === hookName && matches(entry));
+    this._logger.debug(`Removed ${removed} handler(s) from hook '${hookName}'`, filter);
+    return removed;
+  }
+
+  /**
+   * Replaces the handler of existing hook entries, keeping their position
+   *
+   * @param {string} hookName - The hook whose handlers should be replaced
+   * @param {Object} filter - Which handlers to replace (same fields as removeHook)
+   * @param {Function} handler - The new handler
+   * @returns {number} Number of handlers replaced
+   * @throws {ValidationError} If the hook name, filter or handler is invalid
+   *
+   * Priority, placement, type and scope restrictions of the replaced
+   * entries are kept, so the new handler runs exactly where the old one did.
+   *
+   * Example:
+   * api.replaceHook('afterSave', { functionName: 'auditLog' }, async () => {})
+   */
+  replaceHook(hookName, filter, handler) {
+    const matches = this._createHookFilter('replaceHook', hookName, filter);
+    if (typeof handler !== 'function') {
+      throw new ValidationError(
+        `replaceHook('${hookName}') handler must be a function. Received: ${typeof handler}. Example: api.replaceHook('${hookName}', { functionName: 'name' }, async ({ context }) => { /* handler code */ })`,
+        {
+          field: 'handler',
+          value: handler,
+          validValues: 'function'
+        }
+      );
+    }
+
+    let replaced = 0;
+    const handlers = this._hooks.get(hookName);
+    if (handlers) {
+      this._hooks.set(hookName, handlers.map(entry => {
+        if (!matches(entry)) return entry;
+        replaced++;
+        return { ...entry, handler };
+      }));
+    }
+    this._logger.debug(`Replaced ${replaced} handler(s) in hook '${hookName}'`, filter);
+    return replaced;
+  }
+
+  /**
+   * Validates removeHook/replaceHook arguments and builds the entry matcher
+   *
+   * @private
+   * @param {string} caller - Public method name, for error messages
+   * @param {string} hookName - Hook name
+   * @param {Object} filter - { pluginName, functionName }
+   * @returns {Function} Predicate matching hook entries
+   */
+  _createHookFilter(caller, hookName, filter) {
+    if (typeof hookName !== 'string' || hookName.trim() === '') {
+      throw new ValidationError(`${caller}: hook name must be a non-empty string.`, { field: 'hookName', value: hookName, validValues: 'non-empty string' });
+    }
+    const { pluginName, functionName } = filter || {};
+    if (pluginName === undefined && functionName === undefined) {
+      throw new ValidationError(
+        `${caller}('${hookName}') requires a filter with pluginName and/or functionName. Example: api.${caller}('${hookName}', { pluginName: 'audit' })`,
+        {
+          field: 'filter',
+          value: filter,
+          validValues: ['pluginName', 'functionName']
+        }
+      );
+    }
+    return (entry) =>
+      (pluginName === undefined || entry.pluginName === pluginName) &&
+      (functionName === undefined || entry.functionName === functionName);
+  }
+
+  /**
+   * Wraps an API method
+   *
+   * @param {string} method - API method name; the method doesn't need to exist yet
+   * @param {Function} wrapper - Receives the handler params plus `next(params?)`,
+   *   which runs the wrapped handler
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] - Higher priorities wrap outside lower ones
+   * @returns {Function} Function removing the wrapper again
+   * @throws {ValidationError} If the name, wrapper or priority is invalid
+   *
+   * Wrappers apply to methods defined before and after them, and survive the
+   * method being redefined. They run inside the method lifecycle hooks, around
+   * the handler only. Equal priorities wrap in registration order (first outermost).
+   *
+   * Example:
+   * api.wrapMethod('fetchRates', async ({ params, next }) => cache.get(params.currency) ?? next())
+   */
+  wrapMethod(method, wrapper, options = {}) {
+    return this._wrapMethod('api', method, `api-custom:${this.options.name}`, wrapper, options);
+  }
+
+  /**
+   * Wraps a scope method, on every scope or on one
+   *
+   * @param {string} method - Scope method name; the method doesn't need to exist yet
+   * @param {Function} wrapper - Receives the handler params plus `next(params?)`
+   * @param {Object} [options]
+   * @param {string} [options.scope] - Only wrap calls on this scope
+   * @param {number} [options.priority=0] - Higher priorities wrap outside lower ones
+   * @returns {Function} Function removing the wrapper again
+   * @throws {ValidationError} If the name, wrapper or an option is invalid
+   *
+   * Example:
+   * api.wrapScopeMethod('list', async ({ next }) => retry(() => next()), { scope: 'orders' })
+   */
+  wrapScopeMethod(method, wrapper, options = {}) {
+    return this._wrapMethod('scope', method, `api-custom:${this.options.name}`, wrapper, options);
+  }
+
+  /**
+   * Registers a method wrapper
+   *
+   * @private
+   * @param {string} kind - 'api' or 'scope'
+   * @param {string} method - Method name
+   * @param {string} pluginName - Owner of the wrapper (used by unuse)
+   * @param {Function} wrapper - Wrapper function
+   * @param {Object} [options]
+   * @param {string} [options.scope] - Scope restriction (scope methods only)
+   * @param {number} [options.priority=0] - Higher priorities wrap outside lower ones
+   * @returns {Function} Function removing the wrapper (returns true if it was removed)
+   */
+  _wrapMethod(kind, method, pluginName, wrapper, { scope, priority = 0 } = {}) {
+    const caller = kind === 'api' ? 'wrapMethod' : 'wrapScopeMethod';
+    if (typeof method !== 'string' || method.trim() === '') {
+      throw new ValidationError(
+        `${caller}() requires a method name. Received: ${typeof method}. Example: ${caller}('list', async ({ next }) => next())`,
+        { field: 'method', value: method, validValues: 'non-empty string' }
+      );
+    }
+    if (typeof wrapper !== 'function') {
+      throw new ValidationError(
+        `Wrapper for method '${method}' must be a function. Received: ${typeof wrapper}. Example: ${caller}('${method}', async ({ next }) => next())`,
+        { field: 'wrapper', value: wrapper, validValues: 'function' }
+      );
+    }
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      throw new ValidationError(
+        `Wrapper priority for method '${method}' must be a finite number. Received: ${typeof priority === 'number' ? priority : typeof priority}. Example: { priority: 10 }`,
+        { field: 'priority', value: priority, validValues: 'finite number' }
+      );
+    }
+    if (scope !== undefined && (kind === 'api' || typeof scope !== 'string' || scope.trim() === '')) {
+      throw new ValidationError(
+        kind === 'api' ?
+          `API method wrappers don't take a scope. Use wrapScopeMethod('${method}', wrapper, { scope }) for scope methods.` :
+          `Wrapper scope for method '${method}' must be a non-empty string. Received: ${typeof scope}.`,
+        { field: 'scope', value: scope, validValues: kind === 'api' ? 'undefined' : 'non-empty string' }
+      );
+    }
+
+    const entry = {
+      kind,
+      methodName: method,
+      scopeName: scope ?? null,
+      pluginName,
+      wrapperName: wrapper.name || 'anonymous',
+      priority,
+      sequence: this._wrapperSequence++,
+      wrapper
+    };
+    this._methodWrappers.push(entry);
+    this._methodWrappers.sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+    this._logger.trace(`Added wrapper '${entry.wrapperName}' for ${kind} method '${method}'`, { plugin: pluginName, scope: entry.scopeName, priority });
+
+    return () => this._removeMethodWrappers(candidate => candidate === entry) > 0;
+  }
+
+  /**
+   * Removes method wrappers matching a predicate
+   *
+   * @private
+   * @param {Function} predicate - Called with each wrapper entry; return true to remove
+   * @returns {number} Number of wrappers removed
+   */
+  _removeMethodWrappers(predicate) {
+    const remaining = this._methodWrappers.filter(entry => !predicate(entry));
+    const removed = this._methodWrappers.length - remaining.length;
+    this._methodWrappers = remaining;
+    return removed;
+  }
+
+  /**
+   * Describes everything the API instance contains
+   *
+   * @returns {Object} A manifest made of plain JSON data (safe for JSON.stringify)
+   *
+   * The manifest lists, in registration order:
+   * - name, version: The API identity
+   * - plugins: [{ name, version, options, dependencies }] in installation order
+   * - apiMethods / scopeMethods: [{ name, pluginName, timeout?, params?, returns?, stripUnknown?, onConflict?, runIn?, module?, exportName? }]
+   *   pluginName is the plugin that added the method, or 'api-custom:<apiName>' for customize();
+   *   module and exportName locate the handler of runIn: 'worker' methods
+   * - scopes: [{ name, pluginName, parentScopeName?, extends?, options, methods, vars, helpers }]
+   *   where methods are the scope's own methods ('scope-custom:<scope>') and vars/helpers are
+   *   the scope's own keys; pluginName is null for scopes added with api.addScope();
+   *   parentScopeName is set for child scopes, extends names the base scope
+   * - hooks: { [hookName]: [{ pluginName, functionName, priority, ... }] } in execution order
+   * - vars / helpers: Global keys (values are not included)
+   * - aliases: { scopes, addScope } names set with setScopeAlias(), or null
+   *
+   * Option values that aren't plain data (functions, class instances) are
+   * replaced by descriptive strings such as '[Function: connect]'.
+   *
+   * Example:
+   * console.log(JSON.stringify(api.describe(), null, 2))
+   */
+  describe() {
+    const describeMethod = (name, definition) => {
+      const { handler, source, ...options } = definition;
+      return { name, pluginName: source, ...toSerializable(options) };
+    };
+
+    const describeHook = ({ pluginName, functionName, priority, placement, type, scopeName, subtree, timeout }) => {
+      const description = { pluginName, functionName, priority };
+      if (type) description.type = type;
+      if (placement) description.placement = { ...placement };
+      if (scopeName) description.scopeName = scopeName;
+      if (subtree) description.subtree = true;
+      if (timeout !== undefined) description.timeout = timeout;
+      return description;
+    };
+
+    return {
+      name: this.options.name,
+      version: this.options.version ?? null,
+
+      plugins: Array.from(this._installedPlugins, (name) => {
+        const { plugin } = this._pluginRecords.get(name);
+        return {
+          name,
+          version: plugin.version ?? null,
+          options: toSerializable(this._pluginOptions[name] ?? {}),
+          dependencies: [...(plugin.dependencies || [])]
+        };
+      }),
+
+      apiMethods: Array.from(this._apiMethods, ([name, definition]) =>
+        describeMethod(name, definition)
+      ),
+
+      scopeMethods: Array.from(this._scopeMethods, ([name, definition]) =>
+        describeMethod(name, definition)
+      ),
+
+      scopes: Array.from(this._scopes, ([name, scopeConfig]) => ({
+        name,
+        pluginName: Array.from(this._pluginRecords).find(([, { registrations }]) => registrations.scopes.has(name))?.[0] ?? null,
+        ...(scopeConfig.parent ? { parentScopeName: scopeConfig.parent } : {}),
+        ...(scopeConfig.extends ? { extends: scopeConfig.extends } : {}),
+        options: toSerializable(scopeConfig.options),
+        methods: Array.from(scopeConfig._scopeMethods, ([methodName, definition]) =>
+          describeMethod(methodName, definition)
+        ),
+        vars: Array.from(scopeConfig._vars.keys()),
+        helpers: Array.from(scopeConfig._helpers.keys())
+      })),
+
+      hooks: Object.fromEntries(
+        Array.from(this._hooks, ([hookName, entries]) => [hookName, entries.map(describeHook)])
+          .filter(([, entries]) => entries.length > 0)
+      ),
+
+      vars: Array.from(this._vars.keys()),
+      helpers: Array.from(this._helpers.keys()),
+
+      aliases: this._scopeAlias || this._addScopeAlias
+        ? { scopes: this._scopeAlias, addScope: this._addScopeAlias }
+        : null
+    };
   }
 
 }
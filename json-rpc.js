@@ -0,0 +1,205 @@
+/**
+ * JSON-RPC 2.0 adapter for Hooked API
+ *
+ * Dispatches JSON-RPC requests to the methods of an Api instance:
+ * - "ping"                -> api.ping(params)
+ * - "users.create"        -> api.scopes.users.create(params)
+ * - "projects.tasks.list" -> api.scopes['projects.tasks'].list(params)
+ *
+ * The handler is transport-agnostic: it takes a request (a JSON string or the
+ * parsed value) and returns the response in the same form, so it can sit
+ * behind HTTP, WebSockets, a message queue or a plain function call.
+ *
+ * Example:
+ * import { createJsonRpcHandler } from 'hooked-api/json-rpc.js'
+ *
+ * const rpc = createJsonRpcHandler(api)
+ * await rpc('{"jsonrpc":"2.0","id":1,"method":"users.create","params":{"name":"Ada"}}')
+ * // '{"jsonrpc":"2.0","id":1,"result":{...}}'
+ */
+
+import { HookedApiError, ValidationError, MethodError } from './index.js';
+import { findMethod, parseMethodPath, createScopeFilter, toPublicErrorJSON } from './method-lookup.js';
+
+/**
+ * Error codes of the JSON-RPC 2.0 specification, plus the server error
+ * codes used for the other HookedApiErrors
+ */
+export const JsonRpcErrorCode = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000,   // Any other HookedApiError
+  TIMEOUT_ERROR: -32001
+});
+
+/**
+ * JSON-RPC error code for each HookedApiError code
+ * Codes missing here map to SERVER_ERROR
+ */
+const CODES_BY_ERROR_CODE = {
+  VALIDATION_ERROR: JsonRpcErrorCode.INVALID_PARAMS,
+  SCOPE_ERROR: JsonRpcErrorCode.METHOD_NOT_FOUND,
+  METHOD_ERROR: JsonRpcErrorCode.METHOD_NOT_FOUND,
+  TIMEOUT_ERROR: JsonRpcErrorCode.TIMEOUT_ERROR,
+  WORKER_ERROR: JsonRpcErrorCode.INTERNAL_ERROR
+};
+
+/**
+ * Builds the JSON-RPC error object for an error thrown by a call
+ *
+ * HookedApiErrors keep their message, and carry their public properties as
+ * `data` (see toPublicErrorJSON in method-lookup.js; `data.code` is the
+ * library's code, e.g. 'VALIDATION_ERROR'). Other errors become a bare
+ * "Internal error", to avoid leaking internals.
+ *
+ * @param {Error} error - The error
+ * @param {boolean} [errorDetails=false] - Carry every property (error.toJSON()) as `data`
+ * @returns {Object} { code, message, data? }
+ */
+export function toJsonRpcError(error, errorDetails = false) {
+  if (!(error instanceof HookedApiError)) {
+    return { code: JsonRpcErrorCode.INTERNAL_ERROR, message: 'Internal error' };
+  }
+  // A result that doesn't match its schema is the server's fault, not a missing method
+  const code = error instanceof MethodError && error.errors.length > 0
+    ? JsonRpcErrorCode.INTERNAL_ERROR
+    : CODES_BY_ERROR_CODE[error.code] ?? JsonRpcErrorCode.SERVER_ERROR;
+  return { code, message: error.message, data: toPublicErrorJSON(error, errorDetails) };
+}
+
+/**
+ * Creates a JSON-RPC 2.0 handler for an API
+ *
+ * @param {Object} api - The Api instance
+ * @param {Object} [options]
+ * @param {boolean|RegExp|string[]|Function} [options.resolveScopes=true] - Unknown
+ *   scope names the scope resolver may be asked for (see createScopeFilter in
+ *   method-lookup.js); without a limit, any client can make it run for any name
+ * @param {boolean} [options.errorDetails=false] - Send every property of errors
+ *   as `data`, such as the invalid value, instead of the public ones
+ * @returns {Function} async (request, { context, signal }?) => response
+ *   - request: A JSON string, or an already parsed request object or batch array
+ *   - context: Merged into the initialContext of every call; calls also get
+ *     context.jsonrpc = { id, method }
+ *   - signal: AbortSignal passed to every call
+ *   - response: The response in the same form as the request (string or value),
+ *     or undefined when there is nothing to answer (notifications only)
+ *
+ * Only methods registered on the API can be called (see method-lookup.js).
+ * Batches run their calls concurrently; notifications run but get no response.
+ * Params must be an object, or left out.
+ * @throws {ValidationError} If the options are invalid
+ */
+export function createJsonRpcHandler(api, { resolveScopes = true, errorDetails = false } = {}) {
+  const mayResolveScope = createScopeFilter(resolveScopes);
+  if (typeof errorDetails !== 'boolean') {
+    throw new ValidationError(
+      `errorDetails must be a boolean. Received: ${typeof errorDetails}`,
+      { field: 'errorDetails', value: errorDetails, validValues: [true, false] }
+    );
+  }
+
+  const respond = async (request, context, signal) => {
+    if (!isValidRequest(request)) {
+      return errorResponse(validId(request?.id), JsonRpcErrorCode.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    const { id, method: rpcMethod, params = {} } = request;
+    const isNotification = !Object.hasOwn(request, 'id');
+
+    try {
+      if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw new ValidationError('params must be an object; positional params are not supported', {
+          field: 'params',
+          value: params
+        });
+      }
+      // Names starting with rpc. are reserved by the specification
+      if (rpcMethod.startsWith('rpc.')) {
+        throw new MethodError(`Method '${rpcMethod}' not found`, { methodName: rpcMethod });
+      }
+      const method = await findMethod(api, ...parseMethodPath(rpcMethod), mayResolveScope);
+      const result = await method(params, { ...context, jsonrpc: { id: id ?? null, method: rpcMethod } }, { signal });
+      return isNotification ? undefined : { jsonrpc: '2.0', id, result: result ?? null };
+    } catch (error) {
+      return isNotification ? undefined : { jsonrpc: '2.0', id, error: toJsonRpcError(error, errorDetails) };
+    }
+  };
+
+  /**
+   * Answers one request, as a JSON string if asJson is set
+   * A response that can't be serialized, e.g. a result holding a BigInt or
+   * a circular reference, is answered with an internal error instead, so
+   * the other responses of a batch are still sent
+   */
+  const call = async (request, context, signal, asJson) => {
+    const response = await respond(request, context, signal);
+    if (response === undefined || !asJson) return response;
+    try {
+      return JSON.stringify(response);
+    } catch {
+      return JSON.stringify(errorResponse(response.id, JsonRpcErrorCode.INTERNAL_ERROR, 'Internal error'));
+    }
+  };
+
+  const handle = async (message, { context = {}, signal = null } = {}, asJson = false) => {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        const response = errorResponse(null, JsonRpcErrorCode.INVALID_REQUEST, 'Invalid Request');
+        return asJson ? JSON.stringify(response) : response;
+      }
+      const responses = (await Promise.all(message.map(request => call(request, context, signal, asJson))))
+        .filter(response => response !== undefined);
+      if (responses.length === 0) return undefined;
+      return asJson ? `[${responses.join(',')}]` : responses;
+    }
+    return call(message, context, signal, asJson);
+  };
+
+  return async (request, options) => {
+    if (typeof request !== 'string') {
+      return handle(request, options);
+    }
+
+    let message;
+    try {
+      message = JSON.parse(request);
+    } catch {
+      return JSON.stringify(errorResponse(null, JsonRpcErrorCode.PARSE_ERROR, 'Parse error'));
+    }
+    return handle(message, options, true);
+  };
+}
+
+/**
+ * Checks the shape of a request object, as required by the specification
+ *
+ * @private
+ */
+function isValidRequest(request) {
+  return request !== null
+    && typeof request === 'object'
+    && !Array.isArray(request)
+    && request.jsonrpc === '2.0'
+    && typeof request.method === 'string'
+    && (!Object.hasOwn(request, 'id') || validId(request.id) !== null || request.id === null);
+}
+
+/**
+ * The request id if it is a valid one (string or number), otherwise null
+ *
+ * @private
+ */
+function validId(id) {
+  return typeof id === 'string' || typeof id === 'number' ? id : null;
+}
+
+/**
+ * @private
+ */
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
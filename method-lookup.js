@@ -0,0 +1,129 @@
+/**
+ * Method lookup and error reporting shared by the transports
+ *
+ * Transports only call what the API registered: API methods from
+ * api._apiMethods and scope methods found along the scope's chain, never
+ * the Api's own members (use, addScope...) or other properties
+ */
+
+import { ScopeError, MethodError, ValidationError } from './index.js';
+
+/**
+ * Error properties sent to remote clients besides name, code and message
+ * The others (value, availableScopes, plugin and function names...) can
+ * describe the server's internals, and are only sent on request
+ */
+const PUBLIC_ERROR_FIELDS = ['field', 'scopeName', 'methodName', 'timeout'];
+
+/**
+ * Splits a dotted method path into scope and method names
+ * The last dot separates the method, so child scopes work:
+ * - 'ping'                -> [undefined, 'ping']
+ * - 'users.create'        -> ['users', 'create']
+ * - 'projects.tasks.list' -> ['projects.tasks', 'list']
+ *
+ * @param {string} methodPath - Method path
+ * @returns {Array} [scopeName|undefined, methodName]
+ * @throws {MethodError} If the scope or method part is empty
+ */
+export function parseMethodPath(methodPath) {
+  const dot = methodPath.lastIndexOf('.');
+  if (dot === 0 || dot === methodPath.length - 1) {
+    throw new MethodError(`Method '${methodPath}' not found`, { methodName: methodPath });
+  }
+  return dot === -1 ? [undefined, methodPath] : [methodPath.slice(0, dot), methodPath.slice(dot + 1)];
+}
+
+/**
+ * Builds the check deciding which unknown scope names a transport may pass
+ * to the scope resolver (see api.setScopeResolver())
+ *
+ * With a resolver, any name a client sends is a candidate scope, so every
+ * request for an unknown scope runs the resolver. Transports take this as
+ * their `resolveScopes` option to limit that.
+ *
+ * @param {boolean|RegExp|string[]|Function} [resolveScopes=true]
+ *   - true: any name, the resolver decides
+ *   - false: none, only scopes that already exist can be called
+ *   - RegExp: names matching it, e.g. /^tenant_\d+$/
+ *   - string[]: these names
+ *   - Function: (name) => boolean
+ * @returns {Function} (scopeName) => boolean
+ * @throws {ValidationError} If resolveScopes is none of these
+ */
+export function createScopeFilter(resolveScopes = true) {
+  if (typeof resolveScopes === 'boolean') return () => resolveScopes;
+  if (typeof resolveScopes === 'function') return (scopeName) => resolveScopes(scopeName) === true;
+  if (resolveScopes instanceof RegExp) {
+    return (scopeName) => {
+      resolveScopes.lastIndex = 0;
+      return resolveScopes.test(scopeName);
+    };
+  }
+  if (Array.isArray(resolveScopes) && resolveScopes.every(name => typeof name === 'string')) {
+    const names = new Set(resolveScopes);
+    return (scopeName) => names.has(scopeName);
+  }
+  throw new ValidationError(
+    `resolveScopes must be a boolean, a RegExp, an array of scope names or a function. Received: ${typeof resolveScopes}. Example: { resolveScopes: /^tenant_\d+$/ }`,
+    { field: 'resolveScopes', value: resolveScopes, validValues: 'boolean, RegExp, string[] or (name) => boolean' }
+  );
+}
+
+/**
+ * Finds the API or scope method a remote call points to
+ *
+ * @param {Object} api - The Api instance
+ * @param {string|undefined} scopeName - Scope of the method, or undefined for API methods
+ * @param {string} methodName - Method name
+ * @param {Function} [mayResolve] - (scopeName) => boolean, from createScopeFilter():
+ *   whether the scope resolver may be asked for a scope that doesn't exist
+ * @returns {Promise<Function>} The method, as in api[methodName] or api.scopes[scopeName][methodName]
+ * @throws {ScopeError} If the scope doesn't exist (the scope resolver is asked first, if allowed)
+ * @throws {MethodError} If the method doesn't exist
+ */
+export async function findMethod(api, scopeName, methodName, mayResolve = () => true) {
+  if (scopeName === undefined) {
+    if (!api._apiMethods.has(methodName)) {
+      throw new MethodError(`API method '${methodName}' not found`, { methodName });
+    }
+    return api[methodName];
+  }
+
+  const scope = api._scopes.has(scopeName) || mayResolve(scopeName) ? await api.resolveScope(scopeName) : undefined;
+  if (!scope) {
+    throw new ScopeError(`Scope '${scopeName}' not found`, { scopeName });
+  }
+  if (!api._findScopeMethod(scopeName, methodName)) {
+    throw new MethodError(`Method '${methodName}' not found on scope '${scopeName}'`, { methodName, scopeName });
+  }
+  return scope[methodName];
+}
+
+/**
+ * JSON form of a HookedApiError, as sent to remote clients
+ *
+ * Only name, code, message, the PUBLIC_ERROR_FIELDS and, for validation and
+ * result schema errors, the { path, keyword, message } of each problem are
+ * kept, unless errorDetails asks for all of error.toJSON().
+ *
+ * @param {HookedApiError} error - The error
+ * @param {boolean} [errorDetails=false] - Send every property of the error
+ * @returns {Object} { name, code, message, ... }
+ */
+export function toPublicErrorJSON(error, errorDetails = false) {
+  const json = error.toJSON();
+  if (errorDetails) return json;
+
+  const { name, code, message } = json;
+  const publicJson = { name, code, message };
+  for (const field of PUBLIC_ERROR_FIELDS) {
+    if (json[field] !== undefined) publicJson[field] = json[field];
+  }
+  if ((error instanceof ValidationError || error instanceof MethodError) && Array.isArray(json.errors)) {
+    publicJson.errors = json.errors
+      .filter(problem => problem !== null && typeof problem === 'object')
+      .map(({ path, keyword, message }) => ({ path, keyword, message }));
+  }
+  return publicJson;
+}
@@ -0,0 +1,164 @@
+/**
+ * Remote client for an API served by the HTTP transport
+ *
+ * createRemoteApi() returns an object shaped like the Api proxy, whose method
+ * calls are sent to a server running http-transport.js:
+ * - client.ping(params)                  -> POST {url}/ping
+ * - client.scopes.users.create(params)   -> POST {url}/scopes/users/create
+ * - client.scopes.projects.tasks.list()  -> POST {url}/scopes/projects.tasks/list
+ *
+ * Errors sent by the server are rebuilt as the matching HookedApiError
+ * subclass, so code using the API can move between in-process and remote
+ * without changes:
+ *
+ * const api = createRemoteApi({ url: 'http://localhost:3000/api' })
+ * try {
+ *   await api.scopes.users.create({ name: 'Ada' })
+ * } catch (error) {
+ *   if (error instanceof ValidationError) console.log(error.errors)
+ * }
+ */
+
+import { HookedApiError, ValidationError } from './index.js';
+
+/**
+ * Creates a client for an API served over HTTP
+ *
+ * @param {Object} options
+ * @param {string|URL} options.url - Base URL of the transport, including its basePath
+ * @param {Object|Function} [options.headers] - Headers sent with every call, or a
+ *   (possibly async) function returning them, e.g. to add a fresh token
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation
+ * @returns {Proxy} The client
+ * @throws {ValidationError} If the options are invalid
+ *
+ * Methods take the same arguments as on an Api: (params, initialContext, { signal }).
+ * The initialContext stays on the client (the server builds its own), and the
+ * signal aborts the request.
+ *
+ * Methods are not checked on the client: calling one the server doesn't have
+ * rejects with the server's MethodError or ScopeError. vars and helpers are
+ * not available remotely.
+ */
+export function createRemoteApi({ url, headers = {}, fetch = globalThis.fetch } = {}) {
+  let baseUrl;
+  try {
+    baseUrl = new URL(url).href.replace(/\/+$/, '');
+  } catch {
+    throw new ValidationError(
+      `url must be an absolute URL. Received: ${String(url)}. Example: createRemoteApi({ url: 'http://localhost:3000/api' })`,
+      { field: 'url', value: url }
+    );
+  }
+  if (headers === null || (typeof headers !== 'object' && typeof headers !== 'function')) {
+    throw new ValidationError(
+      `headers must be an object or a function returning one. Received: ${typeof headers}`,
+      { field: 'headers', value: headers }
+    );
+  }
+  if (typeof fetch !== 'function') {
+    throw new ValidationError(
+      `fetch must be a function. Received: ${typeof fetch}`,
+      { field: 'fetch', value: fetch }
+    );
+  }
+
+  const call = async (path, params = {}, initialContext = {}, { signal = null } = {}) => {
+    const response = await fetch(`${baseUrl}/${path}`, {
+      method: 'POST',
+      headers: {
+        ...(typeof headers === 'function' ? await headers() : headers),
+        'content-type': 'application/json',
+        accept: 'application/json'
+      },
+      body: JSON.stringify(params),
+      signal: signal ?? undefined
+    });
+    return readResponse(response);
+  };
+
+  /**
+   * A scope, or a name inside one: calling it calls the method of that name,
+   * and reading a property from it goes down to the child scope of that name
+   */
+  const createScopeMember = (scopeName, name) => new Proxy(
+    (...args) => call(`scopes/${encodeURIComponent(scopeName)}/${encodeURIComponent(name)}`, ...args),
+    { get: (target, prop) => (isMethodName(prop) ? createScopeMember(`${scopeName}.${name}`, prop) : undefined) }
+  );
+
+  const createScope = (scopeName) => new Proxy({}, {
+    get: (target, prop) => (isMethodName(prop) ? createScopeMember(scopeName, prop) : undefined)
+  });
+
+  const scopes = new Proxy({}, {
+    get: (target, prop) => (isMethodName(prop) ? createScope(prop) : undefined)
+  });
+
+  return new Proxy({}, {
+    get: (target, prop) => {
+      if (prop === 'scopes') return scopes;
+      if (!isMethodName(prop)) return undefined;
+      return (...args) => call(encodeURIComponent(prop), ...args);
+    }
+  });
+}
+
+/**
+ * Length of the body excerpt in the message of HTTP_ERRORs for bodies that
+ * are not JSON
+ *
+ * @private
+ */
+const BODY_EXCERPT_LENGTH = 100;
+
+/**
+ * Returns the result of a call, or throws the error the server sent
+ * Only a 204 or an empty body stand for a method that returned nothing
+ *
+ * @private
+ * @throws {HookedApiError} The server's error, rebuilt with HookedApiError.fromJSON(),
+ *   or an HTTP_ERROR if the response is not a transport error or its body is not JSON
+ */
+async function readResponse(response) {
+  if (response.status === 204) return undefined;
+
+  const text = await response.text();
+  let body;
+  try {
+    body = text === '' ? undefined : JSON.parse(text);
+  } catch {
+    // e.g. an HTML page from a proxy in front of the server
+    if (response.ok) {
+      const excerpt = text.length > BODY_EXCERPT_LENGTH ? `${text.slice(0, BODY_EXCERPT_LENGTH)}...` : text;
+      throw httpError(`Response with status ${response.status} is not valid JSON: ${excerpt}`, response.status);
+    }
+    body = undefined;
+  }
+
+  if (response.ok) return body;
+  if (body?.error && typeof body.error === 'object') {
+    throw HookedApiError.fromJSON(body.error);
+  }
+  throw httpError(`Request failed with status ${response.status}`, response.status);
+}
+
+/**
+ * @private
+ * @returns {HookedApiError} An HTTP_ERROR carrying the response status
+ */
+function httpError(message, status) {
+  const error = new HookedApiError(message, 'HTTP_ERROR');
+  error.status = status;
+  return error;
+}
+
+/**
+ * Properties that can name a remote method
+ * Symbols, vars and helpers can't, nor `then` (so that clients are not
+ * mistaken for promises)
+ *
+ * @private
+ */
+function isMethodName(prop) {
+  return typeof prop === 'string' && prop !== 'then' && prop !== 'vars' && prop !== 'helpers';
+}
@@ -0,0 +1,40 @@
+/**
+ * Serves an API on a free local port for the HTTP transport and remote
+ * client tests
+ */
+
+import { once } from 'node:events';
+import { createHttpServer } from '../http-transport.js';
+
+
+/**
+ * @param {Object} api - The Api instance
+ * @param {Object} [options] - createHttpServer() options
+ * @returns {Promise<Object>} { server, url, request, close }
+ *   - request(method, path, body?): { status, headers, body }, the body parsed as JSON;
+ *     a string body is sent as is
+ *   - close(): stops the server, dropping open connections
+ */
+export const serve = async (api, options) => {
+  const server = createHttpServer(api, options);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(url + path, {
+      method,
+      headers: body === undefined ? {} : { 'content-type': 'application/json' },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+  };
+
+  return {
+    server,
+    url,
+    request,
+    close: () => new Promise(resolve => { server.close(resolve); server.closeAllConnections(); })
+  };
+};
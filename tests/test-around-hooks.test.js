@@ -0,0 +1,269 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+test('Around Hooks', async (t) => {
+  await t.test('should wrap the rest of the chain', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+
+    await api.customize({
+      hooks: {
+        process: { type: 'around', handler: async ({ next }) => {
+          calls.push('around:start');
+          await next();
+          calls.push('around:end');
+        } }
+      }
+    });
+    await api.use({
+      name: 'later',
+      install: ({ addHook }) => {
+        addHook('process', 'regular', {}, async () => { calls.push('regular'); });
+      }
+    });
+
+    const completed = await api.runHooks('process', {});
+    assert.equal(completed, true);
+    assert.deepEqual(calls, ['around:start', 'regular', 'around:end']);
+  });
+
+  await t.test('should nest multiple around hooks', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+
+    await api.use({
+      name: 'nesting',
+      install: ({ addHook }) => {
+        addHook('process', 'outer', { type: 'around' }, async ({ next }) => {
+          calls.push('outer:start');
+          await next();
+          calls.push('outer:end');
+        });
+        addHook('process', 'middle', {}, async () => { calls.push('middle'); });
+        addHook('process', 'inner', { type: 'around' }, async ({ next }) => {
+          calls.push('inner:start');
+          await next();
+          calls.push('inner:end');
+        });
+        addHook('process', 'last', {}, async () => { calls.push('last'); });
+      }
+    });
+
+    await api.runHooks('process', {});
+    assert.deepEqual(calls, ['outer:start', 'middle', 'inner:start', 'last', 'inner:end', 'outer:end']);
+  });
+
+  await t.test('should stop the chain when next is not called', async () => {
+    const api = new Api({ name: 'test' });
+    let downstreamRan = false;
+
+    await api.use({
+      name: 'gate',
+      install: ({ addHook }) => {
+        addHook('process', 'gate', { type: 'around' }, async () => {});
+        addHook('process', 'downstream', {}, async () => { downstreamRan = true; });
+      }
+    });
+
+    assert.equal(await api.runHooks('process', {}), false);
+    assert.equal(downstreamRan, false);
+  });
+
+  await t.test('should report downstream chain stops through next', async () => {
+    const api = new Api({ name: 'test' });
+    let nextResult;
+
+    await api.use({
+      name: 'stopper',
+      install: ({ addHook }) => {
+        addHook('process', 'wrapper', { type: 'around' }, async ({ next }) => {
+          nextResult = await next();
+        });
+        addHook('process', 'stop', {}, async () => false);
+      }
+    });
+
+    assert.equal(await api.runHooks('process', {}), false);
+    assert.equal(nextResult, false);
+  });
+
+  await t.test('should let around hooks catch downstream errors', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.use({
+      name: 'catcher',
+      install: ({ addHook }) => {
+        addHook('process', 'catchAll', { type: 'around' }, async ({ context, next }) => {
+          try {
+            await next();
+          } catch (error) {
+            context.caught = error.message;
+          }
+        });
+        addHook('process', 'thrower', {}, async () => { throw new Error('downstream failure'); });
+      }
+    });
+
+    const context = {};
+    await api.runHooks('process', context);
+    assert.equal(context.caught, 'downstream failure');
+  });
+
+  await t.test('should respect placement options', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+
+    await api.use({
+      name: 'first',
+      install: ({ addHook }) => {
+        addHook('process', 'regular', {}, async () => { calls.push('regular'); });
+      }
+    });
+    await api.use({
+      name: 'second',
+      install: ({ addHook }) => {
+        addHook('process', 'wrapper', { type: 'around', beforePlugin: 'first' }, async ({ next }) => {
+          calls.push('wrapper:start');
+          await next();
+          calls.push('wrapper:end');
+        });
+      }
+    });
+
+    await api.runHooks('process', {});
+    assert.deepEqual(calls, ['wrapper:start', 'regular', 'wrapper:end']);
+  });
+
+  await t.test('should wrap method bodies with method:around', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+
+    await api.customize({
+      apiMethods: {
+        work: async () => {
+          calls.push('handler');
+          return 'done';
+        }
+      },
+      hooks: {
+        'method:around': { type: 'around', handler: async ({ context, next }) => {
+          calls.push('around:start');
+          await next();
+          calls.push(`around:end:${context.result}`);
+        } },
+        'method:before': async () => { calls.push('before'); },
+        'method:after': async () => { calls.push('after'); }
+      }
+    });
+
+    assert.equal(await api.work(), 'done');
+    assert.deepEqual(calls, ['around:start', 'before', 'handler', 'after', 'around:end:done']);
+  });
+
+  await t.test('should let method:around retry the method', async () => {
+    const api = new Api({ name: 'test' });
+    let attempts = 0;
+
+    await api.customize({
+      apiMethods: {
+        flaky: async () => {
+          attempts++;
+          if (attempts < 3) throw new Error('temporary');
+          return 'stable';
+        }
+      },
+      hooks: {
+        'method:around': { type: 'around', handler: async ({ next }) => {
+          for (let i = 0; ; i++) {
+            try {
+              return await next();
+            } catch (error) {
+              if (i === 4) throw error;
+            }
+          }
+        } }
+      }
+    });
+
+    assert.equal(await api.flaky(), 'stable');
+    assert.equal(attempts, 3);
+  });
+
+  await t.test('should let method:around short-circuit with a result', async () => {
+    const api = new Api({ name: 'test' });
+    let handlerCalled = false;
+
+    await api.customize({
+      scopeMethods: {
+        get: async () => {
+          handlerCalled = true;
+          return 'fresh';
+        }
+      },
+      hooks: {
+        'method:around': { type: 'around', handler: async ({ context }) => {
+          context.result = 'cached';
+        } }
+      }
+    });
+    await api.addScope('users');
+
+    assert.equal(await api.scopes.users.get(), 'cached');
+    assert.equal(handlerCalled, false);
+  });
+
+  await t.test('should pass other scopes through scope-specific around hooks', async () => {
+    const api = new Api({ name: 'test' });
+    const wrapped = [];
+
+    await api.customize({
+      scopeMethods: { list: async ({ scopeName }) => scopeName }
+    });
+    await api.addScope('users', {
+      hooks: {
+        'method:around': { type: 'around', handler: async ({ context, next }) => {
+          wrapped.push(context.scopeName);
+          await next();
+        } }
+      }
+    });
+    await api.addScope('posts');
+
+    assert.equal(await api.scopes.users.list(), 'users');
+    assert.equal(await api.scopes.posts.list(), 'posts');
+    assert.deepEqual(wrapped, ['users']);
+  });
+
+  await t.test('should reject unknown hook types', async () => {
+    const api = new Api({ name: 'test' });
+    await assert.rejects(
+      api.customize({
+        hooks: { process: { type: 'sideways', handler: async () => {} } }
+      }),
+      ValidationError
+    );
+  });
+
+  await t.test('should reject regular handlers on method:around', async () => {
+    const api = new Api({ name: 'test' });
+    let handlerCalled = false;
+    await api.customize({
+      apiMethods: { work: async () => { handlerCalled = true; return 'done'; } }
+    });
+
+    await assert.rejects(
+      api.customize({
+        hooks: { 'method:around': async () => false }
+      }),
+      (error) => error instanceof ValidationError && error.field === 'type'
+    );
+    assert.equal(await api.work(), 'done');
+    assert.equal(handlerCalled, true);
+
+    const renamed = new Api({ name: 'renamed', methodHooks: { around: 'call:around' } });
+    await assert.rejects(renamed.customize({ hooks: { 'call:around': async () => {} } }), ValidationError);
+    await renamed.customize({ hooks: { 'method:around': async () => false } });
+  });
+});
@@ -0,0 +1,188 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+
+test('AbortSignal Cancellation', async (t) => {
+  await t.test('should expose the signal to handlers and lifecycle hooks', async () => {
+    const api = new Api({ name: 'test' });
+    const seen = [];
+    await api.customize({
+      apiMethods: { ping: async ({ signal }) => { seen.push(['handler', signal]); return 'pong'; } },
+      hooks: { 'method:before': async ({ signal }) => { seen.push(['before', signal]); } }
+    });
+
+    const controller = new AbortController();
+    assert.equal(await api.ping({}, {}, { signal: controller.signal }), 'pong');
+    assert.deepEqual(seen, [['before', controller.signal], ['handler', controller.signal]]);
+  });
+
+  await t.test('should default the signal to null', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { get: async ({ signal }) => signal } });
+    await api.addScope('users');
+
+    assert.equal(await api.scopes.users.get(), null);
+  });
+
+  await t.test('should not start a method with an aborted signal', async () => {
+    const api = new Api({ name: 'test' });
+    let called = false;
+    await api.customize({ apiMethods: { work: async () => { called = true; } } });
+
+    const controller = new AbortController();
+    controller.abort(new Error('client went away'));
+    await assert.rejects(api.work({}, {}, { signal: controller.signal }), /client went away/);
+    assert.equal(called, false);
+  });
+
+  await t.test('should stop a hook chain between handlers', async () => {
+    const api = new Api({ name: 'test' });
+    const controller = new AbortController();
+    const calls = [];
+    await api.use({
+      name: 'steps',
+      install: ({ addHook }) => {
+        addHook('process', 'first', {}, async () => { calls.push('first'); controller.abort(); });
+        addHook('process', 'second', {}, async () => { calls.push('second'); });
+      }
+    });
+
+    await assert.rejects(api.runHooks('process', {}, { signal: controller.signal }), { name: 'AbortError' });
+    assert.deepEqual(calls, ['first']);
+  });
+
+  await t.test('should skip the handler when aborted during before hooks', async () => {
+    const api = new Api({ name: 'test' });
+    const controller = new AbortController();
+    let handlerCalled = false;
+    let errorSeen;
+    await api.customize({
+      scopeMethods: { list: async () => { handlerCalled = true; } },
+      hooks: {
+        'method:before': async () => { controller.abort(); },
+        'method:error': async ({ context }) => { errorSeen = context.error?.name; }
+      }
+    });
+    await api.addScope('users');
+
+    await assert.rejects(api.scopes.users.list({}, {}, { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(handlerCalled, false);
+    assert.equal(errorSeen, 'AbortError');
+  });
+
+  await t.test('should propagate the signal to nested scope method calls', async () => {
+    const api = new Api({ name: 'test' });
+    let nestedSignal;
+    await api.customize({
+      scopeMethods: {
+        list: async ({ signal }) => { nestedSignal = signal; return []; },
+        summary: async ({ scopes }) => scopes.posts.list()
+      }
+    });
+    await api.addScope('users');
+    await api.addScope('posts');
+
+    const controller = new AbortController();
+    await api.scopes.users.summary({}, {}, { signal: controller.signal });
+    assert.equal(nestedSignal, controller.signal);
+  });
+
+  await t.test('should propagate the signal from API methods through scopes and the alias', async () => {
+    const api = new Api({ name: 'test' });
+    api.setScopeAlias('tables');
+    const signals = [];
+    await api.customize({
+      scopeMethods: { count: async ({ signal }) => { signals.push(signal); return 1; } },
+      apiMethods: {
+        total: async ({ scopes, tables }) => (await scopes.users.count()) + (await tables.users.count())
+      }
+    });
+    await api.addScope('users');
+
+    const controller = new AbortController();
+    assert.equal(await api.total({}, {}, { signal: controller.signal }), 2);
+    assert.deepEqual(signals, [controller.signal, controller.signal]);
+  });
+
+  await t.test('should let nested calls pass their own signal', async () => {
+    const api = new Api({ name: 'test' });
+    const own = new AbortController();
+    let nestedSignal;
+    await api.customize({
+      scopeMethods: {
+        list: async ({ signal }) => { nestedSignal = signal; },
+        sync: async ({ scopes }) => scopes.users.list({}, {}, { signal: own.signal })
+      }
+    });
+    await api.addScope('users');
+
+    await api.scopes.users.sync({}, {}, { signal: new AbortController().signal });
+    assert.equal(nestedSignal, own.signal);
+  });
+
+  await t.test('should propagate the signal to hooks run from handlers', async () => {
+    const api = new Api({ name: 'test' });
+    let hookSignal;
+    await api.customize({
+      apiMethods: { save: async ({ runHooks }) => runHooks('afterSave') },
+      hooks: { afterSave: async ({ signal }) => { hookSignal = signal; } }
+    });
+
+    const controller = new AbortController();
+    await api.save({}, {}, { signal: controller.signal });
+    assert.equal(hookSignal, controller.signal);
+  });
+
+  await t.test('should cancel a method that is waiting on a nested call', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: {
+        slowQuery: async ({ signal }) => {
+          await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, 1000);
+            signal.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); });
+          });
+        },
+        report: async ({ scopes }) => scopes.users.slowQuery()
+      }
+    });
+    await api.addScope('users');
+
+    const controller = new AbortController();
+    const pending = api.scopes.users.report({}, {}, { signal: controller.signal });
+    await delay(10);
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+  });
+
+  await t.test('should skip handlers not yet started in parallel mode', async () => {
+    const api = new Api({ name: 'test' });
+    const controller = new AbortController();
+    const calls = [];
+    await api.use({
+      name: 'fan-out',
+      install: ({ addHook }) => {
+        addHook('notify', 'a', {}, async () => { calls.push('a'); controller.abort(); });
+        addHook('notify', 'b', {}, async () => { calls.push('b'); });
+      }
+    });
+
+    await assert.rejects(
+      api.runHooks('notify', {}, { mode: 'parallel', concurrency: 1, signal: controller.signal }),
+      { name: 'AbortError' }
+    );
+    assert.deepEqual(calls, ['a']);
+  });
+
+  await t.test('should reject values that are not AbortSignals', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { ping: async () => 'pong' } });
+
+    await assert.rejects(api.ping({}, {}, { signal: 'stop' }), ValidationError);
+    await assert.rejects(api.runHooks('process', {}, { signal: {} }), ValidationError);
+  });
+});
@@ -0,0 +1,207 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, copyFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { runCli, ExitCode, formatTable } from '../cli.js';
+
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const indexUrl = new URL('../index.js', import.meta.url).href;
+
+const apiModule = `
+import { Api } from ${JSON.stringify(indexUrl)};
+
+const api = new Api({ name: 'ops', logging: { level: 'warn' } });
+await api.customize({
+  apiMethods: {
+    ping: async () => 'pong',
+    echo: async ({ params }) => params,
+    silent: async () => {},
+    slow: { handler: async () => new Promise(resolve => setTimeout(resolve, 200)), timeout: 10 },
+    crash: async () => { throw new Error('disk full'); }
+  },
+  scopeMethods: {
+    list: async ({ scopeName }) => [{ id: 1, name: 'Ada', scope: scopeName }, { id: 2, name: 'Grace', tags: ['admin'] }]
+  }
+});
+await api.addScope('users', {
+  scopeMethods: {
+    create: {
+      handler: async ({ params, context }) => ({ ...params, argv: context.cli.argv.length }),
+      params: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+    }
+  }
+});
+await api.addScope('users.addresses');
+
+export default api;
+export const other = { not: 'an api' };
+`;
+
+const setup = async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'hooked-api-cli-'));
+  await writeFile(path.join(dir, 'api.mjs'), apiModule);
+  await writeFile(path.join(dir, 'logging.mjs'), apiModule.replace("logging: { level: 'warn' }", "logging: { level: 'debug' }"));
+  await writeFile(path.join(dir, 'promised.mjs'), `export const api = import('./api.mjs').then(module => module.default);\n`);
+  return dir;
+};
+
+const run = async (cwd, argv, stdinText = '') => {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(argv, {
+    cwd,
+    stdin: Readable.from([stdinText]),
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+};
+
+
+test('CLI', async (t) => {
+  const dir = await setup();
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  await t.test('should list API methods and the methods of each scope', async () => {
+    const { code, stdout } = await run(dir, ['api.mjs']);
+    assert.equal(code, ExitCode.OK);
+    assert.deepEqual(JSON.parse(stdout), {
+      name: 'ops',
+      apiMethods: ['ping', 'echo', 'silent', 'slow', 'crash'],
+      scopes: { users: ['create', 'list'], 'users.addresses': ['list'] }
+    });
+
+    const table = await run(dir, ['api.mjs', '--format', 'table']);
+    assert.match(table.stdout, /^scope\s+method\n-+\s+-+\n\s+ping\n/);
+    assert.match(table.stdout, /users\.addresses\s+list\n$/);
+  });
+
+  await t.test('should call API, scope and child scope methods', async () => {
+    assert.deepEqual(await run(dir, ['api.mjs', 'ping']), { code: 0, stdout: '"pong"\n', stderr: '' });
+    assert.equal(JSON.parse((await run(dir, ['api.mjs', 'users.create', '--name', 'Ada'])).stdout).name, 'Ada');
+    assert.equal(JSON.parse((await run(dir, ['api.mjs', 'users.addresses.list'])).stdout)[0].scope, 'users.addresses');
+    assert.deepEqual(await run(dir, ['api.mjs', 'silent']), { code: 0, stdout: '', stderr: '' });
+  });
+
+  await t.test('should build params from stdin, --json and flags, in that order', async () => {
+    const { stdout } = await run(dir, [
+      'api.mjs', 'echo', '--stdin', '--json', '{"b":2,"c":2}',
+      '--c', '3', '--age=36', '--name', 'Ada', '--admin', '--no-archived', '--address.city', 'Paris', '--tags', '["a"]'
+    ], '{"a":1,"b":1}');
+
+    assert.deepEqual(JSON.parse(stdout), {
+      a: 1, b: 2, c: 3, age: 36, name: 'Ada', admin: true, archived: false, address: { city: 'Paris' }, tags: ['a']
+    });
+  });
+
+  await t.test('should pass option names as params after --', async () => {
+    const { stdout } = await run(dir, ['api.mjs', 'echo', '--', '--format', 'csv', '--json', 'yes']);
+    assert.deepEqual(JSON.parse(stdout), { format: 'csv', json: 'yes' });
+  });
+
+  await t.test('should print tables', async () => {
+    const { stdout } = await run(dir, ['api.mjs', 'users.list', '--format', 'table']);
+    assert.equal(stdout, [
+      'id  name   scope  tags',
+      '--  -----  -----  ---------',
+      '1   Ada    users',
+      '2   Grace         ["admin"]',
+      ''
+    ].join('\n'));
+    assert.equal(formatTable({ a: 1 }), 'key  value\n---  -----\na    1');
+    assert.equal(formatTable('plain'), 'plain');
+  });
+
+  await t.test('should map errors to exit codes', async () => {
+    const invalid = await run(dir, ['api.mjs', 'users.create']);
+    assert.equal(invalid.code, ExitCode.DATA);
+    assert.equal(JSON.parse(invalid.stderr).error.code, 'VALIDATION_ERROR');
+
+    const readable = await run(dir, ['api.mjs', 'users.create', '--format', 'table']);
+    assert.match(readable.stderr, /^ValidationError \[VALIDATION_ERROR\]: .*\n {2}params\.name: params\.name is required\n$/);
+
+    assert.equal((await run(dir, ['api.mjs', 'posts.list'])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['api.mjs', 'users.archive'])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['api.mjs', 'use'])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['api.mjs', 'slow'])).code, ExitCode.TIMEOUT);
+    assert.equal((await run(dir, ['api.mjs', 'crash'])).code, ExitCode.FAILURE);
+    assert.equal((await run(dir, ['api.mjs', 'echo', '--json', '[1]'])).code, ExitCode.DATA);
+  });
+
+  await t.test('should report usage and loading problems', async () => {
+    assert.equal((await run(dir, [])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['api.mjs', 'ping', 'extra'])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['api.mjs', 'ping', '--format', 'xml'])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['api.mjs', 'echo', '--__proto__.polluted', '1'])).code, ExitCode.USAGE);
+    assert.equal((await run(dir, ['missing.mjs'])).code, ExitCode.NO_INPUT);
+    assert.equal((await run(dir, ['api.mjs', '--export', 'other'])).code, ExitCode.NO_INPUT);
+
+    const help = await run(dir, ['--help']);
+    assert.equal(help.code, ExitCode.OK);
+    assert.match(help.stdout, /^Usage: hooked-api <module>/);
+  });
+
+  await t.test('should find the Api in an export holding a promise', async () => {
+    assert.equal((await run(dir, ['promised.mjs', 'ping'])).stdout, '"pong"\n');
+  });
+
+  await t.test('should run as an executable, keeping logs off stdout', async () => {
+    const cliPath = path.join(root, 'cli.js');
+    const result = await new Promise((resolve) => {
+      execFile(process.execPath, [cliPath, 'logging.mjs', 'crash'], { cwd: dir, timeout: 10000 }, (error, stdout, stderr) => {
+        resolve({ code: error?.code ?? 0, stdout, stderr });
+      });
+    });
+    assert.equal(result.code, ExitCode.FAILURE);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, /\[DEBUG\].*API method 'crash' called/);
+    assert.match(result.stderr, /disk full/);
+  });
+
+  await t.test('should send the logs of APIs logging to the console to the logger', async () => {
+    // A project-local copy of the library, as seen by a globally installed CLI
+    const copy = path.join(dir, 'node_modules', 'hooked-api');
+    await mkdir(copy, { recursive: true });
+    await copyFile(path.join(root, 'index.js'), path.join(copy, 'index.js'));
+    await copyFile(path.join(root, 'package.json'), path.join(copy, 'package.json'));
+    const localModule = `
+import { Api } from 'hooked-api';
+const api = new Api({ name: 'local' });
+await api.customize({ apiMethods: { ping: async ({ log }) => { log.info('pinged'); return 'pong'; } } });
+await api.addScope('users');
+export default api;
+`;
+    await writeFile(path.join(dir, 'local.mjs'), localModule);
+    await writeFile(path.join(dir, 'console.mjs'), localModule.replace("name: 'local' }", "name: 'console', logging: { logger: console } }"));
+
+    for (const modulePath of ['local.mjs', 'console.mjs']) {
+      const lines = [];
+      let stdout = '';
+      const logger = { log: (line) => { lines.push(line); }, warn: () => {}, error: () => {} };
+      const code = await runCli([modulePath, 'ping'], { cwd: dir, logger, stdout: { write: (text) => { stdout += text; } } });
+      assert.equal(code, ExitCode.OK, modulePath);
+      assert.equal(stdout, '"pong"\n', modulePath);
+      assert.deepEqual(lines.map(line => line.replace(/^\S+ /, '')), [
+        `[INFO] [${modulePath.replace('.mjs', '')}] Scope 'users' added successfully`,
+        `[INFO] [${modulePath.replace('.mjs', '')}:ping] pinged`
+      ].slice(modulePath === 'console.mjs' ? 1 : 0), modulePath);
+    }
+  });
+
+  await t.test('should exit as an executable even if the module leaves handles open', async () => {
+    await writeFile(path.join(dir, 'timer.mjs'), `import api from './api.mjs';\nsetInterval(() => {}, 1000);\nexport default api;\n`);
+    const result = await new Promise((resolve) => {
+      execFile(process.execPath, [path.join(root, 'cli.js'), 'timer.mjs', 'ping'], { cwd: dir, timeout: 10000 }, (error, stdout) => {
+        resolve({ code: error?.code ?? 0, killed: error?.killed ?? false, stdout });
+      });
+    });
+    assert.equal(result.killed, false);
+    assert.equal(result.code, ExitCode.OK);
+    assert.equal(result.stdout, '"pong"\n');
+  });
+});
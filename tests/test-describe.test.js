@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api } from '../index.js';
+
+
+class DatabaseClient {}
+
+const storagePlugin = {
+  name: 'storage',
+  version: '1.2.0',
+  install: async ({ addApiMethod, addScopeMethod, addHook, vars, helpers }) => {
+    vars.connectionCount = 0;
+    helpers.quote = (value) => `'${value}'`;
+    await addApiMethod('connect', async () => true);
+    await addScopeMethod('list', {
+      handler: async () => [],
+      params: { type: 'object', properties: { limit: { type: 'integer' } } },
+      timeout: 500
+    });
+    addHook('afterSave', 'invalidateCache', {}, async () => {});
+  }
+};
+
+const auditPlugin = {
+  name: 'audit',
+  dependencies: ['storage'],
+  install: ({ addHook, setScopeAlias }) => {
+    setScopeAlias('tables', 'addTable');
+    addHook('afterSave', 'writeAudit', { priority: 10 }, async () => {});
+    addHook('afterSave', 'auditAround', { type: 'around', afterPlugin: 'storage' }, async ({ next }) => next());
+  }
+};
+
+
+test('API Introspection', async (t) => {
+  await t.test('should describe an empty API', () => {
+    const api = new Api({ name: 'test' });
+    assert.deepEqual(api.describe(), {
+      name: 'test',
+      version: null,
+      plugins: [],
+      apiMethods: [],
+      scopeMethods: [],
+      scopes: [],
+      hooks: {},
+      vars: [],
+      helpers: [],
+      aliases: null
+    });
+  });
+
+  await t.test('should list plugins with options and dependencies', async () => {
+    const api = new Api({ name: 'test', version: '3.0.0' });
+    await api.use(storagePlugin, { client: new DatabaseClient(), retries: 3, onError: function report() {} });
+    await api.use(auditPlugin);
+
+    const manifest = api.describe();
+    assert.equal(manifest.version, '3.0.0');
+    assert.deepEqual(manifest.plugins, [
+      { name: 'storage', version: '1.2.0', options: { client: '[DatabaseClient]', retries: 3, onError: '[Function: report]' }, dependencies: [] },
+      { name: 'audit', version: null, options: {}, dependencies: ['storage'] }
+    ]);
+  });
+
+  await t.test('should attribute methods to the plugin that added them', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(storagePlugin);
+    await api.customize({ apiMethods: { ping: async () => 'pong' } });
+
+    const manifest = api.describe();
+    assert.deepEqual(manifest.apiMethods, [
+      { name: 'connect', pluginName: 'storage' },
+      { name: 'ping', pluginName: 'api-custom:test' }
+    ]);
+    assert.deepEqual(manifest.scopeMethods, [{
+      name: 'list',
+      pluginName: 'storage',
+      params: { type: 'object', properties: { limit: { type: 'integer' } } },
+      timeout: 500
+    }]);
+  });
+
+  await t.test('should report the new owner when a method is overwritten', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(storagePlugin);
+    await api.customize({ scopeMethods: { list: async () => ['custom'] } });
+
+    assert.deepEqual(api.describe().scopeMethods, [{ name: 'list', pluginName: 'api-custom:test' }]);
+  });
+
+  await t.test('should list hook chains in execution order', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(storagePlugin);
+    await api.use(auditPlugin);
+    await api.addScope('users', { hooks: { afterSave: { handler: async () => {}, timeout: 50 } } });
+
+    assert.deepEqual(api.describe().hooks, {
+      afterSave: [
+        { pluginName: 'audit', functionName: 'writeAudit', priority: 10 },
+        { pluginName: 'storage', functionName: 'invalidateCache', priority: 0 },
+        { pluginName: 'audit', functionName: 'auditAround', priority: 0, type: 'around', placement: { afterPlugin: 'storage' } },
+        { pluginName: 'scope-custom:users', functionName: 'afterSave', priority: 0, scopeName: 'users', timeout: 50 }
+      ]
+    });
+  });
+
+  await t.test('should describe scopes, vars, helpers and aliases', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(storagePlugin);
+    await api.use(auditPlugin);
+    await api.use({
+      name: 'tables',
+      install: async ({ addScope }) => { await addScope('orders', { softDelete: true }); }
+    });
+    await api.addTable('users', {
+      schema: { name: 'string' },
+      scopeMethods: { findByEmail: async () => null },
+      vars: { tableName: 'users' },
+      helpers: { normalize: (row) => row }
+    });
+
+    const manifest = api.describe();
+    assert.deepEqual(manifest.scopes, [
+      { name: 'orders', pluginName: 'tables', options: { softDelete: true }, methods: [], vars: [], helpers: [] },
+      {
+        name: 'users',
+        pluginName: null,
+        options: { schema: { name: 'string' } },
+        methods: [{ name: 'findByEmail', pluginName: 'scope-custom:users' }],
+        vars: ['tableName'],
+        helpers: ['normalize']
+      }
+    ]);
+    assert.deepEqual(manifest.vars, ['connectionCount']);
+    assert.deepEqual(manifest.helpers, ['quote']);
+    assert.deepEqual(manifest.aliases, { scopes: 'tables', addScope: 'addTable' });
+  });
+
+  await t.test('should reflect uninstalled plugins', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(storagePlugin);
+    await api.unuse('storage');
+
+    const manifest = api.describe();
+    assert.deepEqual(manifest.plugins, []);
+    assert.deepEqual(manifest.apiMethods, []);
+    assert.deepEqual(manifest.hooks, {});
+  });
+
+  await t.test('should produce JSON-serializable output', async () => {
+    const api = new Api({ name: 'test' });
+    const circular = { name: 'loop' };
+    circular.self = circular;
+    await api.use(storagePlugin, { circular, limit: Infinity, shared: [circular.name, circular.name] });
+
+    const manifest = api.describe();
+    assert.deepEqual(JSON.parse(JSON.stringify(manifest)), manifest);
+    assert.deepEqual(manifest.plugins[0].options, {
+      circular: { name: 'loop', self: '[Circular]' },
+      limit: 'Infinity',
+      shared: ['loop', 'loop']
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+test('Event System', async (t) => {
+  await t.test('should deliver events with data and a read-only api view', async () => {
+    const api = new Api({ name: 'test' });
+    const received = [];
+    api.on('order:placed', ({ eventName, eventData, api: view, log }) => {
+      received.push({ eventName, eventData, frozen: Object.isFrozen(view.options), hasLog: typeof log.info === 'function' });
+    });
+
+    assert.equal(await api.emit('order:placed', { id: 7 }), true);
+    assert.deepEqual(received, [{ eventName: 'order:placed', eventData: { id: 7 }, frozen: true, hasLog: true }]);
+  });
+
+  await t.test('should return false when nobody listens', async () => {
+    const api = new Api({ name: 'test' });
+    assert.equal(await api.emit('nothing'), false);
+  });
+
+  await t.test('should isolate listener errors', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    api.on('ping', () => { throw new Error('listener broke'); });
+    api.on('ping', () => { calls.push('second'); });
+
+    await api.emit('ping');
+    assert.deepEqual(calls, ['second']);
+
+    api.on('scope:added', async () => { throw new Error('async failure'); });
+    await api.addScope('users');
+    assert.ok(api.scopes.users);
+  });
+
+  await t.test('should call once listeners a single time', async () => {
+    const api = new Api({ name: 'test' });
+    let count = 0;
+    api.once('tick', () => { count++; });
+
+    await api.emit('tick');
+    await api.emit('tick');
+    assert.equal(count, 1);
+  });
+
+  await t.test('should unsubscribe with off and with the returned function', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    const first = () => { calls.push('first'); };
+    const unsubscribe = api.on('tick', () => { calls.push('second'); });
+    api.on('tick', first);
+
+    assert.equal(api.off('tick', first), true);
+    assert.equal(api.off('tick', first), false);
+    assert.equal(unsubscribe(), true);
+    await api.emit('tick');
+    assert.deepEqual(calls, []);
+  });
+
+  await t.test('should match wildcard subscriptions', async () => {
+    const api = new Api({ name: 'test' });
+    const methodEvents = [];
+    const everything = [];
+    api.on('method:*', ({ eventName, eventData }) => { methodEvents.push(`${eventName}:${eventData.methodName}`); });
+    api.on('*', ({ eventName }) => { everything.push(eventName); });
+
+    await api.customize({
+      apiMethods: { ping: async () => 'pong' },
+      scopeMethods: { list: async () => [] }
+    });
+    await api.addScope('users');
+
+    assert.deepEqual(methodEvents, [
+      'method:api:added:ping',
+      'method:scope:adding:list',
+      'method:scope:added:list'
+    ]);
+    assert.deepEqual(everything, ['method:api:added', 'method:scope:adding', 'method:scope:added', 'scope:added']);
+  });
+
+  await t.test('should run exact and wildcard listeners in registration order', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    api.on('user:*', () => { calls.push('wildcard'); });
+    api.on('user:created', () => { calls.push('exact'); });
+    api.on('*', () => { calls.push('all'); });
+
+    await api.emit('user:created');
+    assert.deepEqual(calls, ['wildcard', 'exact', 'all']);
+  });
+
+  await t.test('should emit system events from plugins and customize', async () => {
+    const api = new Api({ name: 'test' });
+    const events = [];
+    api.on('plugin:*', ({ eventName, eventData }) => { events.push(`${eventName}:${eventData.pluginName}`); });
+    api.on('scope:added', ({ eventData }) => {
+      events.push(`scope:${eventData.scopeName}:${Object.keys(eventData.scopeExtras.vars).join(',')}`);
+    });
+
+    await api.use({ name: 'audit', install: () => {} });
+    await api.addScope('users', { vars: { table: 'users' } });
+    await api.unuse('audit');
+
+    assert.deepEqual(events, ['plugin:installed:audit', 'scope:users:table', 'plugin:uninstalled:audit']);
+  });
+
+  await t.test('should register plugin listeners and remove them on unuse', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.use({
+      name: 'monitor',
+      install: ({ on }) => {
+        on('scope:added', 'trackScope', ({ eventData }) => { calls.push(eventData.scopeName); });
+      }
+    });
+
+    await api.addScope('users');
+    await api.unuse('monitor');
+    await api.addScope('posts');
+    assert.deepEqual(calls, ['users']);
+  });
+
+  await t.test('should remove plugin listeners when an install fails', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await assert.rejects(api.use({
+      name: 'broken',
+      install: ({ on }) => {
+        on('tick', 'count', () => { calls.push('tick'); });
+        throw new Error('install failed');
+      }
+    }));
+
+    await api.emit('tick');
+    assert.deepEqual(calls, []);
+  });
+
+  await t.test('should validate event names and listeners', async () => {
+    const api = new Api({ name: 'test' });
+    assert.throws(() => api.on('', () => {}), ValidationError);
+    assert.throws(() => api.on('tick', 'not a function'), ValidationError);
+    await assert.rejects(api.emit(''), ValidationError);
+  });
+});
@@ -0,0 +1,196 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+const order = async (api, hookName = 'process') => {
+  const context = { calls: [] };
+  await api.runHooks(hookName, context);
+  return context.calls;
+};
+
+const record = (label) => async ({ context }) => { context.calls.push(label); };
+
+
+test('Hook Priority and Deferred Placement', async (t) => {
+  await t.test('should run higher priorities first', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'prioritized',
+      install: ({ addHook }) => {
+        addHook('process', 'low', { priority: -10 }, record('low'));
+        addHook('process', 'default', {}, record('default'));
+        addHook('process', 'high', { priority: 10 }, record('high'));
+      }
+    });
+
+    assert.deepEqual(await order(api), ['high', 'default', 'low']);
+  });
+
+  await t.test('should keep registration order for equal priorities', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'ties',
+      install: ({ addHook }) => {
+        addHook('process', 'a', { priority: 5 }, record('a'));
+        addHook('process', 'b', { priority: 5 }, record('b'));
+        addHook('process', 'c', { priority: 5 }, record('c'));
+        addHook('process', 'd', {}, record('d'));
+      }
+    });
+
+    assert.deepEqual(await order(api), ['a', 'b', 'c', 'd']);
+  });
+
+  await t.test('should accept priority through customize', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: { process: record('custom') }
+    });
+    await api.customize({
+      hooks: { process: { handler: record('urgent'), functionName: 'urgent', priority: 100 } }
+    });
+
+    assert.deepEqual(await order(api), ['urgent', 'custom']);
+  });
+
+  await t.test('should place beforePlugin hooks when the target is installed later', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'early',
+      install: ({ addHook }) => {
+        addHook('process', 'earlyHook', { beforePlugin: 'late' }, record('early'));
+      }
+    });
+    await api.use({
+      name: 'other',
+      install: ({ addHook }) => {
+        addHook('process', 'otherHook', {}, record('other'));
+      }
+    });
+    assert.deepEqual(await order(api), ['early', 'other']);
+
+    await api.use({
+      name: 'late',
+      install: ({ addHook }) => {
+        addHook('process', 'lateHook', { priority: 50 }, record('late'));
+      }
+    });
+    assert.deepEqual(await order(api), ['early', 'late', 'other']);
+  });
+
+  await t.test('should place afterPlugin hooks when the target is installed later', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'follower',
+      install: ({ addHook }) => {
+        addHook('process', 'followerHook', { afterPlugin: 'leader' }, record('follower'));
+      }
+    });
+    await api.use({
+      name: 'leader',
+      install: ({ addHook }) => {
+        addHook('process', 'leader1', {}, record('leader1'));
+        addHook('process', 'leader2', {}, record('leader2'));
+      }
+    });
+    await api.customize({ hooks: { process: record('custom') } });
+
+    assert.deepEqual(await order(api), ['leader1', 'leader2', 'follower', 'custom']);
+  });
+
+  await t.test('should place function-relative hooks when the target is added later', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'plugin',
+      install: ({ addHook }) => {
+        addHook('process', 'after', { afterFunction: 'target' }, record('after'));
+        addHook('process', 'before', { beforeFunction: 'target' }, record('before'));
+        addHook('process', 'first', { priority: 1 }, record('first'));
+        addHook('process', 'target', {}, record('target'));
+      }
+    });
+
+    assert.deepEqual(await order(api), ['first', 'before', 'target', 'after']);
+  });
+
+  await t.test('should let placement override priority', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'plugin',
+      install: ({ addHook }) => {
+        addHook('process', 'anchor', { priority: -100 }, record('anchor'));
+        addHook('process', 'normal', {}, record('normal'));
+        addHook('process', 'placed', { priority: 100, afterFunction: 'anchor' }, record('placed'));
+      }
+    });
+
+    assert.deepEqual(await order(api), ['normal', 'anchor', 'placed']);
+  });
+
+  await t.test('should resolve chained placements', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'plugin',
+      install: ({ addHook }) => {
+        addHook('process', 'third', { afterFunction: 'second' }, record('third'));
+        addHook('process', 'second', { afterFunction: 'first' }, record('second'));
+        addHook('process', 'unrelated', {}, record('unrelated'));
+        addHook('process', 'first', { priority: 1 }, record('first'));
+      }
+    });
+
+    assert.deepEqual(await order(api), ['first', 'second', 'third', 'unrelated']);
+  });
+
+  await t.test('should not loop on circular placements', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'plugin',
+      install: ({ addHook }) => {
+        addHook('process', 'a', { beforeFunction: 'b' }, record('a'));
+        addHook('process', 'b', { beforeFunction: 'a' }, record('b'));
+      }
+    });
+
+    assert.deepEqual((await order(api)).sort(), ['a', 'b']);
+  });
+
+  await t.test('should fall back to priority order when the target is removed', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'target',
+      install: ({ addHook }) => {
+        addHook('process', 'targetHook', {}, record('target'));
+      }
+    });
+    await api.customize({ hooks: { process: record('custom') } });
+    await api.use({
+      name: 'placed',
+      install: ({ addHook }) => {
+        addHook('process', 'placedHook', { beforePlugin: 'target' }, record('placed'));
+      }
+    });
+    assert.deepEqual(await order(api), ['placed', 'target', 'custom']);
+
+    await api.unuse('target');
+    assert.deepEqual(await order(api), ['custom', 'placed']);
+  });
+
+  await t.test('should reject invalid priorities', async () => {
+    const api = new Api({ name: 'test' });
+    await assert.rejects(
+      api.use({
+        name: 'bad',
+        install: ({ addHook }) => {
+          addHook('process', 'bad', { priority: 'high' }, async () => {});
+        }
+      }),
+      /priority must be a finite number/
+    );
+    await assert.rejects(
+      api.customize({ hooks: { process: { handler: async () => {}, priority: Infinity } } }),
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+const order = async (api, hookName = 'afterSave') => {
+  const context = { calls: [] };
+  await api.runHooks(hookName, context);
+  return context.calls;
+};
+
+const record = (label) => async ({ context }) => { context.calls.push(label); };
+
+
+test('Hook Removal and Replacement', async (t) => {
+  const auditPlugin = {
+    name: 'audit',
+    install: ({ addHook }) => {
+      addHook('afterSave', 'auditLog', {}, record('audit'));
+      addHook('afterSave', 'auditMetrics', {}, record('metrics'));
+    }
+  };
+
+  await t.test('should remove hooks by plugin name', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+    await api.customize({ hooks: { afterSave: record('custom') } });
+
+    assert.equal(api.removeHook('afterSave', { pluginName: 'audit' }), 2);
+    assert.deepEqual(await order(api), ['custom']);
+  });
+
+  await t.test('should remove hooks by function name', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+
+    assert.equal(api.removeHook('afterSave', { functionName: 'auditLog' }), 1);
+    assert.deepEqual(await order(api), ['metrics']);
+  });
+
+  await t.test('should remove hooks matching both plugin and function name', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+    await api.customize({ hooks: { afterSave: { handler: record('custom'), functionName: 'auditLog' } } });
+
+    assert.equal(api.removeHook('afterSave', { pluginName: 'audit', functionName: 'auditLog' }), 1);
+    assert.deepEqual(await order(api), ['metrics', 'custom']);
+  });
+
+  await t.test('should only remove hooks from the named hook', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+    await api.use({
+      name: 'audit-extra',
+      install: ({ addHook }) => addHook('afterDelete', 'auditLog', {}, record('delete'))
+    });
+
+    api.removeHook('afterSave', { functionName: 'auditLog' });
+    assert.deepEqual(await order(api, 'afterDelete'), ['delete']);
+  });
+
+  await t.test('should return 0 when nothing matches', () => {
+    const api = new Api({ name: 'test' });
+    assert.equal(api.removeHook('missing', { pluginName: 'nobody' }), 0);
+  });
+
+  await t.test('should require a filter', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+    assert.throws(() => api.removeHook('afterSave'), ValidationError);
+    assert.throws(() => api.removeHook('afterSave', {}), ValidationError);
+    assert.throws(() => api.removeHook('', { pluginName: 'audit' }), ValidationError);
+  });
+
+  await t.test('should replace handlers in place', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ hooks: { afterSave: { handler: record('first'), functionName: 'first', priority: 10 } } });
+    await api.use(auditPlugin);
+
+    assert.equal(api.replaceHook('afterSave', { functionName: 'auditLog' }, record('replaced')), 1);
+    assert.deepEqual(await order(api), ['first', 'replaced', 'metrics']);
+  });
+
+  await t.test('should keep scope restrictions when replacing scope hooks', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.customize({
+      scopeMethods: {
+        save: async ({ runHooks }) => { await runHooks('afterSave'); }
+      }
+    });
+    await api.addScope('users', {
+      hooks: { afterSave: async () => { calls.push('original'); } }
+    });
+    await api.addScope('posts');
+
+    api.replaceHook('afterSave', { pluginName: 'scope-custom:users' }, async ({ scopeName }) => {
+      calls.push(`replaced:${scopeName}`);
+    });
+
+    await api.scopes.users.save();
+    await api.scopes.posts.save();
+    assert.deepEqual(calls, ['replaced:users']);
+  });
+
+  await t.test('should validate replacement handlers', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+    assert.throws(() => api.replaceHook('afterSave', { pluginName: 'audit' }, 'nope'), ValidationError);
+    assert.throws(() => api.replaceHook('afterSave', {}, async () => {}), ValidationError);
+  });
+
+  await t.test('should return a disposer from plugin addHook', async () => {
+    const api = new Api({ name: 'test' });
+    let dispose;
+    await api.use({
+      name: 'disposable',
+      install: ({ addHook }) => {
+        dispose = addHook('afterSave', 'shared', {}, record('disposable'));
+        addHook('afterSave', 'shared', {}, record('kept'));
+      }
+    });
+
+    assert.equal(typeof dispose, 'function');
+    assert.equal(dispose(), true);
+    assert.deepEqual(await order(api), ['kept']);
+    assert.equal(dispose(), false);
+  });
+
+  await t.test('should let feature flags disable a hook at runtime', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(auditPlugin);
+    await api.customize({
+      apiMethods: {
+        save: async ({ runHooks, context }) => {
+          context.calls = [];
+          await runHooks('afterSave');
+          return context.calls;
+        }
+      }
+    });
+
+    assert.deepEqual(await api.save(), ['audit', 'metrics']);
+    api.removeHook('afterSave', { functionName: 'auditLog' });
+    assert.deepEqual(await api.save(), ['metrics']);
+  });
+});
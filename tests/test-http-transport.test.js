@@ -0,0 +1,280 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ScopeError, ValidationError } from '../index.js';
+import { createHttpHandler, HttpTransportPlugin, errorStatus } from '../http-transport.js';
+import { serve } from './http-server.js';
+
+
+test('HTTP Transport', async (t) => {
+  await t.test('should call API methods with POST /:method', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong',
+        echo: async ({ params, context }) => ({ params, http: context.http })
+      }
+    });
+
+    const { request, close } = await serve(api);
+    try {
+      const ping = await request('POST', '/ping');
+      assert.equal(ping.status, 200);
+      assert.equal(ping.headers.get('content-type'), 'application/json; charset=utf-8');
+      assert.equal(ping.body, 'pong');
+      const { status, body } = await request('POST', '/echo?trace=1', { name: 'Ada' });
+      assert.equal(status, 200);
+      assert.deepEqual(body.params, { name: 'Ada' });
+      assert.equal(body.http.method, 'POST');
+      assert.equal(body.http.path, '/echo');
+      assert.deepEqual(body.http.query, { trace: '1' });
+      assert.equal(body.http.headers['content-type'], 'application/json');
+      assert.equal(body.http.remoteAddress, '127.0.0.1');
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should call scope and child scope methods with POST /scopes/:scope/:method', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { create: async ({ params, scopeName }) => ({ scopeName, ...params }) } });
+    await api.addScope('users', { scopeMethods: { invite: async ({ params }) => `invited ${params.email}` } });
+    await api.addScope('users.addresses');
+
+    const { request, close } = await serve(api);
+    try {
+      assert.deepEqual((await request('POST', '/scopes/users/create', { name: 'Ada' })).body, { scopeName: 'users', name: 'Ada' });
+      assert.deepEqual((await request('POST', '/scopes/users.addresses/create', {})).body, { scopeName: 'users.addresses' });
+      assert.equal((await request('POST', '/scopes/users/invite', { email: 'ada@example.com' })).body, 'invited ada@example.com');
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should answer 204 for methods that return nothing', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { reset: async () => {} } });
+
+    const { request, close } = await serve(api);
+    try {
+      const { status, body } = await request('POST', '/reset');
+      assert.equal(status, 204);
+      assert.equal(body, undefined);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should map errors to status codes and JSON bodies', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { fail: async () => { throw new Error('database password is hunter2'); } },
+      scopeMethods: { list: async () => [] }
+    });
+    await api.addScope('users', {
+      scopeMethods: {
+        invite: {
+          handler: async ({ params }) => `invited ${params.email}`,
+          params: { type: 'object', required: ['email'], properties: { email: { type: 'string' } } }
+        }
+      }
+    });
+
+    const { request, close } = await serve(api);
+    try {
+      const invalid = await request('POST', '/scopes/users/invite', {});
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.error.name, 'ValidationError');
+      assert.equal(invalid.body.error.code, 'VALIDATION_ERROR');
+      assert.equal(invalid.body.error.errors[0].path, 'params.email');
+
+      const noScope = await request('POST', '/scopes/posts/list');
+      assert.equal(noScope.status, 404);
+      assert.deepEqual(noScope.body.error, { name: 'ScopeError', code: 'SCOPE_ERROR', message: "Scope 'posts' not found", scopeName: 'posts' });
+
+      const noMethod = await request('POST', '/scopes/users/archive');
+      assert.equal(noMethod.status, 404);
+      assert.equal(noMethod.body.error.code, 'METHOD_ERROR');
+      assert.equal((await request('POST', '/use')).status, 404);
+      assert.equal((await request('POST', '/__proto__')).status, 404);
+
+      const crash = await request('POST', '/fail');
+      assert.equal(crash.status, 500);
+      assert.deepEqual(crash.body.error, { name: 'Error', code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should only send the public properties of errors unless errorDetails is set', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        open: async () => { throw new ScopeError("Scope 'ledger' not found", { scopeName: 'ledger', availableScopes: ['internal_audit'] }); },
+        check: async () => { throw new ValidationError('Invalid token', { field: 'token', value: 'secret-token', validValues: ['internal-token'] }); }
+      }
+    });
+
+    const { request, close } = await serve(api);
+    try {
+      assert.deepEqual((await request('POST', '/open')).body.error, { name: 'ScopeError', code: 'SCOPE_ERROR', message: "Scope 'ledger' not found", scopeName: 'ledger' });
+      assert.deepEqual((await request('POST', '/check')).body.error, { name: 'ValidationError', code: 'VALIDATION_ERROR', message: 'Invalid token', field: 'token', errors: [] });
+    } finally {
+      await close();
+    }
+
+    const detailed = await serve(api, { errorDetails: true });
+    try {
+      assert.deepEqual((await detailed.request('POST', '/open')).body.error.availableScopes, ['internal_audit']);
+      assert.equal((await detailed.request('POST', '/check')).body.error.value, 'secret-token');
+    } finally {
+      await detailed.close();
+    }
+  });
+
+  await t.test('should reject bad bodies, routes and HTTP methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong',
+        echo: async ({ params }) => params
+      }
+    });
+
+    const { request, close } = await serve(api, { maxBodySize: 64 });
+    try {
+      assert.deepEqual((await request('POST', '/echo', { name: 'Ada' })).body, { name: 'Ada' });
+      assert.equal((await request('POST', '/echo', '{"name":')).status, 400);
+      assert.equal((await request('POST', '/echo', '[1, 2]')).status, 400);
+      assert.equal((await request('POST', '/echo', { text: 'x'.repeat(100) })).status, 413);
+      assert.equal((await request('POST', '/a/b')).status, 404);
+
+      const wrongVerb = await request('GET', '/ping');
+      assert.equal(wrongVerb.status, 405);
+      assert.equal(wrongVerb.headers.get('allow'), 'POST');
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should serve REST routes when enabled', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: {
+        create: async ({ params, scopeName }) => ({ scopeName, ...params }),
+        get: async ({ params }) => ({ id: params.id, fields: params.fields }),
+        update: async ({ params }) => params,
+        list: async ({ params }) => [params]
+      }
+    });
+    await api.addScope('users');
+
+    const { request, close } = await serve(api, { rest: { replace: 'update' } });
+    try {
+      const created = await request('POST', '/scopes/users', { name: 'Ada' });
+      assert.equal(created.status, 201);
+      assert.deepEqual(created.body, { scopeName: 'users', name: 'Ada' });
+
+      assert.deepEqual((await request('GET', '/scopes/users?page=2')).body, [{ page: '2' }]);
+      assert.deepEqual((await request('GET', '/scopes/users/7?fields=name')).body, { id: '7', fields: 'name' });
+      assert.deepEqual((await request('PATCH', '/scopes/users/7', { name: 'Grace' })).body, { name: 'Grace', id: '7' });
+      assert.deepEqual((await request('PUT', '/scopes/users/7', { name: 'Grace' })).body, { name: 'Grace', id: '7' });
+      // No remove method
+      assert.equal((await request('DELETE', '/scopes/users/7')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should honour basePath and the context option', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { echo: async ({ context }) => ({ http: context.http, user: context.user }) }
+    });
+
+    const { url, request, close } = await serve(api, {
+      basePath: '/api',
+      context: async (req) => ({ user: req.headers['x-user'] ?? null })
+    });
+    try {
+      assert.equal((await request('POST', '/echo')).status, 404);
+      const { body } = await request('POST', '/api/echo');
+      assert.equal(body.user, null);
+      assert.equal(body.http.path, '/api/echo');
+
+      const response = await fetch(`${url}/api/echo`, { method: 'POST', headers: { 'x-user': 'ada' } });
+      assert.equal((await response.json()).user, 'ada');
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should abort the call when the client goes away', async () => {
+    const api = new Api({ name: 'test' });
+    let aborted;
+    await api.customize({
+      apiMethods: {
+        slow: async ({ signal }) => {
+          await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+          aborted = true;
+        }
+      }
+    });
+
+    const { url, close } = await serve(api);
+    try {
+      const controller = new AbortController();
+      const pending = fetch(`${url}/slow`, { method: 'POST', signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      controller.abort();
+      await assert.rejects(pending);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.equal(aborted, true);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should only ask the scope resolver for the names resolveScopes allows', async () => {
+    const api = new Api({ name: 'test' });
+    const asked = [];
+    await api.customize({ scopeMethods: { create: async ({ scopeName }) => scopeName } });
+    await api.addScope('users');
+    api.setScopeResolver(async (name) => { asked.push(name); return {}; });
+
+    const { request, close } = await serve(api, { resolveScopes: /^tenant_\d+$/ });
+    try {
+      assert.equal((await request('POST', '/scopes/tenant_42/create')).body, 'tenant_42');
+      const refused = await request('POST', '/scopes/anything/create');
+      assert.equal(refused.status, 404);
+      assert.equal(refused.body.error.name, 'ScopeError');
+      assert.equal((await request('POST', '/scopes/users/create')).body, 'users');
+      assert.deepEqual(asked, ['tenant_42']);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should install as a plugin that provides the handler', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(HttpTransportPlugin, { basePath: '/api' });
+    assert.equal(typeof api.helpers.httpHandler, 'function');
+
+    await api.unuse('http-transport');
+    assert.equal(api.helpers.httpHandler, undefined);
+  });
+
+  await t.test('should validate its options and map statuses', async () => {
+    const api = new Api({ name: 'test' });
+    assert.equal(typeof createHttpHandler(api), 'function');
+    assert.throws(() => createHttpHandler(api, { basePath: 'api' }), ValidationError);
+    assert.throws(() => createHttpHandler(api, { basePath: '/api/' }), ValidationError);
+    assert.throws(() => createHttpHandler(api, { rest: 'yes' }), ValidationError);
+    assert.throws(() => createHttpHandler(api, { maxBodySize: -1 }), ValidationError);
+    assert.throws(() => createHttpHandler(api, { context: {} }), ValidationError);
+    assert.throws(() => createHttpHandler(api, { resolveScopes: 'tenant_*' }), ValidationError);
+    assert.throws(() => createHttpHandler(api, { errorDetails: 'yes' }), ValidationError);
+
+    assert.equal(errorStatus(new ValidationError('bad')), 400);
+    assert.equal(errorStatus(new Error('boom')), 500);
+  });
+});
@@ -0,0 +1,243 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import { Api, PluginError, ValidationError } from '../index.js';
+import { createJsonRpcHandler, JsonRpcErrorCode } from '../json-rpc.js';
+
+
+test('JSON-RPC', async (t) => {
+  await t.test('should dispatch to API and scope methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { ping: async () => 'pong' },
+      scopeMethods: { create: async ({ params, scopeName }) => ({ scopeName, ...params }) }
+    });
+    await api.addScope('users');
+    await api.addScope('users.addresses');
+    const rpc = createJsonRpcHandler(api);
+
+    assert.deepEqual(await rpc({ jsonrpc: '2.0', id: 1, method: 'ping' }), { jsonrpc: '2.0', id: 1, result: 'pong' });
+    assert.deepEqual(
+      await rpc({ jsonrpc: '2.0', id: 'a', method: 'users.create', params: { name: 'Ada' } }),
+      { jsonrpc: '2.0', id: 'a', result: { scopeName: 'users', name: 'Ada' } }
+    );
+    assert.deepEqual(
+      (await rpc({ jsonrpc: '2.0', id: 2, method: 'users.addresses.create', params: { name: 'Home' } })).result,
+      { scopeName: 'users.addresses', name: 'Home' }
+    );
+  });
+
+  await t.test('should answer strings with strings', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { ping: async () => 'pong' } });
+    const rpc = createJsonRpcHandler(api);
+
+    assert.equal(await rpc('{"jsonrpc":"2.0","id":1,"method":"ping"}'), '{"jsonrpc":"2.0","id":1,"result":"pong"}');
+    assert.deepEqual(JSON.parse(await rpc('{"jsonrpc":"2.0","method"')), {
+      jsonrpc: '2.0', id: null, error: { code: JsonRpcErrorCode.PARSE_ERROR, message: 'Parse error' }
+    });
+  });
+
+  await t.test('should build error objects from the error codes', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { crash: async () => { throw new Error('secret stack details'); } },
+      scopeMethods: {
+        create: {
+          handler: async ({ params }) => params,
+          params: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+        }
+      }
+    });
+    await api.addScope('users');
+    const rpc = createJsonRpcHandler(api);
+    const errorOf = async (request) => (await rpc({ jsonrpc: '2.0', id: 1, ...request })).error;
+
+    assert.equal(await errorOf({ method: 'users.create', params: { name: 'Ada' } }), undefined);
+    const invalid = await errorOf({ method: 'users.create', params: {} });
+    assert.equal(invalid.code, JsonRpcErrorCode.INVALID_PARAMS);
+    assert.equal(invalid.data.code, 'VALIDATION_ERROR');
+    assert.equal(invalid.data.errors[0].path, 'params.name');
+
+    assert.equal((await errorOf({ method: 'users.create', params: ['Ada'] })).code, JsonRpcErrorCode.INVALID_PARAMS);
+    assert.equal((await errorOf({ method: 'posts.create' })).data.code, 'SCOPE_ERROR');
+    assert.equal((await errorOf({ method: 'posts.create' })).code, JsonRpcErrorCode.METHOD_NOT_FOUND);
+    assert.equal((await errorOf({ method: 'users.archive' })).code, JsonRpcErrorCode.METHOD_NOT_FOUND);
+    assert.deepEqual(await errorOf({ method: 'crash' }), { code: JsonRpcErrorCode.INTERNAL_ERROR, message: 'Internal error' });
+  });
+
+  await t.test('should only send the public properties of errors unless errorDetails is set', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        load: async () => { throw new PluginError('Plugin failed', { pluginName: 'billing-internal', installedPlugins: ['billing-internal'] }); }
+      }
+    });
+    const request = { jsonrpc: '2.0', id: 1, method: 'load' };
+
+    const { error } = await createJsonRpcHandler(api)(request);
+    assert.deepEqual(error, {
+      code: JsonRpcErrorCode.SERVER_ERROR,
+      message: 'Plugin failed',
+      data: { name: 'PluginError', code: 'PLUGIN_ERROR', message: 'Plugin failed' }
+    });
+    assert.equal((await createJsonRpcHandler(api, { errorDetails: true })(request)).error.data.pluginName, 'billing-internal');
+    assert.throws(() => createJsonRpcHandler(api, { errorDetails: 1 }), ValidationError);
+  });
+
+  await t.test('should only call registered methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { ping: async () => 'pong' },
+      scopeMethods: { list: async () => [] }
+    });
+    await api.addScope('users');
+    await api.addScope('users.addresses');
+    const rpc = createJsonRpcHandler(api);
+
+    assert.equal((await rpc({ jsonrpc: '2.0', id: 1, method: 'ping' })).result, 'pong');
+    for (const method of ['use', 'addScope', 'describe', '__proto__', 'users.vars', 'users.addresses', 'rpc.discover', '.ping', 'users.']) {
+      const { error } = await rpc({ jsonrpc: '2.0', id: 1, method });
+      assert.equal(error.code, JsonRpcErrorCode.METHOD_NOT_FOUND, method);
+    }
+  });
+
+  await t.test('should only ask the scope resolver for the names resolveScopes allows', async () => {
+    const api = new Api({ name: 'test' });
+    const asked = [];
+    await api.customize({ scopeMethods: { create: async ({ scopeName }) => scopeName } });
+    await api.addScope('users');
+    api.setScopeResolver(async (name) => { asked.push(name); return {}; });
+    const rpc = createJsonRpcHandler(api, { resolveScopes: ['orders'] });
+
+    assert.equal((await rpc({ jsonrpc: '2.0', id: 1, method: 'orders.create' })).result, 'orders');
+    assert.equal((await rpc({ jsonrpc: '2.0', id: 2, method: 'invoices.create' })).error.code, JsonRpcErrorCode.METHOD_NOT_FOUND);
+    assert.equal((await rpc({ jsonrpc: '2.0', id: 3, method: 'users.create' })).result, 'users');
+    assert.deepEqual(asked, ['orders']);
+    assert.throws(() => createJsonRpcHandler(api, { resolveScopes: 'orders' }), ValidationError);
+  });
+
+  await t.test('should answer results that are not JSON with an internal error', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong',
+        count: async () => 10n,
+        loop: async () => { const node = {}; node.self = node; return node; }
+      }
+    });
+    const rpc = createJsonRpcHandler(api);
+    const internalError = { code: JsonRpcErrorCode.INTERNAL_ERROR, message: 'Internal error' };
+
+    assert.deepEqual(JSON.parse(await rpc('{"jsonrpc":"2.0","id":1,"method":"count"}')), { jsonrpc: '2.0', id: 1, error: internalError });
+    assert.deepEqual(JSON.parse(await rpc(JSON.stringify([
+      { jsonrpc: '2.0', id: 1, method: 'loop' },
+      { jsonrpc: '2.0', id: 2, method: 'ping' }
+    ]))), [
+      { jsonrpc: '2.0', id: 1, error: internalError },
+      { jsonrpc: '2.0', id: 2, result: 'pong' }
+    ]);
+    assert.equal((await rpc({ jsonrpc: '2.0', id: 3, method: 'count' })).result, 10n);
+  });
+
+  await t.test('should reject invalid requests', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { ping: async () => 'pong' } });
+    const rpc = createJsonRpcHandler(api);
+    const invalidRequest = { code: JsonRpcErrorCode.INVALID_REQUEST, message: 'Invalid Request' };
+
+    assert.deepEqual(await rpc({ id: 1, method: 'ping' }), { jsonrpc: '2.0', id: 1, error: invalidRequest });
+    assert.deepEqual(await rpc({ jsonrpc: '2.0', id: 1, method: 42 }), { jsonrpc: '2.0', id: 1, error: invalidRequest });
+    assert.deepEqual(await rpc({ jsonrpc: '2.0', id: {}, method: 'ping' }), { jsonrpc: '2.0', id: null, error: invalidRequest });
+    assert.deepEqual(await rpc('42'), JSON.stringify({ jsonrpc: '2.0', id: null, error: invalidRequest }));
+    assert.deepEqual(await rpc([]), { jsonrpc: '2.0', id: null, error: invalidRequest });
+  });
+
+  await t.test('should run notifications without answering them', async () => {
+    const api = new Api({ name: 'test' });
+    const notified = [];
+    await api.customize({
+      apiMethods: {
+        notify: async ({ params }) => { notified.push(params.message); },
+        crash: async () => { throw new Error('secret stack details'); }
+      }
+    });
+    const rpc = createJsonRpcHandler(api);
+
+    assert.equal(await rpc({ jsonrpc: '2.0', method: 'notify', params: { message: 'hi' } }), undefined);
+    assert.equal(await rpc({ jsonrpc: '2.0', method: 'crash' }), undefined);
+    assert.equal(await rpc('[{"jsonrpc":"2.0","method":"notify","params":{"message":"again"}}]'), undefined);
+    assert.deepEqual(notified, ['hi', 'again']);
+  });
+
+  await t.test('should handle batches', async () => {
+    const api = new Api({ name: 'test' });
+    const notified = [];
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong',
+        notify: async ({ params }) => { notified.push(params.message); }
+      }
+    });
+    const rpc = createJsonRpcHandler(api);
+
+    const responses = await rpc([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notify', params: { message: 'hi' } },
+      { jsonrpc: '2.0', id: 2, method: 'nope' },
+      1
+    ]);
+    assert.deepEqual(responses.map(({ id, result, error }) => [id, result ?? error.code]), [
+      [1, 'pong'],
+      [2, JsonRpcErrorCode.METHOD_NOT_FOUND],
+      [null, JsonRpcErrorCode.INVALID_REQUEST]
+    ]);
+    assert.deepEqual(notified, ['hi']);
+  });
+
+  await t.test('should pass the context and signal to calls', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong',
+        whoami: async ({ context }) => ({ user: context.user, jsonrpc: context.jsonrpc })
+      }
+    });
+    const rpc = createJsonRpcHandler(api);
+
+    const { result } = await rpc({ jsonrpc: '2.0', id: 7, method: 'whoami' }, { context: { user: 'ada' } });
+    assert.deepEqual(result, { user: 'ada', jsonrpc: { id: 7, method: 'whoami' } });
+
+    const controller = new AbortController();
+    controller.abort();
+    const { error } = await rpc({ jsonrpc: '2.0', id: 8, method: 'ping' }, { signal: controller.signal });
+    assert.equal(error.code, JsonRpcErrorCode.INTERNAL_ERROR);
+  });
+
+  await t.test('should work behind a node:http server', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { create: async ({ params, scopeName }) => ({ scopeName, ...params }) } });
+    await api.addScope('users');
+    const rpc = createJsonRpcHandler(api);
+    const server = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const response = await rpc(body);
+      res.writeHead(response === undefined ? 204 : 200, { 'content-type': 'application/json' });
+      res.end(response);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}`, {
+        method: 'POST',
+        body: JSON.stringify([{ jsonrpc: '2.0', id: 1, method: 'users.create', params: { name: 'Ada' } }])
+      });
+      assert.deepEqual(await response.json(), [{ jsonrpc: '2.0', id: 1, result: { scopeName: 'users', name: 'Ada' } }]);
+    } finally {
+      await new Promise(resolve => { server.close(resolve); server.closeAllConnections(); });
+    }
+  });
+});
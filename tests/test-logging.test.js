@@ -138,6 +138,26 @@ test('Logging System', async (t) => {
     assert.ok(logMessages.includes('warn from scope'));
   });
 
+  await t.test('should log to Api.defaultLogger unless given a logger', async () => {
+    const logs = [];
+    const defaultLogger = { log: (msg) => logs.push(msg), error: () => {}, warn: () => {} };
+    Api.defaultLogger = defaultLogger;
+    try {
+      const api = new Api({ name: 'test' });
+      const other = new Api({ name: 'other', logging: { logger: { log: () => {}, error: () => {}, warn: () => {} } } });
+      api.customize({ apiMethods: { ping: async ({ log }) => { log.info('ping from default'); } } });
+      other.customize({ apiMethods: { ping: async ({ log }) => { log.info('ping from other'); } } });
+
+      await api.ping();
+      await other.ping();
+      assert.equal(api.options.logging.logger, defaultLogger);
+      assert.ok(logs.some(msg => msg.includes('ping from default')));
+      assert.ok(!logs.some(msg => msg.includes('ping from other')));
+    } finally {
+      Api.defaultLogger = console;
+    }
+  });
+
   await t.test('should validate log level configuration', () => {
     assert.throws(
       () => new Api({
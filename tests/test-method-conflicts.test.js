@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ConfigurationError, MethodError, PluginError, ValidationError } from '../index.js';
+
+
+const recordingLogger = () => {
+  const warnings = [];
+  const logger = {
+    log: () => {},
+    error: () => {},
+    warn: (message) => { warnings.push(message); }
+  };
+  return { logger, warnings };
+};
+
+const listPlugin = (name, result, definition = {}) => ({
+  name,
+  install: async ({ addScopeMethod }) => {
+    await addScopeMethod('list', { handler: async () => result, ...definition });
+  }
+});
+
+
+test('Method Ownership and Conflicts', async (t) => {
+  await t.test('should record the source of every method', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(listPlugin('storage', []));
+    await api.customize({ apiMethods: { ping: async () => 'pong' } });
+    await api.addScope('users', { scopeMethods: { findByEmail: async () => null } });
+
+    const manifest = api.describe();
+    assert.deepEqual(manifest.scopeMethods.map(({ name, pluginName }) => [name, pluginName]), [['list', 'storage']]);
+    assert.deepEqual(manifest.apiMethods.map(({ name, pluginName }) => [name, pluginName]), [['ping', 'api-custom:test']]);
+    assert.equal(manifest.scopes[0].methods[0].pluginName, 'scope-custom:users');
+  });
+
+  await t.test('should warn and override by default', async () => {
+    const { logger, warnings } = recordingLogger();
+    const api = new Api({ name: 'test', logging: { logger } });
+    await api.use(listPlugin('storage', ['storage']));
+    await api.use(listPlugin('cache', ['cache']));
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.list(), ['cache']);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Scope method 'list' defined by 'storage' is replaced by 'cache'/);
+  });
+
+  await t.test('should fail the install under the error policy', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'error' });
+    await api.use(listPlugin('storage', ['storage']));
+
+    await assert.rejects(api.use(listPlugin('cache', ['cache'])), (error) => {
+      assert.ok(error instanceof PluginError);
+      assert.match(error.message, /Scope method 'list' is already defined by 'storage' and cannot be redefined by 'cache'/);
+      return true;
+    });
+    assert.equal(api.describe().plugins.length, 1);
+
+    await api.addScope('users');
+    assert.deepEqual(await api.scopes.users.list(), ['storage']);
+  });
+
+  await t.test('should throw a MethodError for conflicting customize() calls', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'error' });
+    await api.use({ name: 'health', install: ({ addApiMethod }) => addApiMethod('ping', async () => 'pong') });
+
+    await assert.rejects(api.customize({ apiMethods: { ping: async () => 'custom' } }), (error) => {
+      assert.ok(error instanceof MethodError);
+      assert.equal(error.methodName, 'ping');
+      assert.match(error.message, /already defined by 'health' and cannot be redefined by 'api-custom:test'/);
+      return true;
+    });
+  });
+
+  await t.test('should not treat redefinitions by the same source as conflicts', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'error' });
+    await api.customize({ apiMethods: { ping: async () => 'v1' } });
+    await api.customize({ apiMethods: { ping: async () => 'v2' } });
+
+    assert.equal(await api.ping(), 'v2');
+  });
+
+  await t.test('should override silently under the override policy', async () => {
+    const { logger, warnings } = recordingLogger();
+    const api = new Api({ name: 'test', methodConflicts: 'override', logging: { logger } });
+    await api.use(listPlugin('storage', ['storage']));
+    await api.use(listPlugin('cache', ['cache']));
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.list(), ['cache']);
+    assert.deepEqual(warnings, []);
+  });
+
+  await t.test('should let the new handler call the previous one under the wrap policy', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'wrap' });
+    await api.use(listPlugin('storage', ['a', 'b']));
+    await api.use({
+      name: 'paging',
+      install: ({ addScopeMethod }) => addScopeMethod('list', async ({ params, previous, scopeName }) => {
+        const rows = await previous();
+        return { scopeName, rows: rows.slice(0, params.limit) };
+      })
+    });
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.list({ limit: 1 }), { scopeName: 'users', rows: ['a'] });
+  });
+
+  await t.test('should pass new params through previous()', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'wrap' });
+    await api.use({ name: 'echo', install: ({ addApiMethod }) => addApiMethod('echo', async ({ params }) => params) });
+    await api.customize({
+      apiMethods: { echo: async ({ params, previous }) => previous({ ...params, traced: true }) }
+    });
+
+    assert.deepEqual(await api.echo({ id: 1 }), { id: 1, traced: true });
+  });
+
+  await t.test('should let a definition override the API-wide policy', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'error' });
+    await api.use(listPlugin('storage', ['storage']));
+    await api.use(listPlugin('cache', ['cache'], { onConflict: 'override' }));
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.list(), ['cache']);
+  });
+
+  await t.test('should restore the replaced method when the overriding plugin is removed', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'override' });
+    await api.use(listPlugin('storage', ['storage']));
+    await api.use(listPlugin('cache', ['cache']));
+    await api.addScope('users');
+
+    await api.unuse('cache');
+    assert.deepEqual(await api.scopes.users.list(), ['storage']);
+    assert.equal(api.describe().scopeMethods[0].pluginName, 'storage');
+
+    await api.unuse('storage');
+    assert.deepEqual(api.describe().scopeMethods, []);
+  });
+
+  await t.test('should not restore a method of a plugin that was already removed', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'override' });
+    const apiListPlugin = (name) => ({
+      name,
+      install: ({ addApiMethod }) => addApiMethod('list', async () => name)
+    });
+    await api.use(apiListPlugin('A'));
+    await api.use(apiListPlugin('B'));
+
+    await api.unuse('A');
+    assert.equal(await api.list(), 'B');
+    await api.unuse('B');
+    assert.equal(api.list, undefined);
+    assert.deepEqual(api.describe().apiMethods, []);
+  });
+
+  await t.test('should restore a customize() method when the overriding plugin is removed', async () => {
+    const api = new Api({ name: 'test', methodConflicts: 'override' });
+    await api.customize({ scopeMethods: { list: async () => ['custom'] } });
+    await api.use(listPlugin('cache', ['cache']));
+    await api.addScope('users');
+
+    await api.unuse('cache');
+    assert.deepEqual(await api.scopes.users.list(), ['custom']);
+  });
+
+  await t.test('should validate the policies', async () => {
+    assert.throws(() => new Api({ name: 'test', methodConflicts: 'ignore' }), ConfigurationError);
+
+    const api = new Api({ name: 'test' });
+    await assert.rejects(
+      api.customize({ apiMethods: { ping: { handler: async () => {}, onConflict: 'merge' } } }),
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,259 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ConfigurationError } from '../index.js';
+
+
+test('Method Lifecycle Hooks', async (t) => {
+  await t.test('should run before and after hooks around API methods', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+
+    await api.customize({
+      apiMethods: {
+        greet: async ({ params }) => {
+          calls.push('handler');
+          return `hello ${params.name}`;
+        }
+      },
+      hooks: {
+        'method:before': async ({ context }) => {
+          calls.push(`before:${context.name}:${context.scopeName}:${context.params.name}`);
+        },
+        'method:after': async ({ context }) => {
+          calls.push(`after:${context.result}`);
+        }
+      }
+    });
+
+    const result = await api.greet({ name: 'world' });
+    assert.equal(result, 'hello world');
+    assert.deepEqual(calls, ['before:greet:null:world', 'handler', 'after:hello world']);
+  });
+
+  await t.test('should run lifecycle hooks for scope methods with scope name', async () => {
+    const api = new Api({ name: 'test' });
+    const seen = [];
+
+    await api.customize({
+      scopeMethods: {
+        list: async ({ scopeName }) => [scopeName]
+      },
+      hooks: {
+        'method:before': async ({ context, scopeName }) => {
+          seen.push([context.name, context.scopeName, scopeName]);
+        }
+      }
+    });
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.list(), ['users']);
+    assert.deepEqual(seen, [['list', 'users', 'users']]);
+  });
+
+  await t.test('should fire scope-specific lifecycle hooks only for their scope', async () => {
+    const api = new Api({ name: 'test' });
+    const seen = [];
+
+    await api.customize({
+      scopeMethods: { list: async () => 'ok' }
+    });
+    await api.addScope('users', {
+      hooks: {
+        'method:before': async ({ context }) => { seen.push(context.scopeName); }
+      }
+    });
+    await api.addScope('posts');
+
+    await api.scopes.users.list();
+    await api.scopes.posts.list();
+    assert.deepEqual(seen, ['users']);
+  });
+
+  await t.test('should let before hooks short-circuit with a result', async () => {
+    const api = new Api({ name: 'test' });
+    let handlerCalled = false;
+    let afterCalled = false;
+
+    await api.customize({
+      apiMethods: {
+        expensive: async () => {
+          handlerCalled = true;
+          return 'computed';
+        }
+      },
+      hooks: {
+        'method:before': async ({ context }) => {
+          context.result = 'cached';
+        },
+        'method:after': async () => {
+          afterCalled = true;
+        }
+      }
+    });
+
+    assert.equal(await api.expensive(), 'cached');
+    assert.equal(handlerCalled, false);
+    assert.equal(afterCalled, false);
+  });
+
+  await t.test('should short-circuit with falsy results', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.customize({
+      apiMethods: { value: async () => 'real' },
+      hooks: {
+        'method:before': async ({ context }) => {
+          context.result = undefined;
+        }
+      }
+    });
+
+    assert.equal(await api.value(), undefined);
+  });
+
+  await t.test('should let before hooks replace params', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.customize({
+      apiMethods: { echo: async ({ params }) => params },
+      hooks: {
+        'method:before': async ({ context }) => {
+          context.params = { ...context.params, injected: true };
+        }
+      }
+    });
+
+    assert.deepEqual(await api.echo({ a: 1 }), { a: 1, injected: true });
+  });
+
+  await t.test('should let after hooks replace the result', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.customize({
+      apiMethods: { getUser: async () => ({ id: 1, password: 'secret' }) },
+      hooks: {
+        'method:after': async ({ context }) => {
+          const { password, ...safe } = context.result;
+          context.result = safe;
+        }
+      }
+    });
+
+    assert.deepEqual(await api.getUser(), { id: 1 });
+  });
+
+  await t.test('should expose the method context to lifecycle hooks', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.customize({
+      apiMethods: { whoami: async ({ context }) => context.user },
+      hooks: {
+        'method:before': async ({ context }) => {
+          context.context.user = 'alice';
+        }
+      }
+    });
+
+    assert.equal(await api.whoami(), 'alice');
+  });
+
+  await t.test('should run error hooks and rethrow', async () => {
+    const api = new Api({ name: 'test' });
+    const errors = [];
+
+    await api.customize({
+      apiMethods: { fail: async () => { throw new Error('boom'); } },
+      hooks: {
+        'method:error': async ({ context }) => {
+          errors.push(`${context.name}:${context.error.message}`);
+        }
+      }
+    });
+
+    await assert.rejects(api.fail(), /boom/);
+    assert.deepEqual(errors, ['fail:boom']);
+  });
+
+  await t.test('should let error hooks replace the error', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.customize({
+      apiMethods: { fail: async () => { throw new Error('internal'); } },
+      hooks: {
+        'method:error': async ({ context }) => {
+          context.error = new Error('public');
+        }
+      }
+    });
+
+    await assert.rejects(api.fail(), /public/);
+  });
+
+  await t.test('should let error hooks recover', async () => {
+    const api = new Api({ name: 'test' });
+
+    await api.customize({
+      apiMethods: { fail: async () => { throw new Error('boom'); } },
+      hooks: {
+        'method:error': async ({ context }) => {
+          delete context.error;
+          context.result = 'fallback';
+        }
+      }
+    });
+
+    assert.equal(await api.fail(), 'fallback');
+  });
+
+  await t.test('should run error hooks for errors thrown by before hooks', async () => {
+    const api = new Api({ name: 'test' });
+    let errorSeen;
+
+    await api.customize({
+      apiMethods: { secret: async () => 'data' },
+      hooks: {
+        'method:before': async () => { throw new Error('unauthorized'); },
+        'method:error': async ({ context }) => { errorSeen = context.error.message; }
+      }
+    });
+
+    await assert.rejects(api.secret(), /unauthorized/);
+    assert.equal(errorSeen, 'unauthorized');
+  });
+
+  await t.test('should allow renaming lifecycle hooks', async () => {
+    const api = new Api({ name: 'test', methodHooks: { before: 'beforeAnyMethod', error: null } });
+    const calls = [];
+
+    await api.customize({
+      apiMethods: { fail: async () => { throw new Error('boom'); } },
+      hooks: {
+        beforeAnyMethod: async () => { calls.push('renamed'); },
+        'method:before': async () => { calls.push('default'); },
+        'method:error': async () => { calls.push('error'); }
+      }
+    });
+
+    await assert.rejects(api.fail(), /boom/);
+    assert.deepEqual(calls, ['renamed']);
+  });
+
+  await t.test('should allow disabling lifecycle hooks', async () => {
+    const api = new Api({ name: 'test', methodHooks: false });
+    let called = false;
+
+    await api.customize({
+      apiMethods: { run: async () => 'ok' },
+      hooks: {
+        'method:before': async () => { called = true; }
+      }
+    });
+
+    assert.equal(await api.run(), 'ok');
+    assert.equal(called, false);
+  });
+
+  await t.test('should reject invalid methodHooks option', () => {
+    assert.throws(() => new Api({ name: 'test', methodHooks: 'yes' }), ConfigurationError);
+  });
+});
@@ -0,0 +1,176 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+test('Method Wrappers', async (t) => {
+  await t.test('should wrap an existing API method', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { greet: async ({ params }) => `hello ${params.name}` } });
+    api.wrapMethod('greet', async ({ next }) => `${await next()}!`);
+
+    assert.equal(await api.greet({ name: 'Ada' }), 'hello Ada!');
+  });
+
+  await t.test('should wrap methods defined later', async () => {
+    const api = new Api({ name: 'test' });
+    api.wrapScopeMethod('list', async ({ next, scopeName }) => ({ scopeName, rows: await next() }));
+    await api.customize({ scopeMethods: { list: async () => [1, 2] } });
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.list(), { scopeName: 'users', rows: [1, 2] });
+  });
+
+  await t.test('should keep wrapping a method that is redefined', async () => {
+    const api = new Api({ name: 'test' });
+    api.wrapMethod('version', async ({ next }) => `v${await next()}`);
+    await api.customize({ apiMethods: { version: async () => 1 } });
+    await api.customize({ apiMethods: { version: async () => 2 } });
+
+    assert.equal(await api.version(), 'v2');
+  });
+
+  await t.test('should compose wrappers by priority, then registration order', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    const tracer = (label) => async ({ next }) => {
+      calls.push(`${label}:in`);
+      const result = await next();
+      calls.push(`${label}:out`);
+      return result;
+    };
+    await api.customize({ apiMethods: { work: async () => { calls.push('handler'); } } });
+    api.wrapMethod('work', tracer('first'));
+    api.wrapMethod('work', tracer('second'));
+    api.wrapMethod('work', tracer('outer'), { priority: 10 });
+
+    await api.work();
+    assert.deepEqual(calls, ['outer:in', 'first:in', 'second:in', 'handler', 'second:out', 'first:out', 'outer:out']);
+  });
+
+  await t.test('should give the same result whatever order plugins are installed in', async () => {
+    const cachePlugin = {
+      name: 'cache',
+      install: ({ wrapScopeMethod }) => {
+        const cache = new Map();
+        wrapScopeMethod('get', async ({ params, next }) => {
+          if (!cache.has(params.id)) cache.set(params.id, await next());
+          return cache.get(params.id);
+        }, { priority: 10 });
+      }
+    };
+    let calls = 0;
+    const metricsPlugin = {
+      name: 'metrics',
+      install: ({ wrapScopeMethod }) => {
+        wrapScopeMethod('get', async ({ next }) => { calls++; return next(); });
+      }
+    };
+    const storagePlugin = {
+      name: 'storage',
+      install: ({ addScopeMethod }) => addScopeMethod('get', async ({ params }) => ({ id: params.id }))
+    };
+
+    for (const plugins of [[cachePlugin, metricsPlugin, storagePlugin], [storagePlugin, metricsPlugin, cachePlugin]]) {
+      calls = 0;
+      const api = new Api({ name: 'test' });
+      for (const plugin of plugins) await api.use(plugin);
+      await api.addScope('users');
+
+      await api.scopes.users.get({ id: 1 });
+      await api.scopes.users.get({ id: 1 });
+      assert.equal(calls, 1);
+    }
+  });
+
+  await t.test('should let wrappers change params and call next() again', async () => {
+    const api = new Api({ name: 'test' });
+    let attempts = 0;
+    await api.customize({
+      apiMethods: {
+        fetchPage: async ({ params }) => {
+          attempts++;
+          if (attempts < 3) throw new Error('flaky');
+          return params;
+        }
+      }
+    });
+    api.wrapMethod('fetchPage', async ({ params, next }) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await next({ ...params, attempt });
+        } catch (error) {
+          if (attempt === 3) throw error;
+        }
+      }
+    });
+
+    assert.deepEqual(await api.fetchPage({ page: 2 }), { page: 2, attempt: 3 });
+  });
+
+  await t.test('should restrict scope wrappers to one scope', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { count: async () => 1 } });
+    await api.addScope('users');
+    await api.addScope('orders');
+    api.wrapScopeMethod('count', async ({ next }) => (await next()) * 100, { scope: 'orders' });
+
+    assert.equal(await api.scopes.users.count(), 1);
+    assert.equal(await api.scopes.orders.count(), 100);
+  });
+
+  await t.test('should keep API and scope wrappers apart', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { status: async () => 'api' },
+      scopeMethods: { status: async () => 'scope' }
+    });
+    await api.addScope('users');
+    api.wrapMethod('status', async ({ next }) => `wrapped ${await next()}`);
+
+    assert.equal(await api.status(), 'wrapped api');
+    assert.equal(await api.scopes.users.status(), 'scope');
+  });
+
+  await t.test('should run inside the method lifecycle hooks', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.customize({
+      apiMethods: { save: async () => { calls.push('handler'); } },
+      hooks: {
+        'method:before': async () => { calls.push('before'); },
+        'method:after': async () => { calls.push('after'); }
+      }
+    });
+    api.wrapMethod('save', async ({ next }) => { calls.push('wrapper'); return next(); });
+
+    await api.save();
+    assert.deepEqual(calls, ['before', 'wrapper', 'handler', 'after']);
+  });
+
+  await t.test('should remove wrappers with the returned function and on unuse', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { ping: async () => 'pong' } });
+    const unwrap = api.wrapMethod('ping', async ({ next }) => `${await next()}!`);
+    await api.use({
+      name: 'shout',
+      install: ({ wrapMethod }) => { wrapMethod('ping', async ({ next }) => (await next()).toUpperCase()); }
+    });
+
+    assert.equal(await api.ping(), 'PONG!');
+    assert.equal(unwrap(), true);
+    assert.equal(unwrap(), false);
+    assert.equal(await api.ping(), 'PONG');
+    await api.unuse('shout');
+    assert.equal(await api.ping(), 'pong');
+  });
+
+  await t.test('should validate wrapper registrations', () => {
+    const api = new Api({ name: 'test' });
+    assert.throws(() => api.wrapMethod('', async () => {}), ValidationError);
+    assert.throws(() => api.wrapMethod('ping', 'not a function'), ValidationError);
+    assert.throws(() => api.wrapMethod('ping', async () => {}, { priority: 'high' }), ValidationError);
+    assert.throws(() => api.wrapMethod('ping', async () => {}, { scope: 'users' }), ValidationError);
+    assert.throws(() => api.wrapScopeMethod('list', async () => {}, { scope: '' }), ValidationError);
+  });
+});
@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ScopeError, ValidationError } from '../index.js';
+
+
+const setup = async (options = {}) => {
+  const api = new Api({ name: 'test' });
+  await api.customize({
+    scopeMethods: {
+      list: async ({ scopeName, parentScopeName, parentScopeNames }) => ({ scopeName, parentScopeName, parentScopeNames })
+    },
+    vars: { pageSize: 100, region: 'eu' }
+  });
+  await api.addScope('projects', { vars: { pageSize: 20, table: 'projects' }, ...options });
+  await api.addScope('projects.tasks', { vars: { table: 'tasks' } });
+  await api.addScope('projects.tasks.comments');
+  return api;
+};
+
+
+test('Nested Scopes', async (t) => {
+  await t.test('should address child scopes through their parent', async () => {
+    const api = await setup();
+
+    assert.deepEqual(await api.scopes.projects.tasks.list(), {
+      scopeName: 'projects.tasks',
+      parentScopeName: 'projects',
+      parentScopeNames: ['projects']
+    });
+    assert.deepEqual(await api.scopes.projects.tasks.comments.list(), {
+      scopeName: 'projects.tasks.comments',
+      parentScopeName: 'projects.tasks',
+      parentScopeNames: ['projects.tasks', 'projects']
+    });
+    assert.deepEqual(await api.scopes.projects.list(), { scopeName: 'projects', parentScopeName: null, parentScopeNames: [] });
+  });
+
+  await t.test('should only list top-level scopes on api.scopes', async () => {
+    const api = await setup();
+    assert.deepEqual(Object.keys(api.scopes), ['projects']);
+    assert.equal(api.scopes.tasks, undefined);
+  });
+
+  await t.test('should fall back child, parent, then global for vars and helpers', async () => {
+    const api = await setup({ helpers: { format: () => 'projects format' } });
+    const { vars, helpers } = api.scopes.projects.tasks.comments;
+
+    assert.equal(vars.table, 'tasks');
+    assert.equal(vars.pageSize, 20);
+    assert.equal(vars.region, 'eu');
+    assert.equal(helpers.format(), 'projects format');
+
+    vars.table = 'comments';
+    assert.equal(api.scopes.projects.tasks.vars.table, 'tasks');
+  });
+
+  await t.test('should not inherit methods from the parent scope', async () => {
+    const api = await setup();
+    await api.addScope('users', { scopeMethods: { invite: async () => 'invited' } });
+    await api.addScope('users.addresses');
+
+    assert.equal(api.scopes.users.addresses.invite, undefined);
+  });
+
+  await t.test('should run subtree hooks for the scope and its descendants', async () => {
+    const calls = [];
+    const api = await setup({
+      hooks: {
+        'method:before': { handler: async ({ scopeName }) => { calls.push(`subtree:${scopeName}`); }, subtree: true },
+        'method:after': async ({ scopeName }) => { calls.push(`own:${scopeName}`); }
+      }
+    });
+    await api.addScope('users');
+
+    await api.scopes.projects.list();
+    await api.scopes.projects.tasks.comments.list();
+    await api.scopes.users.list();
+    assert.deepEqual(calls, ['subtree:projects', 'own:projects', 'subtree:projects.tasks.comments']);
+    assert.equal(api.describe().hooks['method:before'][0].subtree, true);
+  });
+
+  await t.test('should pass the signal to child scope methods called through scopes', async () => {
+    const api = await setup();
+    let nestedSignal;
+    await api.customize({ scopeMethods: { sync: async ({ scopes }) => scopes.projects.tasks.inspect() } });
+    await api.customize({ scopeMethods: { inspect: async ({ signal }) => { nestedSignal = signal; } } });
+
+    const controller = new AbortController();
+    await api.scopes.projects.sync({}, {}, { signal: controller.signal });
+    assert.equal(nestedSignal, controller.signal);
+  });
+
+  await t.test('should let methods shadow child scopes of the same name', async () => {
+    const api = await setup();
+    await api.customize({ scopeMethods: { tasks: async () => 'method' } });
+    assert.equal(await api.scopes.projects.tasks(), 'method');
+  });
+
+  await t.test('should describe child scopes', async () => {
+    const api = await setup();
+    assert.deepEqual(
+      api.describe().scopes.map(({ name, parentScopeName }) => [name, parentScopeName]),
+      [['projects', undefined], ['projects.tasks', 'projects'], ['projects.tasks.comments', 'projects.tasks']]
+    );
+  });
+
+  await t.test('should refuse to remove scopes with children', async () => {
+    const api = await setup();
+    await assert.rejects(api.removeScope('projects'), /has child scopes 'projects\.tasks'/);
+
+    await api.removeScope('projects.tasks.comments');
+    await api.removeScope('projects.tasks');
+    await api.removeScope('projects');
+  });
+
+  await t.test('should remove child scopes with their plugin scope on unuse', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({ name: 'tracker', install: ({ addScope }) => addScope('projects') });
+    await api.addScope('projects.tasks');
+
+    await api.unuse('tracker');
+    assert.deepEqual(api.describe().scopes, []);
+  });
+
+  await t.test('should validate child scope names', async () => {
+    const api = await setup();
+    await assert.rejects(api.addScope('users.addresses'), ScopeError);
+    await assert.rejects(api.addScope('projects.vars'), ValidationError);
+    await assert.rejects(api.addScope('projects..tasks'), ValidationError);
+    await assert.rejects(api.addScope('projects.__proto__'), ValidationError);
+  });
+});
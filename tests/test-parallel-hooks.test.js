@@ -0,0 +1,182 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, HookAggregateError, HookedApiError, ValidationError } from '../index.js';
+
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createFanOutApi = async (count, ms, tracker) => {
+  const api = new Api({ name: 'test' });
+  await api.use({
+    name: 'fan-out',
+    install: ({ addHook }) => {
+      for (let i = 0; i < count; i++) {
+        addHook('afterSave', `handler${i}`, {}, async ({ context }) => {
+          tracker.running++;
+          tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+          await delay(ms);
+          tracker.running--;
+          context.done.push(i);
+        });
+      }
+    }
+  });
+  return api;
+};
+
+
+test('Parallel Hook Execution', async (t) => {
+  await t.test('should run handlers concurrently per call', async () => {
+    const tracker = { running: 0, maxRunning: 0 };
+    const api = await createFanOutApi(4, 20, tracker);
+
+    const context = { done: [] };
+    const result = await api.runHooks('afterSave', context, { mode: 'parallel' });
+
+    assert.equal(result, true);
+    assert.equal(tracker.maxRunning, 4);
+    assert.deepEqual(context.done.sort(), [0, 1, 2, 3]);
+  });
+
+  await t.test('should run sequentially by default', async () => {
+    const tracker = { running: 0, maxRunning: 0 };
+    const api = await createFanOutApi(3, 5, tracker);
+
+    const context = { done: [] };
+    await api.runHooks('afterSave', context);
+    assert.equal(tracker.maxRunning, 1);
+    assert.deepEqual(context.done, [0, 1, 2]);
+  });
+
+  await t.test('should respect the concurrency limit', async () => {
+    const tracker = { running: 0, maxRunning: 0 };
+    const api = await createFanOutApi(6, 10, tracker);
+
+    const context = { done: [] };
+    await api.runHooks('afterSave', context, { mode: 'parallel', concurrency: 2 });
+    assert.equal(tracker.maxRunning, 2);
+    assert.equal(context.done.length, 6);
+  });
+
+  await t.test('should use per-hook configuration', async () => {
+    const tracker = { running: 0, maxRunning: 0 };
+    const api = await createFanOutApi(3, 10, tracker);
+    api.configureHook('afterSave', { mode: 'parallel' });
+
+    await api.customize({
+      apiMethods: {
+        save: async ({ runHooks, context }) => {
+          context.done = [];
+          await runHooks('afterSave');
+          return context.done.length;
+        }
+      }
+    });
+
+    assert.equal(await api.save(), 3);
+    assert.equal(tracker.maxRunning, 3);
+  });
+
+  await t.test('should let per-call options override configuration', async () => {
+    const tracker = { running: 0, maxRunning: 0 };
+    const api = await createFanOutApi(3, 5, tracker);
+    api.configureHook('afterSave', { mode: 'parallel' });
+
+    await api.runHooks('afterSave', { done: [] }, { mode: 'sequential' });
+    assert.equal(tracker.maxRunning, 1);
+  });
+
+  await t.test('should aggregate errors after all handlers settle', async () => {
+    const api = new Api({ name: 'test' });
+    const completed = [];
+    await api.use({
+      name: 'notifications',
+      install: ({ addHook }) => {
+        addHook('afterSave', 'webhook', {}, async () => {
+          await delay(5);
+          throw new Error('webhook down');
+        });
+        addHook('afterSave', 'cache', {}, async () => {
+          await delay(10);
+          completed.push('cache');
+        });
+        addHook('afterSave', 'search', {}, async () => {
+          throw new Error('index unavailable');
+        });
+      }
+    });
+
+    await assert.rejects(api.runHooks('afterSave', {}, { mode: 'parallel' }), (error) => {
+      assert.ok(error instanceof HookAggregateError);
+      assert.ok(error instanceof HookedApiError);
+      assert.equal(error.code, 'HOOK_AGGREGATE_ERROR');
+      assert.equal(error.hookName, 'afterSave');
+      assert.deepEqual(error.errors.map(e => e.message).sort(), ['index unavailable', 'webhook down']);
+      assert.deepEqual(error.failures.map(f => f.functionName).sort(), ['search', 'webhook']);
+      return true;
+    });
+    assert.deepEqual(completed, ['cache']);
+  });
+
+  await t.test('should resolve false if any handler returns false', async () => {
+    const api = new Api({ name: 'test' });
+    let otherRan = false;
+    await api.use({
+      name: 'mixed',
+      install: ({ addHook }) => {
+        addHook('notify', 'stopper', {}, async () => false);
+        addHook('notify', 'other', {}, async () => { otherRan = true; });
+      }
+    });
+
+    assert.equal(await api.runHooks('notify', {}, { mode: 'parallel' }), false);
+    assert.equal(otherRan, true);
+  });
+
+  await t.test('should run system hooks in parallel when configured', async () => {
+    const api = new Api({ name: 'test' });
+    const tracker = { running: 0, maxRunning: 0 };
+    api.configureHook('plugin:installed', { mode: 'parallel' });
+    await api.customize({
+      hooks: {
+        'plugin:installed': async () => {
+          tracker.running++;
+          tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+          await delay(5);
+          tracker.running--;
+        }
+      }
+    });
+    await api.use({
+      name: 'listener',
+      install: ({ addHook }) => {
+        addHook('plugin:installed', 'second', {}, async () => {
+          tracker.running++;
+          tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+          await delay(5);
+          tracker.running--;
+        });
+      }
+    });
+
+    await api.use({ name: 'trigger', install: () => {} });
+    assert.equal(tracker.maxRunning, 2);
+  });
+
+  await t.test('should reject around hooks in parallel mode', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: { notify: { type: 'around', handler: async ({ next }) => next() } }
+    });
+
+    await assert.rejects(api.runHooks('notify', {}, { mode: 'parallel' }), ValidationError);
+  });
+
+  await t.test('should validate modes and concurrency', async () => {
+    const api = new Api({ name: 'test' });
+    assert.throws(() => api.configureHook('notify', { mode: 'random' }), ValidationError);
+    assert.throws(() => api.configureHook('notify', { concurrency: 0 }), ValidationError);
+    assert.throws(() => api.configureHook('', { mode: 'parallel' }), ValidationError);
+    await assert.rejects(api.runHooks('notify', {}, { mode: 'parallel', concurrency: 1.5 }), ValidationError);
+  });
+});
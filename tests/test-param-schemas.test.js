@@ -0,0 +1,180 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ValidationError } from '../index.js';
+
+
+const userSchema = {
+  type: 'object',
+  required: ['name', 'email'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 2, maxLength: 50 },
+    email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+    age: { type: 'integer', minimum: 0, maximum: 150 },
+    role: { enum: ['admin', 'member'] },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+    address: {
+      type: 'object',
+      required: ['zip'],
+      properties: { zip: { type: 'string', pattern: '^\\d{5}$' } }
+    },
+    nickname: { type: ['string', 'null'] }
+  }
+};
+
+const failuresOf = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.field, 'params');
+    return error.errors.map(({ path, keyword }) => `${path}:${keyword}`).sort();
+  }
+  assert.fail('Expected a ValidationError');
+};
+
+
+test('Parameter Schema Validation', async (t) => {
+  await t.test('should accept valid params', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: { create: { handler: async ({ params }) => params.name, params: userSchema } }
+    });
+    await api.addScope('users');
+
+    const result = await api.scopes.users.create({
+      name: 'Ada',
+      email: 'ada@example.com',
+      age: 36,
+      role: 'admin',
+      tags: ['math'],
+      address: { zip: '12345' },
+      nickname: null
+    });
+    assert.equal(result, 'Ada');
+  });
+
+  await t.test('should list every failing field', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { createUser: { handler: async () => 'created', params: userSchema } } });
+
+    const failures = await failuresOf(api.createUser({
+      name: 'A',
+      age: -1.5,
+      role: 'owner',
+      tags: ['a', 2, 'c', 'd'],
+      address: { zip: 'abc' },
+      extra: true
+    }));
+
+    assert.deepEqual(failures, [
+      'params.address.zip:pattern',
+      'params.age:type',
+      'params.email:required',
+      'params.extra:additionalProperties',
+      'params.name:minLength',
+      'params.role:enum',
+      'params.tags:maxItems',
+      'params.tags[1]:type'
+    ]);
+  });
+
+  await t.test('should name the method and scope in the message', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users', {
+      scopeMethods: { get: { handler: async () => ({}), params: { type: 'object', required: ['id'] } } }
+    });
+
+    await assert.rejects(api.scopes.users.get({}), (error) => {
+      assert.match(error.message, /Invalid params for method 'get' on scope 'users'/);
+      assert.match(error.message, /params\.id is required/);
+      assert.deepEqual(error.value, {});
+      return true;
+    });
+  });
+
+  await t.test('should reject before any hook or the handler runs', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.customize({
+      apiMethods: {
+        ping: { handler: async () => { calls.push('handler'); }, params: { type: 'object', required: ['id'] } }
+      },
+      hooks: {
+        'method:around': { type: 'around', handler: async ({ next }) => { calls.push('around'); await next(); } },
+        'method:before': async () => { calls.push('before'); },
+        'method:error': async () => { calls.push('error'); }
+      }
+    });
+
+    await assert.rejects(api.ping({}), ValidationError);
+    assert.deepEqual(calls, []);
+  });
+
+  await t.test('should validate params of plugin methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'math',
+      install: async ({ addApiMethod, addScopeMethod }) => {
+        await addApiMethod('double', {
+          handler: async ({ params }) => params.n * 2,
+          params: { type: 'object', required: ['n'], properties: { n: { type: 'number' } } }
+        });
+        await addScopeMethod('count', {
+          handler: async () => 0,
+          params: { type: 'object', properties: { limit: { type: 'integer', exclusiveMinimum: 0 } } }
+        });
+      }
+    });
+    await api.addScope('items');
+
+    assert.equal(await api.double({ n: 21 }), 42);
+    assert.deepEqual(await failuresOf(api.double({ n: '21' })), ['params.n:type']);
+    assert.deepEqual(await failuresOf(api.scopes.items.count({ limit: 0 })), ['params.limit:exclusiveMinimum']);
+  });
+
+  await t.test('should support const and anyOf', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        lookup: {
+          handler: async () => 'found',
+          params: {
+            type: 'object',
+            properties: {
+              version: { const: 2 },
+              key: { anyOf: [{ type: 'integer' }, { type: 'string', minLength: 3 }] }
+            }
+          }
+        }
+      }
+    });
+
+    assert.equal(await api.lookup({ version: 2, key: 7 }), 'found');
+    assert.equal(await api.lookup({ key: 'abc' }), 'found');
+    assert.deepEqual(await failuresOf(api.lookup({ version: 1, key: 'ab' })), ['params.key:anyOf', 'params.version:const']);
+  });
+
+  await t.test('should keep plain function definitions unvalidated', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ apiMethods: { echo: async ({ params }) => params } });
+    assert.deepEqual(await api.echo({ anything: true }), { anything: true });
+  });
+
+  await t.test('should reject invalid schemas at definition time', async () => {
+    const api = new Api({ name: 'test' });
+    let count = 0;
+    const define = (params) => api.customize({ apiMethods: { [`method${count++}`]: { handler: async () => {}, params } } });
+
+    await assert.rejects(define('object'), /params must be an object/);
+    await assert.rejects(define({ type: 'text' }), /params\.type must be one of/);
+    await assert.rejects(define({ type: 'object', properties: { id: { format: 'uuid' } } }), /params\.properties\.id uses unsupported keyword 'format'/);
+    await assert.rejects(define({ required: 'id' }), /params\.required must be an array/);
+    await assert.rejects(define({ pattern: '(' }), /params\.pattern must be a valid regular expression/);
+    await assert.rejects(define({ minLength: -1 }), ValidationError);
+    await assert.rejects(
+      api.addScope('users', { scopeMethods: { get: { handler: async () => {}, params: { items: 'string' } } } }),
+      /params\.items must be an object/
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, PluginError } from '../index.js';
+
+
+test('Transactional Plugin Install', async (t) => {
+  await t.test('should roll back everything when install throws', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users');
+
+    const failingPlugin = {
+      name: 'failing',
+      install: async ({ addApiMethod, addScopeMethod, addScope, addHook, vars, helpers }) => {
+        await addApiMethod('failingMethod', async () => 'nope');
+        await addScopeMethod('failingScopeMethod', async () => 'nope');
+        await addScope('failingScope');
+        addHook('beforeAction', 'failingHook', {}, async () => {});
+        vars.failingVar = 1;
+        helpers.failingHelper = () => {};
+        throw new Error('install exploded');
+      }
+    };
+
+    await assert.rejects(api.use(failingPlugin), (error) => {
+      assert.ok(error instanceof PluginError);
+      assert.match(error.message, /install exploded/);
+      return true;
+    });
+
+    assert.equal(api.failingMethod, undefined);
+    assert.equal(api.scopes.users.failingScopeMethod, undefined);
+    assert.equal(api.scopes.failingScope, undefined);
+    assert.equal(api._hooks.has('beforeAction'), false);
+    assert.equal(api._vars.has('failingVar'), false);
+    assert.equal(api._helpers.has('failingHelper'), false);
+    assert.equal(api._installedPlugins.has('failing'), false);
+    assert.equal('failing' in api._pluginOptions, false);
+  });
+
+  await t.test('should restore values the plugin overwrote', async () => {
+    const api = new Api({ name: 'test' });
+    const originalList = async () => 'original';
+    await api.customize({
+      scopeMethods: { list: originalList },
+      vars: { shared: 'before' },
+      helpers: { format: () => 'before' }
+    });
+    await api.addScope('items');
+
+    await assert.rejects(api.use({
+      name: 'overwriter',
+      install: async ({ addScopeMethod, vars, helpers }) => {
+        await addScopeMethod('list', async () => 'overwritten');
+        vars.shared = 'after';
+        vars.shared = 'after again';
+        helpers.format = () => 'after';
+        throw new Error('fail');
+      }
+    }), PluginError);
+
+    assert.equal(await api.scopes.items.list(), 'original');
+    assert.equal(api.vars.shared, 'before');
+    assert.equal(api.helpers.format(), 'before');
+  });
+
+  await t.test('should clean up a scope whose scope:added hook failed', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: {
+        'scope:added': async ({ context }) => {
+          if (context.scopeName === 'broken') throw new Error('scope hook failed');
+        }
+      }
+    });
+
+    await assert.rejects(api.use({
+      name: 'scope-plugin',
+      install: ({ addScope }) => addScope('broken', {
+        hooks: { beforeAction: async () => {} }
+      })
+    }), PluginError);
+
+    assert.equal(api.scopes.broken, undefined);
+  });
+
+  await t.test('should roll back when a plugin:installed hook fails', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: {
+        'plugin:installed': async ({ context }) => {
+          if (context.pluginName === 'rejected') throw new Error('not allowed');
+        }
+      }
+    });
+
+    await assert.rejects(api.use({
+      name: 'rejected',
+      install: ({ addApiMethod }) => addApiMethod('rejectedMethod', async () => {})
+    }), PluginError);
+
+    assert.equal(api.rejectedMethod, undefined);
+    assert.equal(api._installedPlugins.has('rejected'), false);
+  });
+
+  await t.test('should allow a clean retry after a failed install', async () => {
+    const api = new Api({ name: 'test' });
+    let attempts = 0;
+
+    const flakyPlugin = {
+      name: 'flaky',
+      install: async ({ addApiMethod, addHook, setScopeAlias }) => {
+        attempts++;
+        setScopeAlias('tables', 'addTable');
+        await addApiMethod('flakyMethod', async () => 'ok');
+        addHook('beforeAction', 'flakyHook', {}, async () => {});
+        if (attempts === 1) throw new Error('first attempt fails');
+      }
+    };
+
+    await assert.rejects(api.use(flakyPlugin), PluginError);
+    await api.use(flakyPlugin);
+
+    assert.equal(attempts, 2);
+    assert.equal(await api.flakyMethod(), 'ok');
+    assert.equal(api._hooks.get('beforeAction').length, 1);
+    assert.ok(api.tables);
+    assert.ok(api._installedPlugins.has('flaky'));
+  });
+
+  await t.test('should keep an alias set by another plugin when failing over it', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({ name: 'first', install: ({ setScopeAlias }) => setScopeAlias('tables', 'addTable') });
+
+    await assert.rejects(api.use({ name: 'second', install: ({ setScopeAlias }) => setScopeAlias('tables') }), PluginError);
+    await assert.rejects(api.use({ name: 'third', install: ({ setScopeAlias }) => setScopeAlias('records', 'addTable') }), PluginError);
+
+    assert.equal(api._scopeAlias, 'tables');
+    assert.equal(api.tables, api.scopes);
+    assert.equal(api.addTable, api.addScope);
+    assert.equal(api.records, undefined);
+
+    await api.unuse('first');
+    assert.equal(api.tables, undefined);
+    assert.equal(api.addTable, undefined);
+  });
+});
@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, PluginError } from '../index.js';
+
+
+test('Plugin Uninstall', async (t) => {
+  const fullPlugin = {
+    name: 'full-plugin',
+    install: async ({ addApiMethod, addScopeMethod, addScope, addHook, vars, helpers }) => {
+      await addApiMethod('pluginMethod', async () => 'api');
+      await addScopeMethod('pluginScopeMethod', async () => 'scope');
+      await addScope('pluginScope', {
+        hooks: {
+          beforeAction: async ({ context }) => { context.scopeHookRan = true; }
+        }
+      });
+      addHook('beforeAction', 'pluginHook', {}, async ({ context }) => { context.pluginHookRan = true; });
+      vars.pluginVar = 'var';
+      helpers.pluginHelper = () => 'helper';
+    }
+  };
+
+  await t.test('should remove everything the plugin registered', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users');
+    await api.use(fullPlugin);
+
+    assert.equal(await api.pluginMethod(), 'api');
+    assert.equal(await api.scopes.users.pluginScopeMethod(), 'scope');
+    assert.ok(api.scopes.pluginScope);
+    assert.equal(api.vars.pluginVar, 'var');
+
+    await api.unuse('full-plugin');
+
+    assert.equal(api.pluginMethod, undefined);
+    assert.equal(api.scopes.users.pluginScopeMethod, undefined);
+    assert.equal(api.scopes.pluginScope, undefined);
+    assert.equal(api.vars.pluginVar, undefined);
+    assert.equal(api.helpers.pluginHelper, undefined);
+    assert.equal(api._hooks.has('beforeAction'), false);
+    assert.equal(api._installedPlugins.has('full-plugin'), false);
+    assert.equal(api._pluginOptions['full-plugin'], undefined);
+  });
+
+  await t.test('should keep hooks and methods registered by others', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use(fullPlugin);
+    await api.customize({
+      hooks: {
+        beforeAction: async ({ context }) => { context.customHookRan = true; }
+      },
+      vars: { customVar: 'kept' }
+    });
+
+    await api.unuse('full-plugin');
+
+    const context = {};
+    await api.runHooks('beforeAction', context);
+    assert.deepEqual(context, { customHookRan: true });
+    assert.equal(api.vars.customVar, 'kept');
+  });
+
+  await t.test('should not remove a method that was replaced by another plugin', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'first',
+      install: ({ addScopeMethod }) => addScopeMethod('list', async () => 'first')
+    });
+    await api.use({
+      name: 'second',
+      install: ({ addScopeMethod }) => addScopeMethod('list', async () => 'second')
+    });
+    await api.addScope('items');
+
+    await api.unuse('first');
+    assert.equal(await api.scopes.items.list(), 'second');
+  });
+
+  await t.test('should not remove vars and helpers that were overwritten since', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'first',
+      install: ({ vars, helpers }) => {
+        vars.x = 'first';
+        helpers.format = () => 'first';
+      }
+    });
+    await api.use({
+      name: 'second',
+      install: ({ vars }) => { vars.x = 'second'; }
+    });
+    await api.customize({ helpers: { format: () => 'custom' } });
+
+    await api.unuse('first');
+    assert.equal(api.vars.x, 'second');
+    assert.equal(api.helpers.format(), 'custom');
+
+    await api.unuse('second');
+    assert.equal(api.vars.x, undefined);
+  });
+
+  await t.test('should allow reinstalling after uninstall', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users');
+    await api.use(fullPlugin);
+    await api.unuse('full-plugin');
+    await api.use(fullPlugin);
+
+    assert.equal(await api.pluginMethod(), 'api');
+    assert.equal(api._hooks.get('beforeAction').length, 2);
+  });
+
+  await t.test('should remove scope aliases set by the plugin', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'tables',
+      install: ({ setScopeAlias }) => setScopeAlias('tables', 'addTable')
+    });
+    assert.ok(api.tables);
+
+    await api.unuse('tables');
+    assert.equal(api.tables, undefined);
+    assert.equal(api.addTable, undefined);
+    assert.equal(api._scopeAlias, null);
+  });
+
+  await t.test('should throw when the plugin is not installed', async () => {
+    const api = new Api({ name: 'test' });
+    await assert.rejects(api.unuse('missing'), PluginError);
+  });
+
+  await t.test('should refuse when another plugin depends on it', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({ name: 'base', install: () => {} });
+    await api.use({ name: 'dependent', dependencies: ['base'], install: () => {} });
+
+    await assert.rejects(api.unuse('base'), (error) => {
+      assert.ok(error instanceof PluginError);
+      assert.match(error.message, /required by 'dependent'/);
+      return true;
+    });
+
+    await api.unuse('dependent');
+    await api.unuse('base');
+    assert.equal(api._installedPlugins.size, 0);
+  });
+
+  await t.test('should allow uninstall when an alternative dependency remains', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({ name: 'sqlite', install: () => {} });
+    await api.use({ name: 'postgres', install: () => {} });
+    await api.use({ name: 'orm', dependencies: ['sqlite|postgres'], install: () => {} });
+
+    await api.unuse('sqlite');
+    await assert.rejects(api.unuse('postgres'), PluginError);
+  });
+
+  await t.test('should run plugin:uninstalled hook', async () => {
+    const api = new Api({ name: 'test' });
+    const events = [];
+    await api.customize({
+      hooks: {
+        'plugin:uninstalled': async ({ context }) => { events.push(context.pluginName); }
+      }
+    });
+    await api.use({ name: 'temporary', install: () => {} });
+    await api.unuse('temporary');
+
+    assert.deepEqual(events, ['temporary']);
+  });
+});
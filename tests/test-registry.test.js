@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ConfigurationError, ValidationError } from '../index.js';
+
+
+test('API Registry', async (t) => {
+  await t.test('should register APIs on construction', () => {
+    const api = new Api({ name: 'registry-basic' });
+    assert.equal(Api.registry.get('registry-basic'), api);
+    assert.ok(Api.registry.has('registry-basic'));
+  });
+
+  await t.test('should expose API methods on registry lookups', async () => {
+    const api = new Api({ name: 'registry-methods' });
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong'
+      }
+    });
+
+    const found = Api.registry.get('registry-methods');
+    assert.equal(await found.ping(), 'pong');
+  });
+
+  await t.test('should return undefined for unknown names', () => {
+    assert.equal(Api.registry.get('registry-missing'), undefined);
+    assert.equal(Api.registry.has('registry-missing'), false);
+  });
+
+  await t.test('should reject invalid versions', () => {
+    assert.throws(
+      () => new Api({ name: 'registry-bad-version', version: '1.0' }),
+      ConfigurationError
+    );
+    assert.throws(
+      () => new Api({ name: 'registry-bad-version', version: 1 }),
+      ConfigurationError
+    );
+  });
+
+  await t.test('should return the highest version without a range', () => {
+    const v1 = new Api({ name: 'registry-versions', version: '1.2.0' });
+    const v2 = new Api({ name: 'registry-versions', version: '2.0.0' });
+    const v15 = new Api({ name: 'registry-versions', version: '1.5.3' });
+
+    assert.equal(Api.registry.get('registry-versions'), v2);
+    assert.equal(Api.registry.get('registry-versions', '^1.0.0'), v15);
+    assert.equal(Api.registry.get('registry-versions', '~1.2'), v1);
+    assert.equal(Api.registry.get('registry-versions', '>=1.3.0 <2.0.0'), v15);
+    assert.equal(Api.registry.get('registry-versions', '1.2.0 || 2.x'), v2);
+    assert.equal(Api.registry.get('registry-versions', '3'), undefined);
+    assert.ok(Api.registry.has('registry-versions', '1.2.0'));
+    assert.equal(Api.registry.has('registry-versions', '>2.0.0'), false);
+  });
+
+  await t.test('should handle prerelease and zero-major ranges', () => {
+    const beta = new Api({ name: 'registry-pre', version: '1.0.0-beta.2' });
+    const zero = new Api({ name: 'registry-zero', version: '0.2.5' });
+
+    assert.equal(Api.registry.get('registry-pre', '>=1.0.0-beta.1'), beta);
+    assert.equal(Api.registry.get('registry-pre', '>=1.0.0'), undefined);
+    assert.equal(Api.registry.get('registry-zero', '^0.2.0'), zero);
+    assert.equal(Api.registry.get('registry-zero', '^0.1.0'), undefined);
+  });
+
+  await t.test('should only match prereleases of ranges that name their version', () => {
+    const next = new Api({ name: 'registry-next', version: '2.0.0-beta' });
+    const minor = new Api({ name: 'registry-next', version: '1.1.0-beta' });
+
+    // Between the bounds, but not opted in to
+    assert.equal(Api.registry.get('registry-next', '^1.0.0'), undefined);
+    assert.equal(Api.registry.get('registry-next', '>=1.0.0 <3.0.0'), undefined);
+    assert.equal(Api.registry.get('registry-next', '*'), undefined);
+    assert.equal(Api.registry.get('registry-next', '>=1.0.0-alpha'), undefined);
+
+    assert.equal(Api.registry.get('registry-next', '>=1.1.0-alpha'), minor);
+    assert.equal(Api.registry.get('registry-next', '^1.1.0-alpha'), minor);
+    assert.equal(Api.registry.get('registry-next', '>=2.0.0-alpha'), next);
+    assert.equal(Api.registry.get('registry-next', '^1.1.0-alpha || 2.0.0-beta'), next);
+    assert.equal(Api.registry.has('registry-next', '>=1.1.0-alpha <2.0.0'), true);
+    assert.equal(Api.registry.get('registry-next', '>=1.1.0 <2.0.0-rc'), next);
+    assert.equal(Api.registry.has('registry-next', '>=1.1.0 <2.0.0-alpha'), false);
+  });
+
+  await t.test('should only return unversioned instances without a range', () => {
+    const plain = new Api({ name: 'registry-plain' });
+    assert.equal(Api.registry.get('registry-plain'), plain);
+    assert.equal(Api.registry.get('registry-plain', '*'), undefined);
+
+    const versioned = new Api({ name: 'registry-plain', version: '0.1.0' });
+    assert.equal(Api.registry.get('registry-plain'), versioned);
+  });
+
+  await t.test('should replace an instance registered with the same name and version', () => {
+    new Api({ name: 'registry-replace', version: '1.0.0' });
+    const second = new Api({ name: 'registry-replace', version: '1.0.0' });
+    assert.equal(Api.registry.get('registry-replace', '1.0.0'), second);
+  });
+
+  await t.test('should throw on invalid ranges', () => {
+    new Api({ name: 'registry-range', version: '1.0.0' });
+    assert.throws(() => Api.registry.get('registry-range', 'not-a-range'), ValidationError);
+  });
+
+  await t.test('should list registered APIs', () => {
+    new Api({ name: 'registry-list', version: '1.0.0' });
+    new Api({ name: 'registry-list', version: '1.1.0' });
+
+    const entries = Api.registry.list().filter(entry => entry.name === 'registry-list');
+    assert.deepEqual(entries, [
+      { name: 'registry-list', version: '1.0.0' },
+      { name: 'registry-list', version: '1.1.0' }
+    ]);
+  });
+
+  await t.test('should unregister specific versions or whole names', () => {
+    new Api({ name: 'registry-remove', version: '1.0.0' });
+    const v2 = new Api({ name: 'registry-remove', version: '2.0.0' });
+    new Api({ name: 'registry-remove' });
+
+    assert.equal(Api.registry.unregister('registry-remove', '1.0.0'), true);
+    assert.equal(Api.registry.has('registry-remove', '1.x'), false);
+    assert.equal(Api.registry.get('registry-remove'), v2);
+
+    assert.equal(Api.registry.unregister('registry-remove'), true);
+    assert.equal(Api.registry.has('registry-remove'), false);
+    assert.equal(Api.registry.unregister('registry-remove'), false);
+  });
+
+  await t.test('should allow special names', () => {
+    const api = new Api({ name: '__proto__' });
+    assert.equal(Api.registry.get('__proto__'), api);
+  });
+
+  await t.test('should register subclass instances', () => {
+    class DbApi extends Api {}
+    const api = new DbApi({ name: 'registry-subclass' });
+    assert.equal(Api.registry.get('registry-subclass'), api);
+    assert.equal(DbApi.registry, Api.registry);
+  });
+});
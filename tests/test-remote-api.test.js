@@ -0,0 +1,196 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, HookedApiError, MethodError, ScopeError, TimeoutError, ValidationError, PluginDependencyError } from '../index.js';
+import { createRemoteApi } from '../remote-api.js';
+import { serve } from './http-server.js';
+
+
+/**
+ * Runs the same code against the API in-process and through a client
+ */
+const both = async (api, callback) => {
+  const { url, close } = await serve(api);
+  try {
+    return [await callback(api), await callback(createRemoteApi({ url }))];
+  } finally {
+    await close();
+  }
+};
+
+
+test('Remote API', async (t) => {
+  await t.test('should call API, scope and child scope methods like the Api does', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        ping: async () => 'pong',
+        reset: async () => {}
+      },
+      scopeMethods: { create: async ({ params, scopeName }) => ({ scopeName, ...params }) }
+    });
+    await api.addScope('users');
+    await api.addScope('users.addresses');
+
+    const [local, remote] = await both(api, async (client) => [
+      await client.ping(),
+      await client.scopes.users.create({ name: 'Ada' }),
+      await client.scopes.users.addresses.create({ name: 'Home' }),
+      await client.reset()
+    ]);
+
+    assert.deepEqual(remote, local);
+    assert.equal(remote[0], 'pong');
+    assert.deepEqual(remote[2], { scopeName: 'users.addresses', name: 'Home' });
+    assert.equal(remote[3], undefined);
+  });
+
+  await t.test('should rebuild errors as the matching subclass', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        slow: { handler: async () => new Promise(resolve => setTimeout(resolve, 100)), timeout: 10 }
+      },
+      scopeMethods: {
+        create: {
+          handler: async ({ params }) => params,
+          params: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+        }
+      }
+    });
+    await api.addScope('users');
+
+    const catchError = (promise) => promise.then(() => assert.fail('should reject'), (error) => error);
+    const [local, remote] = await both(api, async (client) => [
+      await catchError(client.scopes.users.create({})),
+      await catchError(client.slow())
+    ]);
+
+    assert.ok(remote[0] instanceof ValidationError);
+    assert.equal(remote[0].message, local[0].message);
+    assert.deepEqual(remote[0].errors, local[0].errors);
+    assert.equal(remote[0].errors[0].path, 'params.name');
+    assert.ok(remote[1] instanceof TimeoutError);
+    assert.equal(remote[1].timeout, 10);
+    assert.equal(remote[1].methodName, 'slow');
+  });
+
+  await t.test('should reject unknown scopes and methods with the server errors', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { create: async ({ params }) => params } });
+    await api.addScope('users');
+
+    const { url, close } = await serve(api);
+    const client = createRemoteApi({ url });
+    try {
+      assert.deepEqual(await client.scopes.users.create({ name: 'x' }), { name: 'x' });
+      await assert.rejects(client.scopes.posts.create({ name: 'x' }), (error) => error instanceof ScopeError && error.scopeName === 'posts');
+      await assert.rejects(client.scopes.users.archive(), MethodError);
+      await assert.rejects(client.use(), MethodError);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should send headers and use the base path', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { whoami: async ({ context }) => context.http.headers.authorization ?? null }
+    });
+
+    const { url, close } = await serve(api, { basePath: '/api' });
+    try {
+      let token = 0;
+      const client = createRemoteApi({ url: `${url}/api/`, headers: async () => ({ authorization: `Bearer ${++token}` }) });
+      assert.equal(await client.whoami(), 'Bearer 1');
+      assert.equal(await client.whoami(), 'Bearer 2');
+      assert.equal(await createRemoteApi({ url: `${url}/api`, headers: { authorization: 'Basic x' } }).whoami(), 'Basic x');
+      assert.equal(await createRemoteApi({ url: `${url}/api` }).whoami(), null);
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should abort the request with the signal', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { wait: async ({ signal }) => new Promise(resolve => signal.addEventListener('abort', resolve, { once: true })) }
+    });
+
+    const { url, close } = await serve(api);
+    try {
+      const controller = new AbortController();
+      const pending = createRemoteApi({ url }).wait({}, {}, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      await assert.rejects(pending, { name: 'AbortError' });
+    } finally {
+      await close();
+    }
+  });
+
+  await t.test('should report responses that are not transport errors', async () => {
+    const client = createRemoteApi({
+      url: 'http://example.test',
+      fetch: async () => new Response('<h1>Bad Gateway</h1>', { status: 502 })
+    });
+    await assert.rejects(client.ping(), (error) => {
+      assert.ok(error instanceof HookedApiError);
+      assert.equal(error.code, 'HTTP_ERROR');
+      assert.equal(error.status, 502);
+      return true;
+    });
+  });
+
+  await t.test('should reject successful responses whose body is not JSON', async () => {
+    const page = `<html>${'x'.repeat(200)}</html>`;
+    const responses = {
+      '/page': () => new Response(page, { status: 200 }),
+      '/empty': () => new Response('', { status: 200 }),
+      '/reset': () => new Response(null, { status: 204 })
+    };
+    const client = createRemoteApi({
+      url: 'http://example.test',
+      fetch: async (url) => responses[new URL(url).pathname]()
+    });
+
+    await assert.rejects(client.page(), (error) => {
+      assert.ok(error instanceof HookedApiError);
+      assert.equal(error.code, 'HTTP_ERROR');
+      assert.equal(error.status, 200);
+      assert.match(error.message, /status 200/);
+      assert.ok(error.message.includes(page.slice(0, 100)));
+      assert.ok(!error.message.includes(page));
+      return true;
+    });
+    assert.equal(await client.empty(), undefined);
+    assert.equal(await client.reset(), undefined);
+  });
+
+  await t.test('should not look like a promise or expose vars and helpers', async () => {
+    const client = createRemoteApi({ url: 'http://example.test' });
+    assert.equal(client.then, undefined);
+    assert.equal(client.scopes.users.then, undefined);
+    assert.equal(client.vars, undefined);
+    assert.equal(client.scopes.users.helpers, undefined);
+    assert.equal(await Promise.resolve(client), client);
+  });
+
+  await t.test('should validate its options', () => {
+    assert.throws(() => createRemoteApi({ url: '/api' }), ValidationError);
+    assert.throws(() => createRemoteApi(), ValidationError);
+    assert.throws(() => createRemoteApi({ url: 'http://example.test', headers: 'x' }), ValidationError);
+    assert.throws(() => createRemoteApi({ url: 'http://example.test', fetch: null }), ValidationError);
+  });
+
+  await t.test('should rebuild any library error from its JSON form', () => {
+    const original = new PluginDependencyError('Express', ['express'], 'HTTP endpoints');
+    const rebuilt = HookedApiError.fromJSON(JSON.parse(JSON.stringify(original)));
+
+    assert.ok(rebuilt instanceof PluginDependencyError);
+    assert.equal(rebuilt.message, original.message);
+    assert.deepEqual(rebuilt.packages, ['express']);
+
+    const unknown = HookedApiError.fromJSON({ name: 'Error', code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    assert.equal(unknown.constructor, HookedApiError);
+    assert.equal(unknown.code, 'INTERNAL_ERROR');
+  });
+});
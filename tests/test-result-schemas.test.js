@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, MethodError, ValidationError } from '../index.js';
+
+
+const publicUser = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    profile: {
+      type: 'object',
+      properties: { bio: { type: 'string' } }
+    }
+  }
+};
+
+const storedUser = {
+  id: 1,
+  name: 'Ada',
+  passwordHash: 'x1y2z3',
+  profile: { bio: 'Mathematician', internalNotes: 'vip' }
+};
+
+
+test('Result Schema Validation', async (t) => {
+  await t.test('should pass valid results through unchanged', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: { get: { handler: async () => storedUser, returns: publicUser } }
+    });
+    await api.addScope('users');
+
+    assert.equal(await api.scopes.users.get(), storedUser);
+  });
+
+  await t.test('should strip undeclared fields when asked', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: { get: { handler: async () => storedUser, returns: publicUser, stripUnknown: true } }
+    });
+    await api.addScope('users');
+
+    assert.deepEqual(await api.scopes.users.get(), { id: 1, name: 'Ada', profile: { bio: 'Mathematician' } });
+    assert.equal(storedUser.passwordHash, 'x1y2z3');
+  });
+
+  await t.test('should strip fields inside arrays', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        listUsers: {
+          handler: async () => [storedUser, { id: 2, name: 'Alan', token: 't' }],
+          returns: { type: 'array', items: publicUser },
+          stripUnknown: true
+        }
+      }
+    });
+
+    assert.deepEqual(await api.listUsers(), [
+      { id: 1, name: 'Ada', profile: { bio: 'Mathematician' } },
+      { id: 2, name: 'Alan' }
+    ]);
+  });
+
+  await t.test('should keep fields allowed by additionalProperties', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        settings: {
+          handler: async () => ({ theme: 'dark', extra: 1 }),
+          returns: { type: 'object', properties: { theme: { type: 'string' } }, additionalProperties: { type: 'integer' } },
+          stripUnknown: true
+        }
+      }
+    });
+
+    assert.deepEqual(await api.settings(), { theme: 'dark', extra: 1 });
+  });
+
+  await t.test('should throw a MethodError naming the method and scope', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: { get: { handler: async () => ({ id: '1', secret: true }), returns: { ...publicUser, additionalProperties: false } } }
+    });
+    await api.addScope('users');
+
+    await assert.rejects(api.scopes.users.get(), (error) => {
+      assert.ok(error instanceof MethodError);
+      assert.equal(error.code, 'METHOD_ERROR');
+      assert.equal(error.methodName, 'get');
+      assert.equal(error.scopeName, 'users');
+      assert.match(error.message, /Scope method 'get' on scope 'users' returned an invalid result/);
+      assert.deepEqual(error.errors.map(({ path, keyword }) => `${path}:${keyword}`).sort(), [
+        'result.id:type',
+        'result.name:required',
+        'result.secret:additionalProperties'
+      ]);
+      return true;
+    });
+  });
+
+  await t.test('should validate API method results', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { count: { handler: async () => 'many', returns: { type: 'integer', minimum: 0 } } }
+    });
+
+    await assert.rejects(api.count(), (error) => {
+      assert.ok(error instanceof MethodError);
+      assert.equal(error.scopeName, null);
+      assert.match(error.message, /API method 'count' returned an invalid result: result must be of type integer/);
+      return true;
+    });
+  });
+
+  await t.test('should check results set by lifecycle hooks', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { get: { handler: async () => ({ id: 1, name: 'Ada' }), returns: publicUser, stripUnknown: true } },
+      hooks: {
+        'method:after': async ({ context }) => { context.result = { ...context.result, cachedAt: Date.now() }; }
+      }
+    });
+
+    assert.deepEqual(await api.get(), { id: 1, name: 'Ada' });
+  });
+
+  await t.test('should apply to plugin methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'accounts',
+      install: async ({ addScopeMethod }) => {
+        await addScopeMethod('get', { handler: async () => storedUser, returns: publicUser, stripUnknown: true });
+      }
+    });
+    await api.addScope('users');
+
+    assert.equal((await api.scopes.users.get()).passwordHash, undefined);
+  });
+
+  await t.test('should validate returns definitions', async () => {
+    const api = new Api({ name: 'test' });
+    await assert.rejects(
+      api.customize({ apiMethods: { a: { handler: async () => {}, returns: { type: 'map' } } } }),
+      /invalid returns schema: returns\.type must be one of/
+    );
+    await assert.rejects(
+      api.customize({ apiMethods: { b: { handler: async () => {}, stripUnknown: true } } }),
+      ValidationError
+    );
+    await assert.rejects(
+      api.customize({ apiMethods: { c: { handler: async () => {}, returns: {}, stripUnknown: 'yes' } } }),
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,177 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ScopeError, ValidationError } from '../index.js';
+
+
+const addUsers = (api, extra = {}) => api.addScope('users', {
+  tableName: 'users',
+  softDelete: true,
+  scopeMethods: {
+    list: async ({ scopeName, vars }) => `${scopeName}:${vars.pageSize}`,
+    remove: async () => 'soft delete'
+  },
+  vars: { pageSize: 20, role: 'member' },
+  helpers: { label: (user) => user.name },
+  ...extra
+});
+
+
+test('Scope Inheritance', async (t) => {
+  await t.test('should inherit methods, vars and helpers', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users' });
+
+    assert.equal(await api.scopes.adminUsers.list(), 'adminUsers:20');
+    assert.equal(api.scopes.adminUsers.vars.role, 'member');
+    assert.equal(api.scopes.adminUsers.helpers.label({ name: 'Ada' }), 'Ada');
+  });
+
+  await t.test('should override only what differs', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', {
+      extends: 'users',
+      softDelete: false,
+      scopeMethods: { remove: async () => 'hard delete' },
+      vars: { role: 'admin' }
+    });
+
+    assert.equal(await api.scopes.adminUsers.remove(), 'hard delete');
+    assert.equal(await api.scopes.users.remove(), 'soft delete');
+    assert.equal(api.scopes.adminUsers.vars.role, 'admin');
+    assert.equal(api.scopes.users.vars.role, 'member');
+    assert.equal(api.scopes.adminUsers.vars.pageSize, 20);
+  });
+
+  await t.test('should inherit and override options', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users', softDelete: false, audit: true });
+
+    let options;
+    await api.customize({ scopeMethods: { options: async ({ scopeOptions }) => { options = scopeOptions; } } });
+    await api.scopes.adminUsers.options();
+    assert.deepEqual(options, { tableName: 'users', softDelete: false, audit: true });
+  });
+
+  await t.test('should resolve vars and helpers through the chain before globals', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ vars: { pageSize: 100, region: 'eu' }, helpers: { label: () => 'global' } });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users' });
+    await api.addScope('superAdmins', { extends: 'adminUsers', vars: { level: 3 } });
+
+    const { vars, helpers } = api.scopes.superAdmins;
+    assert.equal(vars.level, 3);
+    assert.equal(vars.pageSize, 20);
+    assert.equal(vars.region, 'eu');
+    assert.equal(helpers.label({ name: 'Ada' }), 'Ada');
+    assert.deepEqual(Object.keys(vars).sort(), ['level', 'pageSize', 'role']);
+  });
+
+  await t.test('should see later changes to the base scope', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users' });
+
+    api.scopes.users.vars.pageSize = 50;
+    api.scopes.adminUsers.vars.role = 'admin';
+    assert.equal(api.scopes.adminUsers.vars.pageSize, 50);
+    assert.equal(api.scopes.users.vars.role, 'member');
+  });
+
+  await t.test('should run inherited scope hooks unless overridden', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.customize({ scopeMethods: { save: async () => 'saved' } });
+    await addUsers(api, {
+      hooks: {
+        'method:before': async ({ scopeName }) => { calls.push(`users hook in ${scopeName}`); },
+        'method:after': async ({ scopeName }) => { calls.push(`users after in ${scopeName}`); }
+      }
+    });
+    await api.addScope('adminUsers', {
+      extends: 'users',
+      hooks: { 'method:after': async () => { calls.push('adminUsers after'); } }
+    });
+    await api.addScope('guests');
+
+    await api.scopes.adminUsers.save();
+    await api.scopes.guests.save();
+    assert.deepEqual(calls, ['users hook in adminUsers', 'adminUsers after']);
+  });
+
+  await t.test('should apply scope-restricted wrappers to extending scopes', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users' });
+    api.wrapScopeMethod('list', async ({ next }) => `[${await next()}]`, { scope: 'users' });
+
+    assert.equal(await api.scopes.adminUsers.list(), '[adminUsers:20]');
+  });
+
+  await t.test('should describe the base scope', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users', vars: { role: 'admin' } });
+
+    const [users, adminUsers] = api.describe().scopes;
+    assert.equal(Object.hasOwn(users, 'extends'), false);
+    assert.equal(adminUsers.extends, 'users');
+    assert.deepEqual(adminUsers.methods, []);
+    assert.deepEqual(adminUsers.vars, ['role']);
+  });
+
+  await t.test('should not remove a scope that is extended', async () => {
+    const api = new Api({ name: 'test' });
+    await addUsers(api);
+    await api.addScope('adminUsers', { extends: 'users' });
+
+    await assert.rejects(api.removeScope('users'), /extended by 'adminUsers'/);
+    await api.removeScope('adminUsers');
+    await api.removeScope('users');
+  });
+
+  await t.test('should remove extending scopes when unuse() removes their base', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'base',
+      install: ({ addScope }) => addScope('a', { scopeMethods: { hi: async () => 'hi' } })
+    });
+    await api.addScope('b', { extends: 'a' });
+    const removed = [];
+    api.on('scope:removed', ({ eventData }) => { removed.push(eventData.scopeName); });
+
+    await api.unuse('base');
+    assert.deepEqual(removed, ['b', 'a']);
+    assert.equal(api.scopes.b, undefined);
+
+    await api.addScope('b');
+    await api.addScope('a', { extends: 'b' });
+    assert.equal(api.scopes.a.hi, undefined);
+  });
+
+  await t.test('should reject extends cycles', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('a');
+    await api.addScope('b', { extends: 'a' });
+    // A dangling base name, as older versions could leave behind
+    api._scopes.delete('a');
+
+    await assert.rejects(api.addScope('a', { extends: 'b' }), (error) => error instanceof ScopeError && /extend each other/.test(error.message));
+    assert.equal(api.scopes.a, undefined);
+
+    // Lookups stop at a cycle instead of looping
+    api._scopes.get('b').extends = 'b';
+    assert.deepEqual(api._getScopeChain(api._scopes.get('b')).map(({ name }) => name), ['b']);
+    assert.equal(api.scopes.b.vars.missing, undefined);
+  });
+
+  await t.test('should reject unknown or invalid base scopes', async () => {
+    const api = new Api({ name: 'test' });
+    await assert.rejects(api.addScope('adminUsers', { extends: 'users' }), ScopeError);
+    await assert.rejects(api.addScope('adminUsers', { extends: 42 }), ValidationError);
+    assert.equal(api.scopes.adminUsers, undefined);
+  });
+});
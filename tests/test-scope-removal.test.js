@@ -0,0 +1,196 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, HookAggregateError, PluginError, ScopeError } from '../index.js';
+
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+
+test('Scope Removal', async (t) => {
+  await t.test('should remove the scope and its own methods, vars and helpers', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('tenant_1', {
+      scopeMethods: { report: async () => 'report' },
+      vars: { tableName: 'tenant_1_rows' },
+      helpers: { format: (row) => row }
+    });
+
+    await api.removeScope('tenant_1');
+    assert.equal(api.scopes.tenant_1, undefined);
+    assert.deepEqual(api.describe().scopes, []);
+
+    await api.addScope('tenant_1');
+    assert.equal(api.scopes.tenant_1.report, undefined);
+    assert.equal(api.scopes.tenant_1.vars.tableName, undefined);
+    assert.equal(api.scopes.tenant_1.helpers.format, undefined);
+  });
+
+  await t.test('should remove the hooks declared in the scope options', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.customize({
+      scopeMethods: { save: async () => 'saved' },
+      hooks: { 'method:before': async ({ context }) => { calls.push(`global:${context.scopeName}`); } }
+    });
+    await api.addScope('orders', {
+      hooks: { 'method:before': async () => { calls.push('orders'); } }
+    });
+
+    await api.removeScope('orders');
+    await api.addScope('orders');
+    await api.scopes.orders.save();
+
+    assert.deepEqual(calls, ['global:orders']);
+    assert.deepEqual(api.describe().hooks['method:before'].map(({ pluginName }) => pluginName), ['api-custom:test']);
+  });
+
+  await t.test('should run the scope:removed hook and event', async () => {
+    const api = new Api({ name: 'test' });
+    const seen = [];
+    await api.customize({
+      hooks: { 'scope:removed': async ({ context }) => { seen.push(['hook', context.scopeName, context.scopeOptions]); } }
+    });
+    api.on('scope:removed', ({ eventData }) => { seen.push(['event', eventData.scopeName, eventData.scopeOptions]); });
+    await api.addScope('users', { tableName: 'users' });
+
+    await api.removeScope('users');
+    assert.deepEqual(seen, [
+      ['hook', 'users', { tableName: 'users' }],
+      ['event', 'users', { tableName: 'users' }]
+    ]);
+  });
+
+  await t.test('should fire scope:removed when unuse removes plugin scopes', async () => {
+    const api = new Api({ name: 'test' });
+    const removed = [];
+    api.on('scope:removed', ({ eventData }) => { removed.push(eventData.scopeName); });
+    await api.use({ name: 'tables', install: ({ addScope }) => addScope('orders') });
+
+    await api.unuse('tables');
+    assert.deepEqual(removed, ['orders']);
+  });
+
+  await t.test('should finish unuse() before reporting a failing scope:removed hook', async () => {
+    const api = new Api({ name: 'test' });
+    const removed = [];
+    await api.customize({
+      hooks: { 'scope:removed': async ({ context }) => { throw new Error(`cannot drop ${context.scopeName}`); } }
+    });
+    api.on('scope:removed', ({ eventData }) => { removed.push(eventData.scopeName); });
+    await api.use({
+      name: 'tables',
+      install: async ({ addScope, addApiMethod }) => {
+        await addScope('orders');
+        await addScope('invoices');
+        await addApiMethod('report', async () => 'report');
+      }
+    });
+
+    await assert.rejects(api.unuse('tables'), (error) => {
+      assert.ok(error instanceof HookAggregateError);
+      assert.equal(error.errors.length, 2);
+      return true;
+    });
+    assert.deepEqual(removed, ['orders', 'invoices']);
+    assert.equal(api._installedPlugins.has('tables'), false);
+    assert.equal(api.report, undefined);
+    assert.equal(api.scopes.orders, undefined);
+  });
+
+  await t.test('should keep the install error when a scope:removed hook fails during rollback', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: { 'scope:removed': async () => { throw new Error('hook failed'); } }
+    });
+
+    await assert.rejects(api.use({
+      name: 'tables',
+      install: async ({ addScope, addApiMethod }) => {
+        await addScope('orders');
+        await addApiMethod('report', async () => 'report');
+        throw new Error('no database');
+      }
+    }), (error) => {
+      assert.ok(error instanceof PluginError);
+      assert.match(error.message, /no database/);
+      return true;
+    });
+    assert.equal(api.report, undefined);
+    assert.equal(api.scopes.orders, undefined);
+    assert.equal(api._installedPlugins.has('tables'), false);
+  });
+
+  await t.test('should throw a failing scope:removed hook error after removeScope() removed the scope', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: { 'scope:removed': async () => { throw new Error('hook failed'); } }
+    });
+    await api.addScope('orders');
+
+    await assert.rejects(api.removeScope('orders'), /hook failed/);
+    assert.equal(api.scopes.orders, undefined);
+  });
+
+  await t.test('should refuse while calls to the scope are in flight', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('reports', { scopeMethods: { build: async () => { await delay(30); return 'built'; } } });
+
+    const pending = api.scopes.reports.build();
+    await assert.rejects(api.removeScope('reports'), (error) => {
+      assert.ok(error instanceof ScopeError);
+      assert.equal(error.scopeName, 'reports');
+      assert.match(error.message, /1 method call is still running/);
+      return true;
+    });
+
+    assert.equal(await pending, 'built');
+    await api.removeScope('reports');
+    assert.equal(api.scopes.reports, undefined);
+  });
+
+  await t.test('should count failed calls as finished', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('jobs', { scopeMethods: { run: async () => { throw new Error('boom'); } } });
+
+    await assert.rejects(api.scopes.jobs.run(), /boom/);
+    await api.removeScope('jobs');
+  });
+
+  await t.test('should warn and remove in-flight scopes with force', async () => {
+    const warnings = [];
+    const logger = { log: () => {}, error: () => {}, warn: (message) => { warnings.push(message); } };
+    const api = new Api({ name: 'test', logging: { logger } });
+    await api.addScope('reports', {
+      scopeMethods: { build: async ({ vars }) => { await delay(20); return vars.format; } },
+      vars: { format: 'pdf' }
+    });
+
+    const pending = api.scopes.reports.build();
+    await api.removeScope('reports', { force: true });
+
+    assert.equal(api.scopes.reports, undefined);
+    assert.equal(await pending, 'pdf');
+    assert.match(warnings[0], /Removing scope 'reports' with 1 method call still running/);
+  });
+
+  await t.test('should not let unuse remove a scope re-added after removal', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({ name: 'tables', install: ({ addScope }) => addScope('orders') });
+    await api.removeScope('orders');
+    await api.addScope('orders', { owner: 'app' });
+
+    await api.unuse('tables');
+    assert.deepEqual(api.describe().scopes.map(({ name, pluginName }) => [name, pluginName]), [['orders', null]]);
+  });
+
+  await t.test('should throw a ScopeError for unknown scopes', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users');
+
+    await assert.rejects(api.removeScope('posts'), (error) => {
+      assert.ok(error instanceof ScopeError);
+      assert.deepEqual(error.availableScopes, ['users']);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, ScopeError, ValidationError } from '../index.js';
+
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+
+test('Scope Renaming', async (t) => {
+  await t.test('should move methods, vars, helpers and options to the new name', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { info: async ({ scopeName, scopeOptions }) => [scopeName, scopeOptions.tableName] } });
+    await api.addScope('tenant_42', {
+      tableName: 'rows_42',
+      scopeMethods: { report: async ({ vars, helpers }) => helpers.format(vars.title) },
+      vars: { title: 'Report' },
+      helpers: { format: (text) => `# ${text}` }
+    });
+
+    await api.renameScope('tenant_42', 'acme');
+
+    assert.equal(api.scopes.tenant_42, undefined);
+    assert.equal(await api.scopes.acme.report(), '# Report');
+    assert.deepEqual(await api.scopes.acme.info(), ['acme', 'rows_42']);
+    assert.deepEqual(api.describe().scopes.map(({ name, methods }) => [name, methods.map(({ pluginName }) => pluginName)]), [['acme', ['scope-custom:acme']]]);
+  });
+
+  await t.test('should move the hooks declared in the scope options', async () => {
+    const api = new Api({ name: 'test' });
+    const calls = [];
+    await api.customize({ scopeMethods: { save: async () => 'saved' } });
+    await api.addScope('orders', {
+      hooks: { 'method:before': async ({ context }) => { calls.push(`orders hook in ${context.scopeName}`); } }
+    });
+
+    await api.renameScope('orders', 'purchases');
+    await api.addScope('orders');
+    await api.scopes.orders.save();
+    await api.scopes.purchases.save();
+
+    assert.deepEqual(calls, ['orders hook in purchases']);
+    assert.deepEqual(api.describe().hooks['method:before'].map(({ pluginName, scopeName }) => [pluginName, scopeName]), [['scope-custom:purchases', 'purchases']]);
+  });
+
+  await t.test('should rename child scopes and follow extends', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { where: async ({ scopeName, parentScopeName }) => [scopeName, parentScopeName] } });
+    await api.addScope('projects', { vars: { pageSize: 20 } });
+    await api.addScope('projects.tasks', { scopeMethods: { count: async () => 3 } });
+    await api.addScope('archivedTasks', { extends: 'projects.tasks' });
+    api.wrapScopeMethod('count', async ({ next }) => (await next()) * 10, { scope: 'projects.tasks' });
+
+    await api.renameScope('projects', 'boards');
+
+    assert.equal(api.scopes.projects, undefined);
+    assert.deepEqual(await api.scopes.boards.tasks.where(), ['boards.tasks', 'boards']);
+    assert.equal(api.scopes.boards.tasks.vars.pageSize, 20);
+    assert.equal(await api.scopes.archivedTasks.count(), 30);
+    assert.equal(api.describe().scopes.find(({ name }) => name === 'archivedTasks').extends, 'boards.tasks');
+  });
+
+  await t.test('should make a scope a child of another one', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users');
+    await api.addScope('addresses', { scopeMethods: { list: async ({ scopeName }) => scopeName } });
+
+    await api.renameScope('addresses', 'users.addresses');
+    assert.equal(await api.scopes.users.addresses.list(), 'users.addresses');
+    assert.equal(api.scopes.addresses, undefined);
+  });
+
+  await t.test('should keep the scope owned by its plugin', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({ name: 'tables', install: ({ addScope }) => addScope('orders') });
+
+    await api.renameScope('orders', 'purchases');
+    assert.equal(api.describe().scopes[0].pluginName, 'tables');
+
+    await api.unuse('tables');
+    assert.equal(api.scopes.purchases, undefined);
+  });
+
+  await t.test('should run the scope:renamed hook and event for every renamed scope', async () => {
+    const api = new Api({ name: 'test' });
+    const seen = [];
+    await api.customize({
+      hooks: { 'scope:renamed': async ({ context }) => { seen.push(['hook', context.previousScopeName, context.scopeName]); } }
+    });
+    api.on('scope:renamed', ({ eventData }) => { seen.push(['event', eventData.previousScopeName, eventData.scopeName]); });
+    await api.addScope('projects');
+    await api.addScope('projects.tasks');
+
+    await api.renameScope('projects', 'boards');
+    assert.deepEqual(seen, [
+      ['hook', 'projects', 'boards'],
+      ['event', 'projects', 'boards'],
+      ['hook', 'projects.tasks', 'boards.tasks'],
+      ['event', 'projects.tasks', 'boards.tasks']
+    ]);
+  });
+
+  await t.test('should throw a failing scope:renamed hook error after renaming', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ hooks: { 'scope:renamed': async () => { throw new Error('hook failed'); } } });
+    await api.addScope('orders');
+
+    await assert.rejects(api.renameScope('orders', 'purchases'), /hook failed/);
+    assert.ok(api.scopes.purchases);
+    assert.equal(api.scopes.orders, undefined);
+  });
+
+  await t.test('should refuse while calls to the scope or its children are in flight', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('reports');
+    await api.addScope('reports.daily', { scopeMethods: { build: async () => { await delay(20); return 'built'; } } });
+
+    const pending = api.scopes.reports.daily.build();
+    await assert.rejects(api.renameScope('reports', 'stats'), /'reports.daily'/);
+    assert.equal(await pending, 'built');
+
+    await api.renameScope('reports', 'stats');
+    assert.equal(await api.scopes.stats.daily.build(), 'built');
+  });
+
+  await t.test('should validate the names', async () => {
+    const api = new Api({ name: 'test' });
+    await api.addScope('users');
+    await api.addScope('posts');
+
+    await assert.rejects(api.renameScope('comments', 'notes'), ScopeError);
+    await assert.rejects(api.renameScope('users', 'posts'), ScopeError);
+    await assert.rejects(api.renameScope('users', 'users.archive'), ScopeError);
+    await assert.rejects(api.renameScope('users', 'groups.users'), ScopeError);
+    await assert.rejects(api.renameScope('users', 'not valid'), ValidationError);
+    await assert.rejects(api.renameScope('users', '__proto__'), ValidationError);
+    assert.deepEqual(api.describe().scopes.map(({ name }) => name), ['users', 'posts']);
+  });
+});
@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, MethodError, ScopeError, ValidationError } from '../index.js';
+
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tables = {
+  orders: { columns: ['id', 'total'] },
+  customers: { columns: ['id', 'name'] }
+};
+
+const createApi = async (resolverOptions) => {
+  const api = new Api({ name: 'test' });
+  const asked = [];
+  await api.customize({
+    scopeMethods: { columns: async ({ scopeOptions }) => scopeOptions.columns }
+  });
+  api.setScopeResolver(async (name) => {
+    asked.push(name);
+    await delay(5);
+    return tables[name] ?? null;
+  }, resolverOptions);
+  return { api, asked };
+};
+
+
+test('Scope Resolver', async (t) => {
+  await t.test('should create scopes on first use', async () => {
+    const { api, asked } = await createApi();
+
+    assert.deepEqual(await api.scopes.orders.columns(), ['id', 'total']);
+    assert.deepEqual(await api.scopes.orders.columns(), ['id', 'total']);
+    assert.deepEqual(asked, ['orders']);
+    assert.deepEqual(api.describe().scopes.map(({ name }) => name), ['orders']);
+  });
+
+  await t.test('should create a scope once for concurrent first calls', async () => {
+    const { api, asked } = await createApi();
+    const added = [];
+    api.on('scope:added', ({ eventData }) => { added.push(eventData.scopeName); });
+
+    const results = await Promise.all([
+      api.scopes.customers.columns(),
+      api.scopes.customers.columns(),
+      api.resolveScope('customers')
+    ]);
+
+    assert.deepEqual(results.slice(0, 2), [['id', 'name'], ['id', 'name']]);
+    assert.deepEqual(asked, ['customers']);
+    assert.deepEqual(added, ['customers']);
+  });
+
+  await t.test('should throw a ScopeError for names the resolver does not know', async () => {
+    const { api, asked } = await createApi();
+
+    await assert.rejects(api.scopes.invoices.columns(), (error) => {
+      assert.ok(error instanceof ScopeError);
+      assert.equal(error.scopeName, 'invoices');
+      return true;
+    });
+    await assert.rejects(api.scopes.invoices.columns(), ScopeError);
+    assert.deepEqual(asked, ['invoices', 'invoices']);
+  });
+
+  await t.test('should cache misses when asked to', async () => {
+    const { api, asked } = await createApi({ cacheMisses: true });
+
+    await assert.rejects(api.scopes.invoices.columns(), ScopeError);
+    assert.equal(api.scopes.invoices, undefined);
+    assert.equal(await api.resolveScope('invoices'), undefined);
+    assert.deepEqual(asked, ['invoices']);
+  });
+
+  await t.test('should expire cached misses', async () => {
+    const { api, asked } = await createApi({ cacheMisses: 20 });
+
+    assert.equal(await api.resolveScope('invoices'), undefined);
+    assert.equal(await api.resolveScope('invoices'), undefined);
+    await delay(30);
+    assert.equal(await api.resolveScope('invoices'), undefined);
+    assert.deepEqual(asked, ['invoices', 'invoices']);
+  });
+
+  await t.test('should give access to vars once resolved', async () => {
+    const api = new Api({ name: 'test' });
+    api.setScopeResolver(async (name) => ({ vars: { tableName: `t_${name}` } }));
+
+    assert.equal(api.scopes.orders.vars, undefined);
+    const orders = await api.resolveScope('orders');
+    assert.equal(orders.vars.tableName, 't_orders');
+    assert.equal(api.scopes.orders.vars.tableName, 't_orders');
+  });
+
+  await t.test('should not cache resolver errors', async () => {
+    const api = new Api({ name: 'test' });
+    let failing = true;
+    await api.customize({ scopeMethods: { ping: async () => 'pong' } });
+    api.setScopeResolver(async () => {
+      if (failing) throw new Error('database unavailable');
+      return {};
+    });
+
+    await assert.rejects(api.scopes.orders.ping(), /database unavailable/);
+    failing = false;
+    assert.equal(await api.scopes.orders.ping(), 'pong');
+  });
+
+  await t.test('should report unknown methods of resolved scopes', async () => {
+    const { api } = await createApi();
+    await assert.rejects(api.scopes.orders.archive(), (error) => {
+      assert.ok(error instanceof MethodError);
+      assert.equal(error.methodName, 'archive');
+      return true;
+    });
+  });
+
+  await t.test('should pass the signal through to resolved scope methods', async () => {
+    const api = new Api({ name: 'test' });
+    let seen;
+    await api.customize({
+      scopeMethods: { inspect: async ({ signal }) => { seen = signal; } },
+      apiMethods: { run: async ({ scopes }) => scopes.orders.inspect() }
+    });
+    api.setScopeResolver(async () => ({}));
+
+    const controller = new AbortController();
+    await api.run({}, {}, { signal: controller.signal });
+    assert.equal(seen, controller.signal);
+  });
+
+  await t.test('should leave existing scopes and unresolvable names alone', async () => {
+    const { api, asked } = await createApi();
+    await api.addScope('orders', { columns: ['manual'] });
+
+    assert.deepEqual(await api.scopes.orders.columns(), ['manual']);
+    assert.equal(api.scopes['orders.items'], undefined);
+    assert.equal(api.scopes.__proto__, undefined);
+    assert.deepEqual(asked, []);
+  });
+
+  await t.test('should keep the in operator to scopes that exist', async () => {
+    const { api, asked } = await createApi();
+
+    assert.ok(api.scopes.orders);
+    assert.equal('orders' in api.scopes, false);
+    await api.scopes.orders.columns();
+    assert.equal('orders' in api.scopes, true);
+    assert.equal('__proto__' in api.scopes, false);
+    assert.deepEqual(asked, ['orders']);
+  });
+
+  await t.test('should stop resolving when the resolver is removed', async () => {
+    const { api } = await createApi();
+    api.setScopeResolver(null);
+    assert.equal(api.scopes.orders, undefined);
+  });
+
+  await t.test('should validate the resolver and its options', async () => {
+    const api = new Api({ name: 'test' });
+    assert.throws(() => api.setScopeResolver('orders'), ValidationError);
+    assert.throws(() => api.setScopeResolver(async () => null, { cacheMisses: -1 }), ValidationError);
+
+    api.setScopeResolver(async () => 'orders');
+    await assert.rejects(api.resolveScope('orders'), ValidationError);
+  });
+});
@@ -0,0 +1,189 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Api, HookAggregateError, HookedApiError, TimeoutError, ValidationError } from '../index.js';
+
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const hang = () => new Promise(resolve => setTimeout(resolve, 200));
+
+
+test('Hook and Method Timeouts', async (t) => {
+  await t.test('should time out a single hook handler', async () => {
+    const api = new Api({ name: 'test' });
+    let nextRan = false;
+    await api.use({
+      name: 'slow-plugin',
+      install: ({ addHook }) => {
+        addHook('afterSave', 'stuck', { timeout: 20 }, hang);
+        addHook('afterSave', 'next', {}, async () => { nextRan = true; });
+      }
+    });
+
+    await assert.rejects(api.runHooks('afterSave', {}), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.ok(error instanceof HookedApiError);
+      assert.equal(error.code, 'TIMEOUT_ERROR');
+      assert.equal(error.hookName, 'afterSave');
+      assert.equal(error.pluginName, 'slow-plugin');
+      assert.equal(error.functionName, 'stuck');
+      assert.equal(error.timeout, 20);
+      return true;
+    });
+    assert.equal(nextRan, false);
+  });
+
+  await t.test('should not affect handlers finishing in time', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: { afterSave: { handler: async ({ context }) => { await delay(5); context.done = true; }, timeout: 100 } }
+    });
+
+    const context = {};
+    assert.equal(await api.runHooks('afterSave', context), true);
+    assert.equal(context.done, true);
+  });
+
+  await t.test('should time out a whole chain and name the running handler', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'chain',
+      install: ({ addHook }) => {
+        addHook('afterSave', 'first', {}, () => delay(15));
+        addHook('afterSave', 'second', {}, () => delay(15));
+        addHook('afterSave', 'third', {}, hang);
+      }
+    });
+
+    await assert.rejects(api.runHooks('afterSave', {}, { timeout: 50 }), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.equal(error.hookName, 'afterSave');
+      assert.equal(error.functionName, 'third');
+      assert.equal(error.pluginName, 'chain');
+      assert.equal(error.timeout, 50);
+      return true;
+    });
+  });
+
+  await t.test('should apply chain timeouts set with configureHook', async () => {
+    const api = new Api({ name: 'test' });
+    api.configureHook('afterSave', { timeout: 20 });
+    await api.customize({ hooks: { afterSave: hang } });
+
+    await assert.rejects(api.runHooks('afterSave', {}), TimeoutError);
+    assert.equal(await api.runHooks('afterSave', {}, { timeout: null }), true);
+  });
+
+  await t.test('should collect handler timeouts in parallel mode', async () => {
+    const api = new Api({ name: 'test' });
+    await api.use({
+      name: 'fan-out',
+      install: ({ addHook }) => {
+        addHook('notify', 'fast', {}, () => delay(5));
+        addHook('notify', 'slow', { timeout: 20 }, hang);
+      }
+    });
+
+    await assert.rejects(api.runHooks('notify', {}, { mode: 'parallel' }), (error) => {
+      assert.ok(error instanceof HookAggregateError);
+      assert.ok(error.errors[0] instanceof TimeoutError);
+      assert.equal(error.failures[0].functionName, 'slow');
+      return true;
+    });
+  });
+
+  await t.test('should time out API methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        fetchRemote: { handler: hang, timeout: 20 },
+        quick: { handler: async () => 'ok', timeout: 100 }
+      }
+    });
+
+    assert.equal(await api.quick(), 'ok');
+    await assert.rejects(api.fetchRemote(), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.equal(error.methodName, 'fetchRemote');
+      assert.equal(error.scopeName, null);
+      return true;
+    });
+  });
+
+  await t.test('should include lifecycle hooks in method timeouts', async () => {
+    const api = new Api({ name: 'test' });
+    let handlerCalled = false;
+    await api.use({
+      name: 'slow-audit',
+      install: async ({ addApiMethod, addHook }) => {
+        await addApiMethod('save', { handler: async () => { handlerCalled = true; }, timeout: 20 });
+        addHook('method:before', 'audit', {}, hang);
+      }
+    });
+
+    await assert.rejects(api.save(), TimeoutError);
+    assert.equal(handlerCalled, false);
+  });
+
+  await t.test('should time out scope methods and let error hooks see it', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: { list: { handler: hang, timeout: 20 } },
+      hooks: {
+        'method:error': async ({ context }) => {
+          if (context.error instanceof TimeoutError) {
+            delete context.error;
+            context.result = [];
+          }
+        }
+      }
+    });
+    await api.addScope('users', {
+      scopeMethods: { get: { handler: hang, timeout: 20 } }
+    });
+
+    assert.deepEqual(await api.scopes.users.list(), []);
+    assert.deepEqual(await api.scopes.users.get(), []);
+  });
+
+  await t.test('should name the scope in scope method timeouts', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { list: { handler: hang, timeout: 20 } } });
+    await api.addScope('users');
+
+    await assert.rejects(api.scopes.users.list(), (error) => {
+      assert.equal(error.methodName, 'list');
+      assert.equal(error.scopeName, 'users');
+      return true;
+    });
+  });
+
+  await t.test('should keep method:api:added handler replacements', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      hooks: {
+        'method:api:added': async ({ context }) => {
+          const original = context.handler;
+          context.handler = async (params) => `wrapped:${await original(params)}`;
+        }
+      }
+    });
+    await api.customize({ apiMethods: { ping: { handler: async () => 'pong', timeout: 100 } } });
+
+    assert.equal(await api.ping(), 'wrapped:pong');
+  });
+
+  await t.test('should validate timeouts', async () => {
+    const api = new Api({ name: 'test' });
+    await assert.rejects(
+      api.customize({ hooks: { afterSave: { handler: async () => {}, timeout: 0 } } }),
+      ValidationError
+    );
+    await assert.rejects(
+      api.customize({ apiMethods: { ping: { handler: async () => {}, timeout: 'soon' } } }),
+      ValidationError
+    );
+    await assert.rejects(api.customize({ apiMethods: { ping: { timeout: 10 } } }), ValidationError);
+    assert.throws(() => api.configureHook('afterSave', { timeout: -5 }), ValidationError);
+    await assert.rejects(api.runHooks('afterSave', {}, { timeout: Infinity }), ValidationError);
+  });
+});
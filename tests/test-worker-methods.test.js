@@ -0,0 +1,283 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { threadId } from 'node:worker_threads';
+import { pathToFileURL } from 'node:url';
+import { Api, ValidationError, WorkerError } from '../index.js';
+import { errorStatus } from '../http-transport.js';
+import { toJsonRpcError, JsonRpcErrorCode } from '../json-rpc.js';
+import { exitCodeFor, ExitCode } from '../cli.js';
+
+
+const indexUrl = new URL('../index.js', import.meta.url).href;
+
+const workerModule = `
+import { threadId } from 'node:worker_threads';
+import { ValidationError } from ${JSON.stringify(indexUrl)};
+
+export default async ({ params, name, scopeName, scopeOptions, parentScopeNames }) => ({
+  sum: params.numbers.reduce((total, n) => total + n, 0),
+  threadId,
+  name,
+  scopeName,
+  scopeOptions,
+  parentScopeNames
+});
+
+export const check = async ({ params }) => {
+  if (params.value < 0) {
+    throw new ValidationError('value must not be negative', { field: 'value', value: params.value });
+  }
+  return params.value;
+};
+
+export const crash = async () => {
+  const error = new RangeError('out of range');
+  error.detail = 'ignored';
+  throw error;
+};
+
+export const sleep = async ({ params }) => {
+  await new Promise(resolve => setTimeout(resolve, params.ms));
+  return threadId;
+};
+
+export const spin = async () => {
+  for (;;);
+};
+
+export const unclonable = async () => () => {};
+`;
+
+let dir;
+let moduleUrl;
+
+test.before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'hooked-api-workers-'));
+  await writeFile(path.join(dir, 'work.mjs'), workerModule);
+  moduleUrl = pathToFileURL(path.join(dir, 'work.mjs'));
+});
+
+test.after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+
+test('Worker Methods', async (t) => {
+  await t.test('should run the handler in a worker thread with plain handler params', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { total: { runIn: 'worker', module: moduleUrl } } });
+    await api.addScope('reports', { region: 'eu' });
+    await api.addScope('reports.daily');
+    try {
+      const result = await api.scopes.reports.daily.total({ numbers: [1, 2, 3] });
+      assert.equal(result.sum, 6);
+      assert.notEqual(result.threadId, threadId);
+      assert.equal(result.name, 'total');
+      assert.equal(result.scopeName, 'reports.daily');
+      assert.deepEqual(result.parentScopeNames, ['reports']);
+
+      const parent = await api.scopes.reports.total({ numbers: [] });
+      assert.deepEqual(parent.scopeOptions, { region: 'eu' });
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should accept an absolute path and run API methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: { total: { runIn: 'worker', module: path.join(dir, 'work.mjs') } }
+    });
+    try {
+      const result = await api.total({ numbers: [4, 5] });
+      assert.equal(result.sum, 9);
+      assert.equal(result.scopeName, null);
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should run hooks and schemas in the main thread', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: {
+        check: {
+          runIn: 'worker',
+          module: moduleUrl,
+          exportName: 'check',
+          params: { type: 'object', required: ['value'], properties: { value: { type: 'number' } } }
+        }
+      }
+    });
+    await api.addScope('reports');
+    const seen = [];
+    await api.customize({
+      hooks: {
+        'method:before': async ({ context }) => { seen.push(['before', threadId, context.params.value]); },
+        'method:after': async ({ context }) => { seen.push(['after', threadId, context.result]); }
+      }
+    });
+    try {
+      assert.equal(await api.scopes.reports.check({ value: 2 }), 2);
+      assert.deepEqual(seen, [['before', threadId, 2], ['after', threadId, 2]]);
+      await assert.rejects(api.scopes.reports.check({ value: 'two' }), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.errors[0].path, 'params.value');
+        return true;
+      });
+      assert.equal(seen.length, 2);
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should rethrow worker errors with their class', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: {
+        check: { runIn: 'worker', module: moduleUrl, exportName: 'check' },
+        crash: { runIn: 'worker', module: moduleUrl, exportName: 'crash' },
+        missing: { runIn: 'worker', module: moduleUrl, exportName: 'missing' }
+      }
+    });
+    await api.addScope('reports');
+    try {
+      await assert.rejects(api.scopes.reports.check({ value: -1 }), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.field, 'value');
+        assert.equal(error.value, -1);
+        assert.match(error.stack, /work\.mjs/);
+        return true;
+      });
+      await assert.rejects(api.scopes.reports.crash(), (error) => {
+        assert.equal(error.name, 'RangeError');
+        assert.equal(error.message, 'out of range');
+        assert.match(error.stack, /work\.mjs/);
+        return true;
+      });
+      await assert.rejects(api.scopes.reports.missing(), (error) => {
+        assert.ok(error instanceof WorkerError);
+        assert.equal(error.methodName, 'missing');
+        assert.equal(error.scopeName, 'reports');
+        return true;
+      });
+      assert.equal(await api.scopes.reports.check({ value: 1 }), 1);
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should reject params and results that cannot be cloned', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      scopeMethods: {
+        check: { runIn: 'worker', module: moduleUrl, exportName: 'check' },
+        unclonable: { runIn: 'worker', module: moduleUrl, exportName: 'unclonable' }
+      }
+    });
+    await api.addScope('reports');
+    try {
+      await assert.rejects(api.scopes.reports.check({ value: () => 1 }), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.field, 'params');
+        return true;
+      });
+      await assert.rejects(api.scopes.reports.unclonable(), WorkerError);
+      assert.equal(await api.scopes.reports.check({ value: 3 }), 3);
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should stop a running handler when the signal aborts', async () => {
+    const api = new Api({ name: 'test', workers: { size: 1 } });
+    await api.customize({
+      scopeMethods: {
+        spin: { runIn: 'worker', module: moduleUrl, exportName: 'spin' },
+        check: { runIn: 'worker', module: moduleUrl, exportName: 'check' }
+      }
+    });
+    await api.addScope('reports');
+    try {
+      const controller = new AbortController();
+      const pending = api.scopes.reports.spin({}, {}, { signal: controller.signal });
+      setTimeout(() => controller.abort(new Error('stop')), 50);
+      await assert.rejects(pending, { message: 'stop' });
+      assert.equal(await api.scopes.reports.check({ value: 5 }), 5);
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should queue calls beyond the pool size', async () => {
+    const api = new Api({ name: 'test', workers: { size: 2 } });
+    await api.customize({
+      scopeMethods: {
+        sleep: { runIn: 'worker', module: moduleUrl, exportName: 'sleep' }
+      }
+    });
+    await api.addScope('reports');
+    try {
+      const threads = await Promise.all([1, 2, 3, 4, 5].map(() => api.scopes.reports.sleep({ ms: 20 })));
+      assert.equal(new Set(threads).size, 2);
+      assert.ok(!threads.includes(threadId));
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should report missing exports and unclonable results as server faults', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({
+      apiMethods: {
+        missing: { runIn: 'worker', module: moduleUrl, exportName: 'missing' },
+        unclonable: { runIn: 'worker', module: moduleUrl, exportName: 'unclonable' }
+      }
+    });
+    try {
+      for (const method of ['missing', 'unclonable']) {
+        const error = await api[method]().catch(error => error);
+        assert.ok(error instanceof WorkerError, method);
+        assert.equal(errorStatus(error), 500, method);
+        assert.equal(toJsonRpcError(error).code, JsonRpcErrorCode.INTERNAL_ERROR, method);
+        assert.equal(exitCodeFor(error), ExitCode.SOFTWARE, method);
+      }
+    } finally {
+      await api.closeWorkers();
+    }
+  });
+
+  await t.test('should describe worker methods', async () => {
+    const api = new Api({ name: 'test' });
+    await api.customize({ scopeMethods: { total: { runIn: 'worker', module: moduleUrl, timeout: 1000 } } });
+    const [total] = api.describe().scopeMethods;
+    assert.deepEqual(total, {
+      name: 'total',
+      pluginName: 'api-custom:test',
+      runIn: 'worker',
+      module: moduleUrl.href,
+      exportName: 'default',
+      timeout: 1000
+    });
+    await api.closeWorkers();
+  });
+
+  await t.test('should validate worker options', async () => {
+    const api = new Api({ name: 'test' });
+    const define = (definition) => api.customize({ scopeMethods: { method: definition } });
+    await assert.rejects(define({ runIn: 'thread', module: moduleUrl }), { field: 'runIn' });
+    await assert.rejects(define({ runIn: 'worker', module: moduleUrl, handler: async () => {} }), { field: 'handler' });
+    await assert.rejects(define({ runIn: 'worker', module: './work.mjs' }), { field: 'module' });
+    await assert.rejects(define({ runIn: 'worker' }), { field: 'module' });
+    await assert.rejects(define({ runIn: 'worker', module: moduleUrl, exportName: '' }), { field: 'exportName' });
+    assert.throws(() => new Api({ name: 'bad', workers: { size: 0 } }), { code: 'CONFIGURATION_ERROR' });
+
+    await define({ runIn: 'main', handler: async () => 'main' });
+    await api.addScope('reports');
+    assert.equal(await api.scopes.reports.method(), 'main');
+    await api.closeWorkers();
+  });
+});
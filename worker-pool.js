@@ -0,0 +1,190 @@
+/**
+ * Worker thread pool for methods defined with runIn: 'worker'
+ *
+ * Loaded by index.js the first time such a method is called. Each worker
+ * runs one task at a time; tasks wait in a queue while every worker is busy.
+ * Idle workers are unref'd, so an idle pool doesn't keep the process alive.
+ *
+ * Tasks are { module, exportName, handlerParams }: worker-thread.js imports the
+ * module and calls the export with handlerParams. run() resolves with the
+ * worker's answer, { result } or { error }, and leaves its interpretation to
+ * the caller.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+
+const WORKER_URL = new URL('./worker-thread.js', import.meta.url);
+
+export class WorkerPool {
+  /**
+   * @param {number|null} [size] - Most workers running at once; defaults to
+   *   the number of CPUs minus one (at least 1)
+   */
+  constructor(size = null) {
+    this.size = size ?? Math.max(1, availableParallelism() - 1);
+
+    /** Every live worker */
+    this._workers = new Set();
+
+    /** Workers waiting for a task */
+    this._idle = [];
+
+    /** Task entry each busy worker is running: Map<Worker, entry> */
+    this._running = new Map();
+
+    /** Task entries waiting for a worker, oldest first */
+    this._queue = [];
+  }
+
+  /**
+   * Runs a task in a worker
+   *
+   * @param {Object} task - { module, exportName, handlerParams }, structured-cloned to the worker
+   * @param {AbortSignal|null} [signal] - Aborting rejects with signal.reason; a running
+   *   task is stopped by terminating its worker
+   * @returns {Promise<Object>} The worker's answer: { result } or { error }
+   * @throws {DOMException} DataCloneError if the task can't be sent to a worker
+   */
+  run(task, signal = null) {
+    signal?.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, signal, worker: null, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => this._abort(entry);
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this._queue.push(entry);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Terminates every worker
+   * Running tasks reject with the worker exit error, queued ones with "Worker pool closed"
+   */
+  async close() {
+    for (const entry of this._queue.splice(0)) {
+      this._settle(entry, () => entry.reject(new Error('Worker pool closed')));
+    }
+    await Promise.all(Array.from(this._workers, worker => worker.terminate()));
+  }
+
+  /**
+   * Gives queued tasks to idle workers, starting new workers up to the size
+   *
+   * @private
+   */
+  _dispatch() {
+    while (this._queue.length > 0) {
+      let worker = this._idle.pop();
+      if (!worker) {
+        if (this._workers.size >= this.size) return;
+        worker = this._spawn();
+      }
+      this._start(worker, this._queue.shift());
+    }
+  }
+
+  /**
+   * @private
+   */
+  _spawn() {
+    const worker = new Worker(WORKER_URL);
+    worker.unref();
+    worker.on('message', (answer) => this._complete(worker, answer));
+    worker.on('error', (error) => this._discard(worker, error));
+    worker.on('exit', (code) => this._discard(worker, new Error(`Worker stopped with exit code ${code}`)));
+    this._workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * @private
+   */
+  _start(worker, entry) {
+    entry.worker = worker;
+    this._running.set(worker, entry);
+    worker.ref();
+    try {
+      worker.postMessage(entry.task);
+    } catch (error) {
+      // The task can't be cloned; the worker is still fine
+      this._release(worker);
+      this._settle(entry, () => entry.reject(error));
+    }
+  }
+
+  /**
+   * A worker answered: settle its task and give it the next one
+   *
+   * @private
+   */
+  _complete(worker, answer) {
+    const entry = this._running.get(worker);
+    this._release(worker);
+    if (entry) {
+      this._settle(entry, () => entry.resolve(answer));
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Puts a worker back in the idle list
+   *
+   * @private
+   */
+  _release(worker) {
+    this._running.delete(worker);
+    worker.unref();
+    this._idle.push(worker);
+  }
+
+  /**
+   * A worker failed or exited: forget it and reject the task it was running
+   *
+   * @private
+   */
+  _discard(worker, error) {
+    if (!this._workers.delete(worker)) return;
+    this._idle = this._idle.filter(idle => idle !== worker);
+    const entry = this._running.get(worker);
+    this._running.delete(worker);
+    if (entry) {
+      this._settle(entry, () => entry.reject(error));
+    }
+    this._dispatch();
+  }
+
+  /**
+   * The task's signal was aborted
+   * A queued task is dropped; a running one is stopped with its worker
+   *
+   * @private
+   */
+  _abort(entry) {
+    const index = this._queue.indexOf(entry);
+    if (index !== -1) {
+      this._queue.splice(index, 1);
+    } else if (entry.worker && this._running.get(entry.worker) === entry) {
+      const { worker } = entry;
+      this._running.delete(worker);
+      this._workers.delete(worker);
+      worker.terminate();
+      this._dispatch();
+    } else {
+      return;
+    }
+    this._settle(entry, () => entry.reject(entry.signal.reason));
+  }
+
+  /**
+   * Settles a task once, removing its abort listener
+   *
+   * @private
+   */
+  _settle(entry, settle) {
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    settle();
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Entry point of the threads started by worker-pool.js
+ *
+ * Receives { module, exportName, handlerParams }, imports the module (once per
+ * worker), calls the export with handlerParams and answers with { result } or
+ * { error }. Errors are sent in their JSON form so that the main thread can
+ * rebuild them with the right class:
+ * - { hooked: true, data: error.toJSON(), stack } for HookedApiErrors
+ * - { hooked: false, name, message, stack } for other errors
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { isAbsolute } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { WorkerError } from './index.js';
+
+/** Imported modules: Map<module, Promise<namespace>> */
+const modules = new Map();
+
+const loadHandler = async (module, exportName, methodName, scopeName) => {
+  const url = isAbsolute(module) ? pathToFileURL(module).href : module;
+  if (!modules.has(url)) {
+    const loading = import(url);
+    modules.set(url, loading);
+    loading.catch(() => modules.delete(url));
+  }
+  const handler = (await modules.get(url))[exportName];
+  if (typeof handler !== 'function') {
+    throw new WorkerError(
+      `Worker method '${methodName}': export '${exportName}' of ${url} is not a function`,
+      { methodName, scopeName, module: url, suggestion: `Export the handler as '${exportName}', or set exportName in the method definition` }
+    );
+  }
+  return handler;
+};
+
+/**
+ * HookedApiErrors are recognized by shape, so that errors from another copy
+ * of the library (imported by the worker module) are kept too
+ */
+const serializeError = (error) => {
+  if (error instanceof Error && typeof error.toJSON === 'function' && typeof error.code === 'string') {
+    return { hooked: true, data: error.toJSON(), stack: error.stack };
+  }
+  return {
+    hooked: false,
+    name: error?.name ?? 'Error',
+    message: error?.message ?? String(error),
+    stack: error?.stack
+  };
+};
+
+parentPort.on('message', async ({ module, exportName, handlerParams }) => {
+  let answer;
+  try {
+    const handler = await loadHandler(module, exportName, handlerParams.name, handlerParams.scopeName);
+    answer = { result: await handler(handlerParams) };
+  } catch (error) {
+    answer = { error: serializeError(error) };
+  }
+
+  try {
+    parentPort.postMessage(answer);
+  } catch (error) {
+    const problem = new WorkerError(
+      `Result of worker method '${handlerParams.name}' can't be sent to the main thread: ${error.message}`,
+      { methodName: handlerParams.name, scopeName: handlerParams.scopeName, module: String(module) }
+    );
+    parentPort.postMessage({ error: serializeError(problem) });
+  }
+});